@@ -0,0 +1,486 @@
+#!/usr/bin/env node
+import { randomUUID } from "node:crypto";
+import { createServer } from "node:http";
+import process from "node:process";
+import { deflateSync } from "node:zlib";
+
+const SCENARIOS = ["image", "file", "error", "question", "slow"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const parseArgs = (argv) => {
+  const options = {
+    port: Number(process.env.FAKE_CHATGPT_PORT || 4300),
+    host: process.env.FAKE_CHATGPT_HOST || "127.0.0.1",
+    scenario: process.env.FAKE_CHATGPT_SCENARIO || "image",
+    frames: 3,
+    frameDelayMs: 400,
+    slowMs: 5000,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (!arg) continue;
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      continue;
+    }
+    if (arg === "--port" && argv[i + 1]) {
+      options.port = Number(argv[i + 1]);
+      i += 1;
+      continue;
+    }
+    if (arg === "--host" && argv[i + 1]) {
+      options.host = argv[i + 1];
+      i += 1;
+      continue;
+    }
+    if (arg === "--scenario" && argv[i + 1]) {
+      options.scenario = argv[i + 1];
+      i += 1;
+      continue;
+    }
+    if (arg === "--frames" && argv[i + 1]) {
+      options.frames = Number(argv[i + 1]);
+      i += 1;
+      continue;
+    }
+    if (arg === "--frame-delay" && argv[i + 1]) {
+      options.frameDelayMs = Number(argv[i + 1]);
+      i += 1;
+      continue;
+    }
+    if (arg === "--slow" && argv[i + 1]) {
+      options.slowMs = Number(argv[i + 1]);
+      i += 1;
+      continue;
+    }
+  }
+  return options;
+};
+
+const printUsage = () => {
+  console.log(`Usage:
+  node scripts/fake-chatgpt-server.mjs [--port 4300] [--host 127.0.0.1] [--scenario image] [--frames 3] [--frame-delay 400] [--slow 5000]
+
+Scenarios: ${SCENARIOS.join(", ")}
+  image     streams .partN frames, then the final image and the stream-completed beacon
+  file      answers with a download link served through estuary/content
+  error     answers with an image generation error
+  question  asks a clarification question, then behaves like "image" on the answer
+  slow      like "image", but every file download is delayed by --slow ms
+
+The scenario can be overridden per page with ?scenario=<name> on the page URL.
+
+Examples:
+  node scripts/fake-chatgpt-server.mjs --scenario file
+  PW_CHATGPT_HOSTS=127.0.0.1:4300 node src/server.mjs
+`);
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let value = index;
+  for (let bit = 0; bit < 8; bit += 1) {
+    value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+  }
+  return value >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+};
+
+const buildSolidPng = ([red, green, blue], size = 64) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8;
+  header[9] = 2;
+  const row = Buffer.alloc(1 + size * 3);
+  for (let x = 0; x < size; x += 1) {
+    row[1 + x * 3] = red;
+    row[2 + x * 3] = green;
+    row[3 + x * 3] = blue;
+  }
+  const raw = Buffer.concat(Array.from({ length: size }, () => row));
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+};
+
+const files = new Map();
+const conversations = new Map();
+
+const registerFile = ({ fileName, contentType, buffer, slow = false }) => {
+  const id = `file-${randomUUID().replace(/-/g, "").slice(0, 24)}`;
+  files.set(id, { id, fileName, contentType, buffer, slow });
+  return id;
+};
+
+const resolveScenario = (value, fallback) =>
+  SCENARIOS.includes(value) ? value : fallback;
+
+const planImageTurn = (options, { slow = false } = {}) => {
+  const frameCount = Math.max(0, Math.floor(options.frames));
+  const downloads = [];
+  for (let index = 1; index <= frameCount; index += 1) {
+    const shade = Math.round((index / (frameCount + 1)) * 200);
+    downloads.push(
+      registerFile({
+        fileName: `image.part${index}.png`,
+        contentType: "image/png",
+        buffer: buildSolidPng([shade, shade, 255]),
+        slow,
+      }),
+    );
+  }
+  downloads.push(
+    registerFile({
+      fileName: "image.png",
+      contentType: "image/png",
+      buffer: buildSolidPng([255, 120, 40]),
+      slow,
+    }),
+  );
+  return {
+    text: "Here is your generated image.",
+    downloads,
+  };
+};
+
+const planFileTurn = (prompt) => {
+  const id = registerFile({
+    fileName: "report.txt",
+    contentType: "text/plain",
+    buffer: Buffer.from(`Fake ChatGPT file output\n\nPrompt:\n${prompt}\n`),
+  });
+  return {
+    text: "Your file is ready. Download report.txt below.",
+    estuary: [id],
+    attachments: [
+      { href: `/backend-api/files/download/${id}`, label: "report.txt" },
+    ],
+  };
+};
+
+const planTurn = (options, { scenario, conversationId, prompt }) => {
+  const state = conversations.get(conversationId) ?? { turns: 0 };
+  state.turns += 1;
+  conversations.set(conversationId, state);
+
+  if (scenario === "question" && state.turns === 1) {
+    return {
+      text: "Which style would you like for this image: watercolor or photorealistic?",
+    };
+  }
+  if (scenario === "error") {
+    return {
+      text: "We experienced an error when generating images. Something went wrong, please try again later.",
+      result: "error",
+    };
+  }
+  if (scenario === "file") return planFileTurn(prompt);
+  return planImageTurn(options, { slow: scenario === "slow" });
+};
+
+const sendJson = (res, status, payload) => {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(payload));
+};
+
+const readBody = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+const renderPage = (scenario) => `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>ChatGPT (offline stand-in)</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 0 auto; max-width: 760px; padding: 16px; }
+  article { border-bottom: 1px solid #ddd; padding: 12px 0; }
+  #composer { display: flex; gap: 8px; margin-top: 16px; align-items: flex-start; }
+  #prompt-textarea { flex: 1; min-height: 48px; border: 1px solid #999; padding: 8px; }
+  img { max-width: 256px; display: block; }
+</style>
+</head>
+<body>
+<main id="thread"></main>
+<form id="composer">
+  <div id="prompt-textarea" contenteditable="true" role="textbox" aria-label="Message"></div>
+  <input type="file" multiple hidden>
+  <button id="composer-submit-button" data-testid="send-button" type="submit" aria-label="Send prompt">Send</button>
+  <button data-testid="stop-button" type="button" aria-label="Stop streaming" hidden>Stop</button>
+</form>
+<script>
+(() => {
+  const scenario = new URLSearchParams(location.search).get("scenario") || ${JSON.stringify(scenario)};
+  const thread = document.getElementById("thread");
+  const form = document.getElementById("composer");
+  const composer = document.getElementById("prompt-textarea");
+  const fileInput = form.querySelector('input[type="file"]');
+  const stopButton = form.querySelector('[data-testid="stop-button"]');
+  let conversationId = (/\\/c\\/([a-zA-Z0-9-]+)/.exec(location.pathname) || [])[1] || null;
+  let stopped = false;
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  const appendTurn = (role, text) => {
+    const article = document.createElement("article");
+    article.dataset.turn = role;
+    article.dataset.turnId = crypto.randomUUID();
+    const markdown = document.createElement("div");
+    markdown.className = "markdown";
+    markdown.textContent = text;
+    article.appendChild(markdown);
+    thread.appendChild(article);
+    return article;
+  };
+
+  const beacon = (turnTraceId, result) =>
+    fetch("/ces/v1/t", {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({
+        event: "ChatGPT Convo Stream: Stream Completed",
+        timestamp: new Date().toISOString(),
+        properties: {
+          conversation_id: conversationId,
+          turn_trace_id: turnTraceId,
+          result,
+        },
+      }),
+    });
+
+  const runTurn = async (prompt) => {
+    const uploads = Array.from(fileInput.files || []).map((file) => file.name);
+    appendTurn("user", prompt + (uploads.length ? " [" + uploads.join(", ") + "]" : ""));
+    stopped = false;
+    stopButton.hidden = false;
+    const response = await fetch("/backend-api/conversation", {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ prompt, scenario, conversationId, uploads }),
+    });
+    const plan = await response.json();
+    if (conversationId !== plan.conversationId) {
+      conversationId = plan.conversationId;
+      history.pushState(null, "", "/c/" + conversationId + location.search);
+    }
+    for (const id of plan.downloads || []) {
+      if (stopped) break;
+      await wait(plan.frameDelayMs);
+      const metadata = await fetch("/backend-api/files/download/" + id).then((r) => r.json());
+      if (/\\.part\\d+/.test(metadata.file_name)) continue;
+      plan.imageUrl = metadata.download_url;
+    }
+    for (const id of plan.estuary || []) {
+      if (stopped) break;
+      await fetch("/backend-api/estuary/content?id=" + encodeURIComponent(id));
+    }
+    stopButton.hidden = true;
+    const article = appendTurn("assistant", stopped ? "You stopped this response." : plan.text);
+    if (!stopped && plan.imageUrl) {
+      const image = document.createElement("img");
+      image.alt = "Generated image";
+      image.src = plan.imageUrl;
+      article.appendChild(image);
+    }
+    for (const attachment of stopped ? [] : plan.attachments || []) {
+      const link = document.createElement("a");
+      link.href = attachment.href;
+      link.textContent = "Download " + attachment.label;
+      article.querySelector(".markdown").appendChild(link);
+    }
+    await beacon(article.dataset.turnId, stopped ? "stopped" : plan.result || "success");
+  };
+
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const prompt = composer.innerText.trim();
+    if (!prompt) return;
+    composer.textContent = "";
+    runTurn(prompt).catch((error) => appendTurn("assistant", "Something went wrong: " + error.message));
+  });
+  composer.addEventListener("keydown", (event) => {
+    if (event.key === "Enter" && !event.shiftKey) {
+      event.preventDefault();
+      form.requestSubmit();
+    }
+  });
+  stopButton.addEventListener("click", () => {
+    stopped = true;
+  });
+  composer.focus();
+})();
+</script>
+</body>
+</html>
+`;
+
+const createFakeServer = (options) =>
+  createServer(async (req, res) => {
+    const url = new URL(req.url ?? "/", `http://${req.headers.host}`);
+    const { pathname } = url;
+    try {
+      if (req.method === "GET" && (pathname === "/" || /^\/(c|g)\//.test(pathname))) {
+        const pageConversationId = /\/c\/([a-zA-Z0-9-]+)/.exec(pathname)?.[1];
+        if (pageConversationId && !conversations.has(pageConversationId)) {
+          res.writeHead(302, { location: `/${url.search}` });
+          res.end();
+          return;
+        }
+        res.writeHead(200, { "content-type": "text/html; charset=utf-8" });
+        res.end(renderPage(options.scenario));
+        return;
+      }
+
+      if (req.method === "POST" && pathname === "/backend-api/conversation") {
+        const body = JSON.parse((await readBody(req)) || "{}");
+        const scenario = resolveScenario(body.scenario, options.scenario);
+        const conversationId = body.conversationId || randomUUID();
+        const plan = planTurn(options, {
+          scenario,
+          conversationId,
+          prompt: String(body.prompt ?? ""),
+        });
+        console.log(
+          `[${scenario}] conversation=${conversationId} prompt="${String(body.prompt ?? "").slice(0, 80)}"`,
+        );
+        sendJson(res, 200, {
+          conversationId,
+          frameDelayMs: options.frameDelayMs,
+          ...plan,
+        });
+        return;
+      }
+
+      const downloadMatch = /^\/backend-api\/files\/download\/([^/]+)$/.exec(pathname);
+      if (req.method === "GET" && downloadMatch) {
+        const file = files.get(downloadMatch[1]);
+        if (!file) {
+          sendJson(res, 404, { detail: { message: "File not found" } });
+          return;
+        }
+        sendJson(res, 200, {
+          status: "success",
+          download_url: `${url.origin}/files/${file.id}/content`,
+          file_name: file.fileName,
+          file_size_bytes: file.buffer.length,
+        });
+        return;
+      }
+
+      if (req.method === "GET" && pathname === "/backend-api/estuary/content") {
+        const id = url.searchParams.get("id") ?? "";
+        if (!files.has(id)) {
+          sendJson(res, 404, { detail: { message: "File not found" } });
+          return;
+        }
+        sendJson(res, 200, { item: id });
+        return;
+      }
+
+      const contentMatch =
+        /^\/backend-api\/estuary\/content\/([^/]+)$/.exec(pathname) ||
+        /^\/files\/([^/]+)\/content$/.exec(pathname);
+      if (req.method === "GET" && contentMatch) {
+        const file = files.get(contentMatch[1]);
+        if (!file) {
+          sendJson(res, 404, { detail: { message: "File not found" } });
+          return;
+        }
+        if (file.slow) {
+          await sleep(options.slowMs);
+        }
+        res.writeHead(200, {
+          "content-type": file.contentType,
+          "content-length": file.buffer.length,
+          "content-disposition": `attachment; filename="${file.fileName}"`,
+        });
+        res.end(file.buffer);
+        return;
+      }
+
+      if (req.method === "POST" && pathname === "/ces/v1/t") {
+        const body = await readBody(req);
+        try {
+          const payload = JSON.parse(body);
+          console.log(
+            `[beacon] ${payload?.event} result=${payload?.properties?.result}`,
+          );
+        } catch {
+          // ignore malformed beacons
+        }
+        sendJson(res, 200, { status: "ok" });
+        return;
+      }
+
+      if (req.method === "GET" && pathname === "/health") {
+        sendJson(res, 200, { status: "ok", scenario: options.scenario });
+        return;
+      }
+
+      sendJson(res, 404, { detail: { message: "Not found" } });
+    } catch (error) {
+      sendJson(res, 500, { detail: { message: error?.message ?? String(error) } });
+    }
+  });
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    printUsage();
+    return;
+  }
+  if (!Number.isFinite(options.port) || options.port <= 0) {
+    throw new Error(`Invalid --port value: ${options.port}`);
+  }
+  if (!SCENARIOS.includes(options.scenario)) {
+    throw new Error(
+      `Invalid --scenario value: ${options.scenario} (expected ${SCENARIOS.join(", ")})`,
+    );
+  }
+
+  const server = createFakeServer(options);
+  server.listen(options.port, options.host, () => {
+    console.log(
+      `Fake ChatGPT listening on http://${options.host}:${options.port} (scenario: ${options.scenario})`,
+    );
+    console.log(
+      `Point the service at it with PW_CHATGPT_HOSTS=${options.host}:${options.port} and /open {"url":"http://${options.host}:${options.port}/"}`,
+    );
+  });
+
+  const shutdown = () => {
+    server.close(() => process.exit(0));
+    setTimeout(() => process.exit(0), 1000).unref();
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+};
+
+main().catch((error) => {
+  console.error(error?.message || error);
+  process.exit(1);
+});
@@ -1,4 +1,6 @@
 #!/usr/bin/env node
+import { readFile } from "node:fs/promises";
+import { resolve } from "node:path";
 import process from "node:process";
 
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
@@ -6,6 +8,7 @@ const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 const parseArgs = (argv) => {
   const options = {
     port: Number(process.env.PW_PORT || 4280),
+    token: process.env.PW_API_TOKEN || "",
     pollMs: 1200,
     timeoutMs: 180000,
     url: "https://chatgpt.com",
@@ -25,6 +28,11 @@ const parseArgs = (argv) => {
       i += 1;
       continue;
     }
+    if (arg === "--token" && argv[i + 1]) {
+      options.token = argv[i + 1];
+      i += 1;
+      continue;
+    }
     if (arg === "--poll" && argv[i + 1]) {
       options.pollMs = Number(argv[i + 1]);
       i += 1;
@@ -56,7 +64,7 @@ const parseArgs = (argv) => {
 
 const printUsage = () => {
   console.log(`Usage:
-  node scripts/test-image-stream.mjs [--prompt "..."] [--port 4280] [--poll 1200] [--timeout 180000] [--url https://chatgpt.com]
+  node scripts/test-image-stream.mjs [--prompt "..."] [--port 4280] [--token TOKEN] [--poll 1200] [--timeout 180000] [--url https://chatgpt.com]
 
 Examples:
   node scripts/test-image-stream.mjs --prompt "Generate an image of a mountain at sunrise"
@@ -64,8 +72,29 @@ Examples:
 `);
 };
 
-const fetchJson = async (url, options = undefined) => {
-  const response = await fetch(url, options);
+const readConfigApiToken = async () => {
+  try {
+    const contents = await readFile(
+      resolve(process.cwd(), ".agent-playwright", "config.json"),
+      "utf8",
+    );
+    const parsed = JSON.parse(contents);
+    return typeof parsed?.apiToken === "string" ? parsed.apiToken : "";
+  } catch {
+    return "";
+  }
+};
+
+let apiToken = "";
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      ...(options.headers ?? {}),
+      ...(apiToken ? { authorization: `Bearer ${apiToken}` } : {}),
+    },
+  });
   const text = await response.text();
   let data = null;
   try {
@@ -106,7 +135,8 @@ const main = async () => {
     throw new Error(`Invalid --timeout value: ${options.timeoutMs}`);
   }
 
-  const baseUrl = `http://localhost:${options.port}`;
+  apiToken = options.token || (await readConfigApiToken());
+  const baseUrl = `http://127.0.0.1:${options.port}`;
   console.log(`Posting image stream run to ${baseUrl}/open`);
   console.log(`Prompt: ${options.prompt}`);
 
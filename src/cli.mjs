@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 import { spawn } from "node:child_process";
+import { readFile } from "node:fs/promises";
 import { fileURLToPath } from "node:url";
 import { basename, isAbsolute, resolve } from "node:path";
 
@@ -112,6 +113,29 @@ const resolvePathInput = (value, { baseDir = process.cwd() } = {}) => {
   return resolve(baseDir, String(value ?? ""));
 };
 
+const resolveConnectHost = (value) => {
+  const host = typeof value === "string" && value.trim() ? value.trim() : "";
+  if (!host || host === "0.0.0.0" || host === "::") return "127.0.0.1";
+  return host.includes(":") && !host.startsWith("[") ? `[${host}]` : host;
+};
+
+const readApiToken = async (explicitToken) => {
+  if (typeof explicitToken === "string" && explicitToken.trim()) {
+    return explicitToken.trim();
+  }
+  if (process.env.PW_API_TOKEN) return process.env.PW_API_TOKEN;
+  try {
+    const contents = await readFile(
+      resolve(process.cwd(), ".agent-playwright", "config.json"),
+      "utf8",
+    );
+    const parsed = JSON.parse(contents);
+    return typeof parsed?.apiToken === "string" ? parsed.apiToken : "";
+  } catch {
+    return "";
+  }
+};
+
 const BOOLEAN_FLAGS = new Set([
   "start",
   "sync",
@@ -119,6 +143,7 @@ const BOOLEAN_FLAGS = new Set([
   "stream",
   "random-name",
   "randomName",
+  "html",
   "rememberProject",
   "setGlobalProject",
 ]);
@@ -128,6 +153,9 @@ const inferCliName = () => {
   if (invoked.startsWith("generatefile")) {
     return "generateFile";
   }
+  if (invoked.startsWith("generatetext")) {
+    return "generateText";
+  }
   return "generateImage";
 };
 
@@ -168,6 +196,8 @@ const printUsage = (cliName) => {
 
 Options:
   --port            Port for the service (default 4280)
+  --host            Host the service listens on (default PW_HOST or 127.0.0.1)
+  --token           API token (default PW_API_TOKEN or .agent-playwright/config.json)
   --dir             Output directory for generated files (Windows/macOS/Linux paths supported)
   --files           Comma-separated file paths to upload before generating (Windows/macOS/Linux paths supported)
   --context-id      Continue from a previous context id
@@ -176,7 +206,8 @@ Options:
   --sync / --no-sync  Wait for download completion before command exits
   --stream          Stream-first capture for generated downloads
   --random-name     Use randomized filenames (e.g. image-<run>-01.png or file-<run>-01.pdf)
-  --mode            Generation mode: image | file | auto
+  --mode            Generation mode: image | file | text | auto
+  --html / --no-html  Also save text-mode replies as .html next to the .md
   --url             Target URL (default: https://chatgpt.com)
   --projectUrl      ChatGPT project URL to open
   --projectId       ChatGPT project ID (g-p-...)
@@ -202,7 +233,8 @@ const main = async () => {
         baseDir: process.cwd(),
       });
     }
-    await import("./server.mjs");
+    const { startServer } = await import("./server.mjs");
+    await startServer();
     return;
   }
   if (command === "help" || command === "--help" || command === "-h") {
@@ -212,7 +244,8 @@ const main = async () => {
 
   const opts = parseArgs(argv);
   const port = Number(opts.port || process.env.PW_PORT || 4280);
-  const baseUrl = `http://localhost:${port}`;
+  const host = resolveConnectHost(opts.host || process.env.PW_HOST);
+  const baseUrl = `http://${host}:${port}`;
   const contextId =
     (typeof opts["context-id"] === "string" ? opts["context-id"] : "") ||
     (typeof opts.contextId === "string" ? opts.contextId : "");
@@ -267,6 +300,7 @@ const main = async () => {
     stream: opts.stream === true,
     randomName:
       opts.randomName === true || opts["random-name"] === true,
+    html: typeof opts.html === "boolean" ? opts.html : undefined,
     projectUrl: opts.projectUrl,
     projectId: opts.projectId,
     rememberProject: Boolean(opts.rememberProject || opts.setGlobalProject),
@@ -276,8 +310,15 @@ const main = async () => {
   const shouldStart = opts.start !== false;
   const healthUrl = `${baseUrl}/health`;
 
-  const fetchJson = async (url, options) => {
-    const response = await fetch(url, options);
+  const fetchJson = async (url, options = {}) => {
+    const apiToken = await readApiToken(opts.token);
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        ...(options.headers ?? {}),
+        ...(apiToken ? { authorization: `Bearer ${apiToken}` } : {}),
+      },
+    });
     if (!response.ok) {
       const text = await response.text();
       throw new Error(`HTTP ${response.status}: ${text}`);
@@ -305,6 +346,9 @@ const main = async () => {
       env: {
         ...process.env,
         PW_PORT: String(port),
+        ...(typeof opts.host === "string" && opts.host.trim()
+          ? { PW_HOST: opts.host.trim() }
+          : {}),
         ...(resolvedDir ? { PW_OUTPUT_DIR: resolvedDir } : {}),
       },
       stdio: "ignore",
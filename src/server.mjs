@@ -1,13 +1,51 @@
 import http from "node:http";
-import { copyFile, mkdir, readdir, readFile, stat, unlink, writeFile } from "node:fs/promises";
-import { existsSync } from "node:fs";
-import { randomUUID } from "node:crypto";
-import { basename, dirname, extname, isAbsolute, resolve } from "node:path";
+import {
+  appendFile,
+  chmod,
+  copyFile,
+  link,
+  mkdir,
+  readdir,
+  readFile,
+  rename,
+  open,
+  rm,
+  stat,
+  symlink,
+  unlink,
+  writeFile,
+} from "node:fs/promises";
+import {
+  createReadStream,
+  createWriteStream,
+  existsSync,
+  realpathSync,
+} from "node:fs";
+import {
+  createHash,
+  createHmac,
+  randomBytes,
+  randomUUID,
+  timingSafeEqual,
+} from "node:crypto";
+import {
+  basename,
+  dirname,
+  extname,
+  isAbsolute,
+  relative,
+  resolve,
+} from "node:path";
 import process from "node:process";
+import { pipeline } from "node:stream/promises";
 import { createInterface } from "node:readline/promises";
 import { fileURLToPath } from "node:url";
 import { execFile } from "node:child_process";
+import https from "node:https";
+import { isIP } from "node:net";
+import { connect as tlsConnect } from "node:tls";
 import { chromium, firefox, webkit } from "playwright";
+import { WebSocketServer } from "ws";
 
 const boolFromEnv = (key, fallback) => {
   const raw = process.env[key];
@@ -63,6 +101,7 @@ const MIME_EXTENSION_MAP = Object.freeze({
   "application/csv": ".csv",
   "text/plain": ".txt",
   "text/markdown": ".md",
+  "text/html": ".html",
   "application/json": ".json",
   "application/zip": ".zip",
   "application/x-zip-compressed": ".zip",
@@ -222,6 +261,9 @@ const resolvePathInput = (value, { baseDir = process.cwd() } = {}) => {
 
 const config = {
   port: numberFromEnv("PW_PORT", numberFromEnv("PORT", 4280)),
+  host: process.env.PW_HOST || "127.0.0.1",
+  authEnabled: boolFromEnv("PW_AUTH", true),
+  apiToken: process.env.PW_API_TOKEN ?? "",
   storageDir: resolvePathInput(
     process.env.PW_STORAGE_DIR ?? ".agent-playwright",
     { baseDir: process.cwd() },
@@ -231,6 +273,20 @@ const config = {
     baseDir: process.cwd(),
   }),
   outputDirFromEnv: Boolean(process.env.PW_OUTPUT_DIR),
+  contentAddressed: boolFromEnv("PW_CONTENT_ADDRESSED", false),
+  embedProvenance: boolFromEnv("PW_EMBED_PROVENANCE", false),
+  recordRuns: boolFromEnv("PW_RECORD_RUNS", false),
+  images: process.env.PW_IMAGES === "all" ? "all" : "latest",
+  keepFrames: boolFromEnv("PW_KEEP_FRAMES", false),
+  imagePreview: boolFromEnv("PW_IMAGE_PREVIEW", false),
+  textHtml: boolFromEnv("PW_TEXT_HTML", false),
+  globalLatest: boolFromEnv("PW_GLOBAL_LATEST", false),
+  traceRuns: boolFromEnv("PW_TRACE_RUNS", false),
+  failureArtifacts: boolFromEnv("PW_FAILURE_ARTIFACTS", true),
+  objectsDir: resolvePathInput(
+    process.env.PW_OBJECTS_DIR ?? ".agent-playwright/objects",
+    { baseDir: process.cwd() },
+  ),
   downloadsDir: resolvePathInput(
     process.env.PW_DOWNLOADS_DIR ?? (process.env.PW_OUTPUT_DIR ?? "generations"),
     { baseDir: process.cwd() },
@@ -252,9 +308,27 @@ const config = {
   imageIdleMs: numberFromEnv("PW_IMAGE_IDLE_MS", 8_000),
   imageTimeoutMs: numberFromEnv("PW_IMAGE_TIMEOUT_MS", 90_000),
   imageMax: numberFromEnv("PW_IMAGE_MAX", 8),
-  preferCurlDownloads: boolFromEnv("PW_PREFER_CURL_DOWNLOADS", true),
-  curlTimeoutMs: numberFromEnv("PW_CURL_TIMEOUT_MS", 25_000),
+  downloadTimeoutMs: numberFromEnv(
+    "PW_DOWNLOAD_TIMEOUT_MS",
+    numberFromEnv("PW_CURL_TIMEOUT_MS", 25_000),
+  ),
   asyncPostWindowMs: numberFromEnv("PW_ASYNC_POST_WINDOW_MS", 2_500),
+  answerWaitMs: numberFromEnv("PW_ANSWER_WAIT_MS", 120_000),
+  maxConcurrentRuns: numberFromEnv("PW_MAX_CONCURRENT_RUNS", 2),
+  webhookSecret: process.env.PW_WEBHOOK_SECRET ?? "",
+  webhookTimeoutMs: numberFromEnv("PW_WEBHOOK_TIMEOUT_MS", 10_000),
+  webhookMaxAttempts: numberFromEnv("PW_WEBHOOK_MAX_ATTEMPTS", 5),
+  webhookRetryBaseMs: numberFromEnv("PW_WEBHOOK_RETRY_BASE_MS", 2_000),
+  retentionMaxAgeDays: numberFromEnv("PW_RETENTION_MAX_AGE_DAYS", 0),
+  retentionMaxRuns: numberFromEnv("PW_RETENTION_MAX_RUNS", 0),
+  retentionMaxBytes: numberFromEnv("PW_RETENTION_MAX_BYTES", 0),
+  retentionDeleteFiles: boolFromEnv("PW_RETENTION_DELETE_FILES", true),
+  retentionSweepMs: numberFromEnv("PW_RETENTION_SWEEP_MS", 3_600_000),
+  runStore: process.env.PW_RUN_STORE === "sqlite" ? "sqlite" : "file",
+  runStorePath: resolvePathInput(
+    process.env.PW_RUN_STORE_PATH ?? ".agent-playwright/runs.sqlite",
+    { baseDir: process.cwd() },
+  ),
   acceptDownloads: boolFromEnv("PW_ACCEPT_DOWNLOADS", true),
   viewport: parseViewport(process.env.PW_VIEWPORT ?? ""),
   userAgent: process.env.PW_USER_AGENT ?? "",
@@ -274,6 +348,10 @@ const config = {
   forceProjectPrompt: boolFromEnv("PW_FORCE_PROJECT_PROMPT", false),
   chatGptProjectUrl: process.env.PW_CHATGPT_PROJECT_URL ?? "",
   chatGptProjectId: process.env.PW_CHATGPT_PROJECT_ID ?? "",
+  chatGptHosts: (process.env.PW_CHATGPT_HOSTS ?? "")
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean),
   autoHeadfulOnLogin: boolFromEnv("PW_AUTO_HEADFUL_ON_LOGIN", true),
 };
 
@@ -286,11 +364,14 @@ const browsers = {
 const LOCAL_CONFIG_DIR = resolve(process.cwd(), ".agent-playwright");
 const LOCAL_CONFIG_PATH = resolve(LOCAL_CONFIG_DIR, "config.json");
 const CONTEXT_RUNS_DIR = resolve(LOCAL_CONFIG_DIR, "runs");
+const WEBHOOKS_DIR = resolve(LOCAL_CONFIG_DIR, "webhooks");
+const SESSIONS_DIR = resolve(LOCAL_CONFIG_DIR, "sessions");
 
 let context = null;
 let page = null;
 let contextStarting = null;
 let configReady = false;
+let localApiToken = null;
 let headfulRelaunchUsed = false;
 let minimizeScheduled = false;
 
@@ -317,30 +398,656 @@ const ensureContextRunsDir = async () => {
 
 const contextRunPath = (id) => resolve(CONTEXT_RUNS_DIR, `${id}.json`);
 
+const contextRunEventsPath = (id) =>
+  resolve(CONTEXT_RUNS_DIR, `${id}.events.jsonl`);
+
+const runRecordingPath = (id) => resolve(CONTEXT_RUNS_DIR, `${id}.har`);
+
+const runArtifactsDir = (id) => resolve(CONTEXT_RUNS_DIR, id);
+
 const sanitizeContextId = (value) => {
   const trimmed = typeof value === "string" ? value.trim() : "";
   if (!trimmed) return "";
   return trimmed.replace(/[^a-zA-Z0-9._-]/g, "");
 };
 
+const readJsonLines = (raw) => {
+  const entries = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // skip a line torn by a crash mid-append
+    }
+  }
+  return entries;
+};
+
+const EVENT_LOG_READ_CHUNK_BYTES = 64 * 1024;
+const EVENT_LOG_MAX_CURSORS = 256;
+
+const matchesEventTypes = (entry, types) =>
+  types.length === 0 ||
+  types.includes(entry.type) ||
+  types.includes(entry.streamEventType);
+
+const createFileRunStore = () => {
+  // Byte offset just past the last event line read per log, so pollers
+  // resume where they stopped instead of rescanning the whole file.
+  const eventReadCursors = new Map();
+  const rememberEventCursor = (id, cursor) => {
+    eventReadCursors.delete(id);
+    eventReadCursors.set(id, cursor);
+    if (eventReadCursors.size > EVENT_LOG_MAX_CURSORS) {
+      eventReadCursors.delete(eventReadCursors.keys().next().value);
+    }
+  };
+  const readEventsAfter = async (id, after, types, limit) => {
+    let handle;
+    try {
+      handle = await open(contextRunEventsPath(id), "r");
+    } catch {
+      return [];
+    }
+    try {
+      const cursor = eventReadCursors.get(id);
+      const resume = cursor && cursor.seq <= after ? cursor : { seq: 0, offset: 0 };
+      let { seq: consumedSeq, offset: consumedOffset } = resume;
+      let readOffset = consumedOffset;
+      let pending = Buffer.alloc(0);
+      const chunk = Buffer.alloc(EVENT_LOG_READ_CHUNK_BYTES);
+      const events = [];
+      while (events.length < limit) {
+        const { bytesRead } = await handle.read(chunk, 0, chunk.length, readOffset);
+        if (bytesRead === 0) break;
+        readOffset += bytesRead;
+        pending = Buffer.concat([pending, chunk.subarray(0, bytesRead)]);
+        let newline;
+        while (events.length < limit && (newline = pending.indexOf(10)) !== -1) {
+          const line = pending.subarray(0, newline).toString("utf8");
+          pending = pending.subarray(newline + 1);
+          consumedOffset += newline + 1;
+          let entry;
+          try {
+            entry = JSON.parse(line);
+          } catch {
+            // skip a line torn by a crash mid-append
+            continue;
+          }
+          if (!Number.isInteger(entry?.seq)) continue;
+          consumedSeq = Math.max(consumedSeq, entry.seq);
+          if (entry.seq > after && matchesEventTypes(entry, types)) {
+            events.push(entry);
+          }
+        }
+      }
+      rememberEventCursor(id, { seq: consumedSeq, offset: consumedOffset });
+      return events;
+    } finally {
+      await handle.close();
+    }
+  };
+  const load = async (id) => {
+    const filePath = contextRunPath(id);
+    if (!existsSync(filePath)) return null;
+    try {
+      const raw = await readFile(filePath, "utf8");
+      const parsed = JSON.parse(raw);
+      return parsed && typeof parsed === "object" ? parsed : null;
+    } catch {
+      return null;
+    }
+  };
+  const list = async () => {
+    await ensureContextRunsDir();
+    const entries = await readdir(CONTEXT_RUNS_DIR);
+    const records = [];
+    for (const entry of entries) {
+      if (!entry.endsWith(".json")) continue;
+      const record = await load(entry.slice(0, -".json".length));
+      if (record) records.push(record);
+    }
+    return records;
+  };
+  const listModifiedSince = async (sinceMs) => {
+    await ensureContextRunsDir();
+    const modifiedAt = (filePath) =>
+      stat(filePath).then(
+        (info) => info.mtimeMs,
+        () => 0,
+      );
+    const records = [];
+    for (const entry of await readdir(CONTEXT_RUNS_DIR)) {
+      if (!entry.endsWith(".json")) continue;
+      const id = entry.slice(0, -".json".length);
+      const changedAt = Math.max(
+        await modifiedAt(contextRunPath(id)),
+        await modifiedAt(contextRunEventsPath(id)),
+      );
+      if (changedAt <= sinceMs) continue;
+      const record = await load(id);
+      if (record) records.push(record);
+    }
+    return records;
+  };
+  const listMatching = async (filters) =>
+    (await list())
+      .filter((record) => matchesRunListFilters(record, filters))
+      .sort((left, right) =>
+        String(right.createdAt ?? "").localeCompare(String(left.createdAt ?? "")),
+      );
+  return {
+    kind: "file",
+    recordPath: contextRunPath,
+    load,
+    list,
+    listModifiedSince,
+    save: async (id, payload) => {
+      await ensureContextRunsDir();
+      const filePath = contextRunPath(id);
+      const tempPath = `${filePath}.${randomUUID()}.tmp`;
+      await writeFile(tempPath, JSON.stringify(payload, null, 2));
+      await rename(tempPath, filePath);
+    },
+    remove: async (id) => {
+      eventReadCursors.delete(id);
+      await unlink(contextRunPath(id)).catch(() => undefined);
+      await unlink(contextRunEventsPath(id)).catch(() => undefined);
+    },
+    query: async (filters) => {
+      const matched = await listMatching(filters);
+      return {
+        total: matched.length,
+        records: matched.slice(filters.offset, filters.offset + filters.limit),
+      };
+    },
+    stats: async (filters) => summarizeRunStats(await listMatching(filters)),
+    lastEventSeq: async (id) => {
+      let handle;
+      try {
+        handle = await open(contextRunEventsPath(id), "r");
+        const { size } = await handle.stat();
+        const length = Math.min(size, 64 * 1024);
+        const buffer = Buffer.alloc(length);
+        await handle.read(buffer, 0, length, size - length);
+        const lines = buffer.toString("utf8").trim().split("\n");
+        return Number(JSON.parse(lines[lines.length - 1]).seq) || 0;
+      } catch {
+        return 0;
+      } finally {
+        await handle?.close();
+      }
+    },
+    appendEvent: async (id, entry) => {
+      await ensureContextRunsDir();
+      await appendFile(contextRunEventsPath(id), `${JSON.stringify(entry)}\n`);
+    },
+    readEvents: async (id) => {
+      try {
+        return readJsonLines(await readFile(contextRunEventsPath(id), "utf8"));
+      } catch {
+        return null;
+      }
+    },
+    readEventsAfter,
+  };
+};
+
+const RUN_STORE_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS runs (
+    id TEXT PRIMARY KEY,
+    status TEXT,
+    generation_mode TEXT,
+    parent_context_id TEXT,
+    question_search TEXT NOT NULL DEFAULT '',
+    has_assistant_error INTEGER NOT NULL DEFAULT 0,
+    saved_count INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT,
+    updated_at TEXT,
+    record TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS runs_created_at ON runs (created_at);
+  CREATE INDEX IF NOT EXISTS runs_status ON runs (status, created_at);
+  CREATE INDEX IF NOT EXISTS runs_parent_context_id ON runs (parent_context_id);
+  CREATE TABLE IF NOT EXISTS run_events (
+    context_id TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    ts TEXT,
+    type TEXT,
+    stream_event_type TEXT,
+    event TEXT NOT NULL,
+    PRIMARY KEY (context_id, seq)
+  );
+  CREATE TABLE IF NOT EXISTS saved_files (
+    context_id TEXT NOT NULL,
+    file_path TEXT NOT NULL,
+    file_name TEXT,
+    kind TEXT,
+    content_type TEXT,
+    byte_length INTEGER,
+    sha256 TEXT,
+    metadata_id TEXT,
+    PRIMARY KEY (context_id, file_path)
+  );
+  CREATE INDEX IF NOT EXISTS saved_files_sha256 ON saved_files (sha256);
+  CREATE TABLE IF NOT EXISTS metadata_ids (
+    context_id TEXT NOT NULL,
+    metadata_id TEXT NOT NULL,
+    PRIMARY KEY (context_id, metadata_id)
+  );
+  CREATE INDEX IF NOT EXISTS metadata_ids_metadata_id ON metadata_ids (metadata_id);
+  CREATE TABLE IF NOT EXISTS uploads (
+    context_id TEXT NOT NULL,
+    file_path TEXT NOT NULL,
+    PRIMARY KEY (context_id, file_path)
+  );
+  CREATE TABLE IF NOT EXISTS store_meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+`;
+
+const RUN_STORE_CHILD_TABLES = ["run_events", "saved_files", "metadata_ids", "uploads"];
+
+const buildRunFilterSql = (filters) => {
+  const clauses = [];
+  const params = [];
+  const addIn = (column, values) => {
+    if (!values.length) return;
+    clauses.push(`${column} IN (${values.map(() => "?").join(", ")})`);
+    params.push(...values);
+  };
+  addIn("status", filters.statuses);
+  addIn("generation_mode", filters.generationModes);
+  if (filters.since !== null || filters.until !== null) {
+    clauses.push("created_at IS NOT NULL");
+  }
+  if (filters.since !== null) {
+    clauses.push("created_at >= ?");
+    params.push(new Date(filters.since).toISOString());
+  }
+  if (filters.until !== null) {
+    clauses.push("created_at <= ?");
+    params.push(new Date(filters.until).toISOString());
+  }
+  if (filters.query) {
+    clauses.push("instr(question_search, ?) > 0");
+    params.push(filters.query);
+  }
+  if (filters.parentContextId) {
+    clauses.push("parent_context_id = ?");
+    params.push(filters.parentContextId);
+  }
+  if (filters.hasAssistantError !== null) {
+    clauses.push("has_assistant_error = ?");
+    params.push(filters.hasAssistantError ? 1 : 0);
+  }
+  return {
+    where: clauses.length ? `WHERE ${clauses.join(" AND ")}` : "",
+    params,
+  };
+};
+
+const createSqliteRunStore = (DatabaseSync, dbPath) => {
+  const db = new DatabaseSync(dbPath);
+  db.exec("PRAGMA journal_mode = WAL; PRAGMA synchronous = NORMAL;");
+  db.exec(RUN_STORE_SCHEMA);
+  const transaction = (task) => {
+    db.exec("BEGIN IMMEDIATE");
+    try {
+      const result = task();
+      db.exec("COMMIT");
+      return result;
+    } catch (error) {
+      db.exec("ROLLBACK");
+      throw error;
+    }
+  };
+  const parseRecord = (row) => {
+    try {
+      const parsed = JSON.parse(row.record);
+      return parsed && typeof parsed === "object" ? parsed : null;
+    } catch {
+      return null;
+    }
+  };
+  const statements = {
+    load: db.prepare("SELECT record FROM runs WHERE id = ?"),
+    loadUpdatedAt: db.prepare("SELECT updated_at FROM runs WHERE id = ?"),
+    list: db.prepare("SELECT record FROM runs"),
+    upsert: db.prepare(`
+      INSERT INTO runs (id, status, generation_mode, parent_context_id, question_search,
+        has_assistant_error, saved_count, created_at, updated_at, record)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET
+        status = excluded.status,
+        generation_mode = excluded.generation_mode,
+        parent_context_id = excluded.parent_context_id,
+        question_search = excluded.question_search,
+        has_assistant_error = excluded.has_assistant_error,
+        saved_count = excluded.saved_count,
+        created_at = excluded.created_at,
+        updated_at = excluded.updated_at,
+        record = excluded.record
+    `),
+    deleteRun: db.prepare("DELETE FROM runs WHERE id = ?"),
+    deleteChildren: Object.fromEntries(
+      RUN_STORE_CHILD_TABLES.map((table) => [
+        table,
+        db.prepare(`DELETE FROM ${table} WHERE context_id = ?`),
+      ]),
+    ),
+    insertSavedFile: db.prepare(`
+      INSERT OR REPLACE INTO saved_files (context_id, file_path, file_name, kind,
+        content_type, byte_length, sha256, metadata_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `),
+    insertMetadataId: db.prepare(
+      "INSERT OR IGNORE INTO metadata_ids (context_id, metadata_id) VALUES (?, ?)",
+    ),
+    insertUpload: db.prepare(
+      "INSERT OR IGNORE INTO uploads (context_id, file_path) VALUES (?, ?)",
+    ),
+    lastEventSeq: db.prepare(
+      "SELECT MAX(seq) AS seq FROM run_events WHERE context_id = ?",
+    ),
+    insertEvent: db.prepare(`
+      INSERT OR REPLACE INTO run_events (context_id, seq, ts, type, stream_event_type, event)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `),
+    readEvents: db.prepare(
+      "SELECT event FROM run_events WHERE context_id = ? ORDER BY seq",
+    ),
+    readEventsAfter: db.prepare(
+      "SELECT event FROM run_events WHERE context_id = ? AND seq > ? ORDER BY seq LIMIT ?",
+    ),
+    getMeta: db.prepare("SELECT value FROM store_meta WHERE key = ?"),
+    setMeta: db.prepare(
+      "INSERT OR REPLACE INTO store_meta (key, value) VALUES (?, ?)",
+    ),
+  };
+  const textOrNull = (value) =>
+    typeof value === "string" && value ? value : null;
+  const writeRecord = (id, payload) => {
+    const savedFiles = Array.isArray(payload.result?.savedFiles)
+      ? payload.result.savedFiles
+      : [];
+    statements.upsert.run(
+      id,
+      textOrNull(payload.status),
+      textOrNull(payload.generationMode),
+      textOrNull(payload.parentContextId),
+      String(payload.question ?? payload.context?.question ?? "").toLowerCase(),
+      payload.assistantError ? 1 : 0,
+      Number.isFinite(payload.result?.savedCount)
+        ? payload.result.savedCount
+        : savedFiles.length,
+      textOrNull(payload.createdAt),
+      textOrNull(payload.updatedAt),
+      JSON.stringify(payload),
+    );
+    for (const table of ["saved_files", "metadata_ids", "uploads"]) {
+      statements.deleteChildren[table].run(id);
+    }
+    for (const entry of savedFiles) {
+      if (!textOrNull(entry?.filePath)) continue;
+      statements.insertSavedFile.run(
+        id,
+        entry.filePath,
+        textOrNull(entry.fileName),
+        textOrNull(entry.kind),
+        textOrNull(entry.contentType),
+        Number.isFinite(entry.byteLength) ? entry.byteLength : null,
+        textOrNull(entry.sha256),
+        textOrNull(entry.metadataId),
+      );
+    }
+    const metadataIds = new Set([
+      ...(payload.observedMetadataIds ?? []),
+      ...(payload.result?.metadataIds ?? []),
+    ]);
+    for (const metadataId of metadataIds) {
+      if (textOrNull(metadataId)) {
+        statements.insertMetadataId.run(id, metadataId);
+      }
+    }
+    for (const filePath of payload.uploadFiles ?? []) {
+      if (textOrNull(filePath)) {
+        statements.insertUpload.run(id, filePath);
+      }
+    }
+  };
+  const insertEvent = (id, entry) => {
+    statements.insertEvent.run(
+      id,
+      entry.seq,
+      textOrNull(entry.ts),
+      textOrNull(entry.type),
+      textOrNull(entry.streamEventType),
+      JSON.stringify(entry),
+    );
+  };
+  const store = {
+    kind: "sqlite",
+    recordPath: () => dbPath,
+    load: async (id) => {
+      const row = statements.load.get(id);
+      return row ? parseRecord(row) : null;
+    },
+    list: async () => statements.list.all().map(parseRecord).filter(Boolean),
+    save: async (id, payload) => {
+      transaction(() => writeRecord(id, payload));
+    },
+    remove: async (id) => {
+      transaction(() => {
+        statements.deleteRun.run(id);
+        for (const table of RUN_STORE_CHILD_TABLES) {
+          statements.deleteChildren[table].run(id);
+        }
+      });
+      await unlink(contextRunPath(id)).catch(() => undefined);
+      await unlink(contextRunEventsPath(id)).catch(() => undefined);
+    },
+    query: async (filters) => {
+      const { where, params } = buildRunFilterSql(filters);
+      const { total } = db
+        .prepare(`SELECT COUNT(*) AS total FROM runs ${where}`)
+        .get(...params);
+      const rows = db
+        .prepare(
+          `SELECT record FROM runs ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+        )
+        .all(...params, filters.limit, filters.offset);
+      return { total, records: rows.map(parseRecord).filter(Boolean) };
+    },
+    stats: async (filters) => {
+      const { where, params } = buildRunFilterSql(filters);
+      const totals = db
+        .prepare(
+          `SELECT COUNT(*) AS runs, MIN(created_at) AS oldest, MAX(created_at) AS newest
+           FROM runs ${where}`,
+        )
+        .get(...params);
+      const countBy = (column) =>
+        Object.fromEntries(
+          db
+            .prepare(
+              `SELECT COALESCE(${column}, 'unknown') AS value, COUNT(*) AS count
+               FROM runs ${where} GROUP BY value ORDER BY count DESC`,
+            )
+            .all(...params)
+            .map((row) => [row.value, row.count]),
+        );
+      const files = db
+        .prepare(
+          `SELECT COUNT(*) AS count, COALESCE(SUM(byte_length), 0) AS bytes
+           FROM saved_files WHERE context_id IN (SELECT id FROM runs ${where})`,
+        )
+        .get(...params);
+      return {
+        runs: totals.runs,
+        byStatus: countBy("status"),
+        byGenerationMode: countBy("generation_mode"),
+        savedFiles: files.count,
+        savedBytes: files.bytes,
+        oldestRunAt: totals.oldest ?? null,
+        newestRunAt: totals.newest ?? null,
+      };
+    },
+    lastEventSeq: async (id) => statements.lastEventSeq.get(id)?.seq ?? 0,
+    appendEvent: async (id, entry) => {
+      insertEvent(id, entry);
+    },
+    readEvents: async (id) => {
+      const rows = statements.readEvents.all(id);
+      if (rows.length === 0) return null;
+      return readJsonLines(rows.map((row) => row.event).join("\n"));
+    },
+    readEventsAfter: async (id, after, types, limit) => {
+      if (types.length === 0) {
+        const rows = statements.readEventsAfter.all(id, after, limit);
+        return readJsonLines(rows.map((row) => row.event).join("\n"));
+      }
+      const placeholders = types.map(() => "?").join(", ");
+      const rows = db
+        .prepare(`
+          SELECT event FROM run_events
+          WHERE context_id = ? AND seq > ?
+            AND (type IN (${placeholders}) OR stream_event_type IN (${placeholders}))
+          ORDER BY seq LIMIT ?
+        `)
+        .all(id, after, ...types, ...types, limit);
+      return readJsonLines(rows.map((row) => row.event).join("\n"));
+    },
+    importFileRuns: async (fileStore) => {
+      const startedAt = new Date().toISOString();
+      const watermark =
+        Date.parse(statements.getMeta.get("fileRunsImportedAt")?.value ?? "") ||
+        0;
+      let imported = 0;
+      for (const record of await fileStore.listModifiedSince(watermark)) {
+        const id = sanitizeContextId(record.id);
+        if (!id) continue;
+        const row = statements.loadUpdatedAt.get(id);
+        if (row && String(row.updated_at ?? "") >= String(record.updatedAt ?? "")) {
+          continue;
+        }
+        const events = (await fileStore.readEvents(id)) ?? [];
+        transaction(() => {
+          writeRecord(id, { ...record, id });
+          for (const entry of events) {
+            if (Number.isInteger(entry?.seq)) insertEvent(id, entry);
+          }
+        });
+        imported += 1;
+      }
+      statements.setMeta.run("fileRunsImportedAt", startedAt);
+      return imported;
+    },
+    close: () => db.close(),
+  };
+  return store;
+};
+
+const summarizeRunStats = (records) => {
+  const byStatus = {};
+  const byGenerationMode = {};
+  let savedFiles = 0;
+  let savedBytes = 0;
+  let oldestRunAt = null;
+  let newestRunAt = null;
+  for (const record of records) {
+    const status = record.status ?? "unknown";
+    const mode = record.generationMode ?? "unknown";
+    byStatus[status] = (byStatus[status] ?? 0) + 1;
+    byGenerationMode[mode] = (byGenerationMode[mode] ?? 0) + 1;
+    for (const entry of record.result?.savedFiles ?? []) {
+      if (typeof entry?.filePath !== "string" || !entry.filePath) continue;
+      savedFiles += 1;
+      savedBytes += Number.isFinite(entry.byteLength) ? entry.byteLength : 0;
+    }
+    const createdAt = record.createdAt ?? null;
+    if (createdAt && (!oldestRunAt || createdAt < oldestRunAt)) {
+      oldestRunAt = createdAt;
+    }
+    if (createdAt && (!newestRunAt || createdAt > newestRunAt)) {
+      newestRunAt = createdAt;
+    }
+  }
+  const sortCounts = (counts) =>
+    Object.fromEntries(
+      Object.entries(counts).sort((left, right) => right[1] - left[1]),
+    );
+  return {
+    runs: records.length,
+    byStatus: sortCounts(byStatus),
+    byGenerationMode: sortCounts(byGenerationMode),
+    savedFiles,
+    savedBytes,
+    oldestRunAt,
+    newestRunAt,
+  };
+};
+
+let runStore = createFileRunStore();
+
+const initRunStore = async () => {
+  if (config.runStore !== "sqlite") return;
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = await import("node:sqlite"));
+  } catch (error) {
+    console.warn(
+      `PW_RUN_STORE=sqlite needs the built-in node:sqlite module (Node 22.13+); keeping JSON run files. (${error.message})`,
+    );
+    return;
+  }
+  await mkdir(dirname(config.runStorePath), { recursive: true });
+  const fileStore = runStore;
+  runStore = createSqliteRunStore(DatabaseSync, config.runStorePath);
+  const imported = await runStore.importFileRuns(fileStore);
+  if (imported > 0) {
+    console.log(`Imported ${imported} run record(s) into ${config.runStorePath}`);
+  }
+};
+
 const loadContextRun = async (id) => {
   const safeId = sanitizeContextId(id);
   if (!safeId) return null;
-  const filePath = contextRunPath(safeId);
-  if (!existsSync(filePath)) return null;
-  try {
-    const raw = await readFile(filePath, "utf8");
-    const parsed = JSON.parse(raw);
-    return parsed && typeof parsed === "object" ? parsed : null;
-  } catch {
-    return null;
+  return runStore.load(safeId);
+};
+
+const withKeyedLock = (locks, key, task) => {
+  const previous = locks.get(key) ?? Promise.resolve();
+  const next = previous.catch(() => undefined).then(task);
+  const settled = next.catch(() => undefined);
+  locks.set(key, settled);
+  settled.then(() => {
+    if (locks.get(key) === settled) {
+      locks.delete(key);
+    }
+  });
+  return next;
+};
+
+const CONTEXT_SNAPSHOT_EVENT_TAIL = 20;
+const contextRunLocks = new Map();
+const contextRunEventSeqs = new Map();
+const contextRunEventWaiters = new Map();
+
+const wakeContextRunEventWaiters = (id) => {
+  const waiters = contextRunEventWaiters.get(id);
+  if (!waiters) return;
+  contextRunEventWaiters.delete(id);
+  for (const wake of waiters) {
+    wake();
   }
 };
 
 const persistContextRun = async (record) => {
   const safeId = sanitizeContextId(record?.id);
   if (!safeId) return null;
-  await ensureContextRunsDir();
   const nowIso = new Date().toISOString();
   const payload = {
     ...(record ?? {}),
@@ -350,9 +1057,102 @@ const persistContextRun = async (record) => {
   if (!payload.createdAt) {
     payload.createdAt = nowIso;
   }
-  const filePath = contextRunPath(safeId);
-  await writeFile(filePath, JSON.stringify(payload, null, 2));
-  return { payload, filePath };
+  if (Array.isArray(payload.events)) {
+    payload.events = payload.events.slice(-CONTEXT_SNAPSHOT_EVENT_TAIL);
+  }
+  await withKeyedLock(contextRunLocks, safeId, async () => {
+    await runStore.save(safeId, payload);
+    if (isTerminalRunStatus(payload.status)) {
+      contextRunEventSeqs.delete(safeId);
+    }
+  });
+  if (isTerminalRunStatus(payload.status)) {
+    wakeContextRunEventWaiters(safeId);
+  }
+  return { payload, filePath: runStore.recordPath(safeId) };
+};
+
+const appendContextRunEvent = (id, event) =>
+  withKeyedLock(contextRunLocks, id, async () => {
+    if (!contextRunEventSeqs.has(id)) {
+      contextRunEventSeqs.set(id, await runStore.lastEventSeq(id));
+    }
+    const entry = { seq: contextRunEventSeqs.get(id) + 1, ...event };
+    await runStore.appendEvent(id, entry);
+    contextRunEventSeqs.set(id, entry.seq);
+    wakeContextRunEventWaiters(id);
+    return entry;
+  });
+
+// Finished runs leave the seq cache; a late event re-reads the last seq from
+// the store.
+const forgetContextRunEventSeq = (id) =>
+  withKeyedLock(contextRunLocks, id, () => {
+    contextRunEventSeqs.delete(id);
+  });
+
+const waitForContextRunEvent = (id, afterSeq, timeoutMs, res) =>
+  new Promise((resolveWait) => {
+    if ((contextRunEventSeqs.get(id) ?? 0) > afterSeq || res.destroyed) {
+      resolveWait();
+      return;
+    }
+    let waiters = contextRunEventWaiters.get(id);
+    if (!waiters) {
+      waiters = new Set();
+      contextRunEventWaiters.set(id, waiters);
+    }
+    const wake = () => {
+      clearTimeout(timer);
+      res.off("close", wake);
+      waiters.delete(wake);
+      if (waiters.size === 0 && contextRunEventWaiters.get(id) === waiters) {
+        contextRunEventWaiters.delete(id);
+      }
+      resolveWait();
+    };
+    const timer = setTimeout(wake, timeoutMs);
+    res.once("close", wake);
+    waiters.add(wake);
+  });
+
+const readContextRunEvents = (id) => runStore.readEvents(id);
+
+const TERMINAL_RUN_STATUSES = new Set(["completed", "error", "cancelled"]);
+
+const isTerminalRunStatus = (status) => TERMINAL_RUN_STATUSES.has(status);
+
+const contextEventListeners = new Map();
+
+const subscribeContextEvents = (id, listener) => {
+  const safeId = sanitizeContextId(id);
+  if (!safeId || typeof listener !== "function") return () => undefined;
+  let listeners = contextEventListeners.get(safeId);
+  if (!listeners) {
+    listeners = new Set();
+    contextEventListeners.set(safeId, listeners);
+  }
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0 && contextEventListeners.get(safeId) === listeners) {
+      contextEventListeners.delete(safeId);
+    }
+  };
+};
+
+const publishContextEvent = (id, type, data) => {
+  const safeId = sanitizeContextId(id);
+  const listeners = safeId ? contextEventListeners.get(safeId) : null;
+  if (!listeners || listeners.size === 0) return;
+  const event = { contextId: safeId, type, data };
+  for (const listener of [...listeners]) {
+    try {
+      listener(event);
+    } catch (error) {
+      console.warn("Context event listener failed:", error);
+    }
+  }
 };
 
 const hasSessionData = async (dir) => {
@@ -466,6 +1266,21 @@ const scheduleMinimize = () => {
   }, 800);
 };
 
+const isChatGptHost = (value) => {
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch {
+    return false;
+  }
+  const hostname = parsed.hostname.toLowerCase();
+  if (/(^|\.)(chatgpt\.com|chat\.openai\.com)$/i.test(hostname)) return true;
+  return (
+    config.chatGptHosts.includes(parsed.host.toLowerCase()) ||
+    config.chatGptHosts.includes(hostname)
+  );
+};
+
 const buildChatGptProjectUrl = (value) => {
   if (!value) return "";
   const trimmed = value.trim();
@@ -493,11 +1308,14 @@ const persistLocalConfig = async () => {
           projectDir: config.projectDir,
           chatGptProjectUrl: config.chatGptProjectUrl || null,
           chatGptProjectId: config.chatGptProjectId || null,
+          apiToken: localApiToken,
         },
         null,
         2,
       ),
+      { mode: 0o600 },
     );
+    await chmod(LOCAL_CONFIG_PATH, 0o600).catch(() => undefined);
   } catch {
     // ignore write failures
   }
@@ -524,6 +1342,10 @@ const ensureConfig = async () => {
         typeof parsed?.chatGptProjectId === "string"
           ? parsed.chatGptProjectId
           : null;
+      localApiToken =
+        typeof parsed?.apiToken === "string" && parsed.apiToken
+          ? parsed.apiToken
+          : null;
     } catch {
       // ignore config read failures
     }
@@ -568,6 +1390,14 @@ const ensureConfig = async () => {
     );
   }
 
+  if (config.authEnabled && !config.apiToken) {
+    if (!localApiToken) {
+      localApiToken = randomBytes(24).toString("base64url");
+      console.log(`Generated API token and saved it to ${LOCAL_CONFIG_PATH}`);
+    }
+    config.apiToken = localApiToken;
+  }
+
   await persistLocalConfig();
 
   const hasSession = await hasSessionData(config.storageDir);
@@ -686,8 +1516,7 @@ const mergeSaveResults = (base, extra) => {
   );
 };
 
-const retainLatestImageOnly = async (saveResult) => {
-  if (!saveResult) return buildSaveResult();
+const collectImageFrameCandidates = (saveResult) => {
   const savedFiles = Array.isArray(saveResult.savedFiles)
     ? saveResult.savedFiles.filter((entry) => entry && entry.filePath)
     : [];
@@ -746,6 +1575,7 @@ const retainLatestImageOnly = async (saveResult) => {
     isStreamPart = false,
     streamPartIndex = null,
     isFinalStreamFrame = false,
+    deduplicated = false,
   }) => {
     if (typeof filePath !== "string" || !filePath.trim()) return;
     const normalizedPath = filePath.trim();
@@ -789,6 +1619,7 @@ const retainLatestImageOnly = async (saveResult) => {
       isStreamPart: normalizedIsStreamPart,
       streamPartIndex: normalizedStreamPartIndex,
       isFinalStreamFrame: normalizedIsFinalStreamFrame,
+      deduplicated: deduplicated === true,
     });
   };
 
@@ -811,10 +1642,6 @@ const retainLatestImageOnly = async (saveResult) => {
     pushCandidate(file);
   }
 
-  if (orderedCandidates.length === 0) {
-    return saveResult;
-  }
-
   const existingCandidates = [];
   const seenExistingPaths = new Set();
   for (let index = orderedCandidates.length - 1; index >= 0; index -= 1) {
@@ -832,6 +1659,21 @@ const retainLatestImageOnly = async (saveResult) => {
     existingCandidates.push(candidate);
   }
 
+  return {
+    streamEvents,
+    orderedCandidates,
+    existingCandidates,
+    finalFrameMetadataIds,
+    preferredFinalFrameMetadataIds,
+  };
+};
+
+const selectLatestImageCandidate = ({
+  orderedCandidates,
+  existingCandidates,
+  finalFrameMetadataIds,
+  preferredFinalFrameMetadataIds,
+}) => {
   let selected = null;
   for (let index = preferredFinalFrameMetadataIds.length - 1; index >= 0; index -= 1) {
     const metadataId = preferredFinalFrameMetadataIds[index];
@@ -867,68 +1709,239 @@ const retainLatestImageOnly = async (saveResult) => {
     selected =
       existingCandidates[0] || orderedCandidates[orderedCandidates.length - 1];
   }
-  if (!selected) {
-    return saveResult;
-  }
+  return selected;
+};
 
-  let byteLength = Number.isFinite(selected.byteLength)
-    ? selected.byteLength
+const describeRetainedImage = async (candidate, metadataId) => {
+  let byteLength = Number.isFinite(candidate.byteLength)
+    ? candidate.byteLength
     : 0;
   try {
-    if (existsSync(selected.filePath)) {
-      const info = await stat(selected.filePath);
+    if (existsSync(candidate.filePath)) {
+      const info = await stat(candidate.filePath);
       byteLength = info?.size ?? byteLength;
     }
   } catch {
     // keep existing byteLength when stat fails
   }
+  return {
+    filePath: candidate.filePath,
+    fileName: candidate.fileName || basename(candidate.filePath),
+    byteLength,
+    contentType: candidate.contentType || "",
+    metadataId,
+    sourceFileName: candidate.sourceFileName || null,
+    isStreamPart: candidate.isStreamPart === true,
+    streamPartIndex: candidate.streamPartIndex,
+    isFinalStreamFrame:
+      candidate.isFinalStreamFrame === true ||
+      Boolean(
+        candidate.sourceFileName &&
+          !isLikelyImageStreamPartName(candidate.sourceFileName),
+      ),
+  };
+};
 
-  const pathsToDelete = new Set(
+const discardImageFrames = async (
+  orderedCandidates,
+  keptPaths,
+  { keepFrames = false } = {},
+) => {
+  // A deduplicated save points at a file that may belong to another run (or
+  // another frame of this one); leave it where it is.
+  const sharedPaths = new Set(
     orderedCandidates
-      .map((candidate) => candidate?.filePath)
-      .filter(Boolean)
-      .filter((filePath) => filePath !== selected.filePath),
+      .filter((candidate) => candidate?.deduplicated)
+      .map((candidate) => candidate.filePath),
   );
-  for (const path of pathsToDelete) {
+  const candidateByPath = new Map();
+  for (const candidate of orderedCandidates) {
+    if (
+      !candidate?.filePath ||
+      keptPaths.has(candidate.filePath) ||
+      sharedPaths.has(candidate.filePath)
+    ) {
+      continue;
+    }
+    const previous = candidateByPath.get(candidate.filePath);
+    if (!previous || candidate.sourceFileName) {
+      candidateByPath.set(candidate.filePath, candidate);
+    }
+  }
+  const frames = [];
+  for (const [path, candidate] of candidateByPath) {
+    if (keepFrames && existsSync(path)) {
+      try {
+        const framesDir = resolve(dirname(path), "frames");
+        await mkdir(framesDir, { recursive: true });
+        const framePath = ensureUniqueOutputPath(
+          resolve(framesDir, basename(path)),
+        );
+        await rename(path, framePath);
+        frames.push({
+          filePath: framePath,
+          fileName: basename(framePath),
+          sourceFileName: candidate.sourceFileName || null,
+          metadataId: candidate.metadataId,
+          isStreamPart: candidate.isStreamPart === true,
+          streamPartIndex: candidate.streamPartIndex,
+          isFinalStreamFrame: candidate.isFinalStreamFrame === true,
+        });
+        continue;
+      } catch (error) {
+        console.warn("Unable to move image frame into frames/:", path, error);
+      }
+    }
     try {
       await unlink(path);
     } catch {
       // best effort cleanup
     }
   }
+  return frames;
+};
+
+const retainLatestImageOnly = async (saveResult, { keepFrames = false } = {}) => {
+  if (!saveResult) return buildSaveResult();
+  const candidates = collectImageFrameCandidates(saveResult);
+  if (candidates.orderedCandidates.length === 0) {
+    return saveResult;
+  }
+  const selected = selectLatestImageCandidate(candidates);
+  if (!selected) {
+    return saveResult;
+  }
+  const frames = await discardImageFrames(
+    candidates.orderedCandidates,
+    new Set([selected.filePath]),
+    { keepFrames },
+  );
 
   const latestMetadataId =
     selected.metadataId ||
     (Array.isArray(saveResult.metadataIds) && saveResult.metadataIds.length > 0
       ? saveResult.metadataIds[saveResult.metadataIds.length - 1]
       : null);
-  return buildSaveResult(
+  const retained = buildSaveResult(
     1,
-    [
-      {
-        filePath: selected.filePath,
-        fileName: selected.fileName || basename(selected.filePath),
-        byteLength,
-        contentType: selected.contentType || "",
-        metadataId: latestMetadataId,
-        sourceFileName: selected.sourceFileName || null,
-        isStreamPart: selected.isStreamPart === true,
-        streamPartIndex: selected.streamPartIndex,
-        isFinalStreamFrame:
-          selected.isFinalStreamFrame === true ||
-          (selected.sourceFileName &&
-            !isLikelyImageStreamPartName(selected.sourceFileName)),
-      },
-    ],
+    [await describeRetainedImage(selected, latestMetadataId)],
     latestMetadataId ? [latestMetadataId] : [],
-    streamEvents,
+    candidates.streamEvents,
   );
+  return keepFrames ? { ...retained, frames } : retained;
 };
 
-const createImageRun = (
-  { randomizeFileNames = false, generationMode = "image", outputDir } = {},
-) => {
-  const normalizedMode = generationMode === "file" ? "file" : "image";
+const imageLineageName = (candidate) =>
+  candidate.sourceFileName
+    ? candidate.sourceFileName
+        .replace(IMAGE_STREAM_PART_SEGMENT_RE, "")
+        .toLowerCase()
+    : "";
+
+const groupImageCandidatesByLineage = (existingCandidates) => {
+  const lineages = [];
+  const openLineageByName = new Map();
+  for (const candidate of [...existingCandidates].reverse()) {
+    const name = imageLineageName(candidate);
+    if (!name) {
+      lineages.push({ name: null, candidates: [candidate], closed: true });
+      continue;
+    }
+    let lineage = openLineageByName.get(name);
+    if (!lineage || lineage.closed) {
+      lineage = { name, candidates: [], closed: false };
+      lineages.push(lineage);
+      openLineageByName.set(name, lineage);
+    }
+    lineage.candidates.push(candidate);
+    if (candidate.isFinalStreamFrame) {
+      lineage.closed = true;
+    }
+  }
+  return lineages;
+};
+
+const retainFinalImagePerLineage = async (
+  saveResult,
+  { keepFrames = false } = {},
+) => {
+  if (!saveResult) return buildSaveResult();
+  const candidates = collectImageFrameCandidates(saveResult);
+  if (candidates.existingCandidates.length === 0) {
+    return saveResult;
+  }
+  const selected = groupImageCandidatesByLineage(
+    candidates.existingCandidates,
+  ).map((lineage) => {
+    const newestFirst = [...lineage.candidates].reverse();
+    return (
+      newestFirst.find((candidate) => candidate.isFinalStreamFrame) ||
+      newestFirst[0]
+    );
+  });
+  const frames = await discardImageFrames(
+    candidates.orderedCandidates,
+    new Set(selected.map((candidate) => candidate.filePath)),
+    { keepFrames },
+  );
+  const retainedFiles = [];
+  for (const candidate of selected) {
+    retainedFiles.push(
+      await describeRetainedImage(candidate, candidate.metadataId),
+    );
+  }
+  const retained = buildSaveResult(
+    retainedFiles.length,
+    retainedFiles,
+    retainedFiles.map((entry) => entry.metadataId),
+    candidates.streamEvents,
+  );
+  return keepFrames ? { ...retained, frames } : retained;
+};
+
+const retainImageFrames = async (saveResult, imageRun = null) => {
+  const previews =
+    saveResult && imageRun?.preview === true
+      ? await buildImagePreviews(saveResult, {
+          latestOnly: imageRun.images !== "all",
+        })
+      : [];
+  const retained =
+    imageRun?.images === "all"
+      ? await retainFinalImagePerLineage(saveResult, {
+          keepFrames: imageRun.keepFrames === true,
+        })
+      : await retainLatestImageOnly(saveResult, {
+          keepFrames: imageRun?.keepFrames === true,
+        });
+  if (previews.length === 0) return retained;
+  return {
+    ...retained,
+    savedCount: (retained.savedCount ?? 0) + previews.length,
+    savedFiles: [...(retained.savedFiles ?? []), ...previews],
+  };
+};
+
+const createImageRun = (
+  {
+    randomizeFileNames = false,
+    generationMode = "image",
+    outputDir,
+    contentAddressed = config.contentAddressed,
+    embedProvenance = config.embedProvenance,
+    record = config.recordRuns,
+    images = config.images,
+    keepFrames = config.keepFrames,
+    preview = config.imagePreview,
+    textHtml = config.textHtml,
+    globalLatest = config.globalLatest,
+    batchId = null,
+  } = {},
+) => {
+  const normalizedMode =
+    generationMode === "file" || generationMode === "text"
+      ? generationMode
+      : "image";
   const resolvedOutputDir = resolvePathInput(
     typeof outputDir === "string" && outputDir.trim()
       ? outputDir.trim()
@@ -940,8 +1953,20 @@ const createImageRun = (
     randomizeFileNames,
     nextFileIndex: 1,
     generationMode: normalizedMode,
-    filePrefix: normalizedMode === "file" ? "file" : "image",
+    filePrefix: normalizedMode,
     outputDir: resolvedOutputDir,
+    contentAddressed: contentAddressed === true,
+    embedProvenance: embedProvenance === true,
+    images: images === "all" ? "all" : "latest",
+    keepFrames: keepFrames === true,
+    preview: preview === true,
+    textHtml: textHtml === true,
+    globalLatest: globalLatest === true,
+    batchId: typeof batchId === "string" && batchId ? batchId : null,
+    contextId: null,
+    prompt: null,
+    conversationId: null,
+    recording: record === true ? createNetworkRecording() : null,
   };
 };
 
@@ -951,2912 +1976,7147 @@ const resolveRunOutputDir = (imageRun = null) => {
   return runOutputDir || config.outputDir;
 };
 
+const LATEST_POINTERS_DIR = "latest";
+
+const writeLatestPointer = async (pointerPath, pointer) => {
+  await mkdir(dirname(pointerPath), { recursive: true });
+  const tempPath = `${pointerPath}.${randomUUID()}.tmp`;
+  await writeFile(tempPath, JSON.stringify(pointer, null, 2), "utf8");
+  await rename(tempPath, pointerPath);
+  return pointerPath;
+};
+
+const writeLatestPointers = async (imageRun, { contextId, savedFiles }) => {
+  const latestSaved = [...(savedFiles ?? [])]
+    .reverse()
+    .find((entry) => entry?.filePath && entry.kind !== "preview");
+  if (!latestSaved) return null;
+  const outputDir = resolveRunOutputDir(imageRun);
+  const pointer = {
+    runId: imageRun.runId,
+    contextId: contextId ?? null,
+    batchId: imageRun.batchId ?? null,
+    filePath: latestSaved.filePath,
+    fileName: latestSaved.fileName ?? basename(latestSaved.filePath),
+    contentType: latestSaved.contentType ?? null,
+    savedFiles: savedFiles.map((entry) => entry?.filePath).filter(Boolean),
+    updatedAt: new Date().toISOString(),
+  };
+  const written = { run: null, batch: null, global: null };
+  try {
+    written.run = await writeLatestPointer(
+      resolve(outputDir, LATEST_POINTERS_DIR, `run-${imageRun.runId}.json`),
+      pointer,
+    );
+    if (imageRun.batchId) {
+      written.batch = await writeLatestPointer(
+        resolve(
+          outputDir,
+          LATEST_POINTERS_DIR,
+          `batch-${imageRun.batchId}.json`,
+        ),
+        pointer,
+      );
+    }
+    if (imageRun.globalLatest) {
+      const globalPath = resolve(
+        outputDir,
+        applyExtension(
+          "latest",
+          extensionFromContentType(latestSaved.contentType),
+        ),
+      );
+      if (latestSaved.filePath !== globalPath) {
+        await copyFile(latestSaved.filePath, globalPath);
+      }
+      written.global = globalPath;
+    }
+  } catch (error) {
+    console.warn("Unable to write latest pointer:", error);
+  }
+  return written;
+};
+
 const nextRandomBaseName = (imageRun) => {
   const index = String(imageRun.nextFileIndex).padStart(2, "0");
   imageRun.nextFileIndex += 1;
   return `${imageRun.filePrefix || "image"}-${imageRun.runId}-${index}`;
 };
 
-const saveBufferToDisk = async (
-  buffer,
-  { fileName, contentType, metadataId = null, imageRun = null },
-) => {
-  const outputDir = await ensureOutputDir(resolveRunOutputDir(imageRun));
-  const ext = extensionFromContentType(contentType);
-  const normalizedName =
-    typeof fileName === "string" && fileName.trim()
-      ? basename(fileName.trim())
-      : "";
-  const baseName =
-    imageRun?.randomizeFileNames === true
-      ? nextRandomBaseName(imageRun)
-      : normalizedName ||
-        `${imageRun?.filePrefix || "download"}-${Date.now()}`;
-  let safeName = sanitizeFileName(baseName);
-  safeName = applyExtension(safeName, ext);
-  const filePath = resolve(outputDir, safeName);
-  await writeFile(filePath, buffer);
-  console.log("Saved file:", filePath);
-  return {
-    filePath,
-    fileName: basename(filePath),
-    byteLength: buffer?.byteLength ?? 0,
-    contentType,
-    metadataId,
-  };
+const PROVENANCE_GENERATOR = "kthx-openai-media-generator";
+const PROVENANCE_XMP_NAMESPACE = "https://github.com/Ravonus/KTHX-OpenAI-Media-Generator/ns/1.0/";
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const JPEG_XMP_HEADER = Buffer.from("http://ns.adobe.com/xap/1.0/\0", "latin1");
+const JPEG_MAX_SEGMENT_BYTES = 65_533;
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let index = 0; index < 256; index += 1) {
+    let value = index;
+    for (let bit = 0; bit < 8; bit += 1) {
+      value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+    }
+    table[index] = value >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
 };
 
-const execFileWithOutput = (file, args, { timeoutMs = 0 } = {}) =>
-  new Promise((resolvePromise, rejectPromise) => {
-    execFile(
-      file,
-      args,
-      {
-        timeout: timeoutMs > 0 ? timeoutMs : undefined,
-        maxBuffer: 2 * 1024 * 1024,
-      },
-      (error, stdout, stderr) => {
-        if (error) {
-          const err = error instanceof Error ? error : new Error(String(error));
-          err.stdout = stdout;
-          err.stderr = stderr;
-          rejectPromise(err);
-          return;
-        }
-        resolvePromise({ stdout, stderr });
-      },
-    );
-  });
+const buildProvenance = ({ imageRun, metadataId, sourceFileName }) => ({
+  generator: PROVENANCE_GENERATOR,
+  prompt: imageRun?.prompt ?? null,
+  runId: imageRun?.runId ?? null,
+  contextId: imageRun?.contextId ?? null,
+  conversationId: imageRun?.conversationId ?? null,
+  metadataId: metadataId || null,
+  sourceFileName: sourceFileName || null,
+  savedAt: new Date().toISOString(),
+});
 
-const buildCookieHeaderForUrl = async (pageInstance, url) => {
-  try {
-    const cookies = await pageInstance.context().cookies([url]);
-    if (!Array.isArray(cookies) || cookies.length === 0) return "";
-    return cookies
-      .filter((cookie) => cookie?.name)
-      .map((cookie) => `${cookie.name}=${cookie.value ?? ""}`)
-      .join("; ");
-  } catch {
-    return "";
-  }
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const buildProvenanceXmp = (provenance) => {
+  const fields = Object.entries(provenance)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `   <kthx:${key}>${escapeXml(value)}</kthx:${key}>`)
+    .join("\n");
+  const description = provenance.prompt
+    ? `\n   <dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(provenance.prompt)}</rdf:li></rdf:Alt></dc:description>`
+    : "";
+  return [
+    '<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    `  <rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmlns:kthx="${PROVENANCE_XMP_NAMESPACE}">`,
+    `   <xmp:CreatorTool>${PROVENANCE_GENERATOR}</xmp:CreatorTool>${description}`,
+    fields,
+    "  </rdf:Description>",
+    " </rdf:RDF>",
+    "</x:xmpmeta>",
+    '<?xpacket end="w"?>',
+  ].join("\n");
 };
 
-const parseHttpStatusCode = (line) => {
-  if (typeof line !== "string") return null;
-  const match = /^HTTP\/\d(?:\.\d)?\s+(\d{3})/i.exec(line.trim());
-  if (!match) return null;
-  const code = Number(match[1]);
-  return Number.isFinite(code) ? code : null;
+const buildPngChunk = (type, data) => {
+  const typeBuffer = Buffer.from(type, "latin1");
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([typeBuffer, data])));
+  return Buffer.concat([length, typeBuffer, data, crc]);
 };
 
-const parseCurlHeaderDump = (rawValue) => {
-  if (typeof rawValue !== "string" || !rawValue.trim()) {
-    return { statusCode: null, headers: {} };
+const buildPngItxtChunk = (keyword, text) =>
+  buildPngChunk(
+    "iTXt",
+    Buffer.concat([
+      Buffer.from(keyword, "latin1"),
+      Buffer.from([0, 0, 0, 0, 0]),
+      Buffer.from(text, "utf8"),
+    ]),
+  );
+
+const embedPngProvenance = (buffer, provenance) => {
+  if (buffer.length < 33 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return null;
   }
-  const lines = rawValue.split(/\r?\n/);
-  const blocks = [];
-  let current = null;
-  for (const line of lines) {
-    if (/^HTTP\/\d/i.test(line)) {
-      if (current) {
-        blocks.push(current);
-      }
-      current = {
-        statusLine: line.trim(),
-        headers: {},
-      };
-      continue;
-    }
-    if (!current) continue;
-    const separatorIndex = line.indexOf(":");
-    if (separatorIndex <= 0) continue;
-    const name = line.slice(0, separatorIndex).trim().toLowerCase();
-    const value = line.slice(separatorIndex + 1).trim();
-    if (!name) continue;
-    current.headers[name] = value;
-  }
-  if (current) {
-    blocks.push(current);
-  }
-  if (blocks.length === 0) {
-    return { statusCode: null, headers: {} };
-  }
-  let selected = blocks[blocks.length - 1];
-  for (let index = blocks.length - 1; index >= 0; index -= 1) {
-    const candidate = blocks[index];
-    const statusCode = parseHttpStatusCode(candidate.statusLine);
-    if (statusCode && statusCode !== 100) {
-      selected = candidate;
-      break;
-    }
+  if (buffer.toString("latin1", 12, 16) !== "IHDR") return null;
+  const ihdrEnd = 8 + 12 + buffer.readUInt32BE(8);
+  return Buffer.concat([
+    buffer.subarray(0, ihdrEnd),
+    buildPngItxtChunk("XML:com.adobe.xmp", buildProvenanceXmp(provenance)),
+    buildPngItxtChunk("provenance", JSON.stringify(provenance)),
+    buffer.subarray(ihdrEnd),
+  ]);
+};
+
+const embedJpegProvenance = (buffer, provenance) => {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) {
+    return null;
   }
-  return {
-    statusCode: parseHttpStatusCode(selected.statusLine),
-    headers: selected.headers,
-  };
+  const payload = Buffer.concat([
+    JPEG_XMP_HEADER,
+    Buffer.from(buildProvenanceXmp(provenance), "utf8"),
+  ]);
+  if (payload.length > JPEG_MAX_SEGMENT_BYTES) return null;
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(0xffe1, 0);
+  header.writeUInt16BE(payload.length + 2, 2);
+  let insertAt = 2;
+  if (buffer[2] === 0xff && buffer[3] === 0xe0 && buffer.length >= 6) {
+    insertAt = 4 + buffer.readUInt16BE(4);
+  }
+  return Buffer.concat([
+    buffer.subarray(0, insertAt),
+    header,
+    payload,
+    buffer.subarray(insertAt),
+  ]);
 };
 
-let curlUnavailableLogged = false;
+const buildRiffChunk = (fourCc, data) => {
+  const header = Buffer.alloc(8);
+  header.write(fourCc, 0, "latin1");
+  header.writeUInt32LE(data.length, 4);
+  return Buffer.concat([
+    header,
+    data,
+    data.length % 2 ? Buffer.alloc(1) : Buffer.alloc(0),
+  ]);
+};
 
-const fetchDownloadWithCurl = async (
-  pageInstance,
-  url,
-  { timeoutMs = 25_000, outputDir = config.outputDir } = {},
-) => {
-  const targetOutputDir = await ensureOutputDir(outputDir);
-  const runId = randomUUID();
-  const headerPath = resolve(targetOutputDir, `.curl-${runId}.headers`);
-  const bodyPath = resolve(targetOutputDir, `.curl-${runId}.body`);
-  const args = [
-    "-sS",
-    "-L",
-    "--fail",
-    "--retry",
-    "2",
-    "--retry-delay",
-    "1",
-    "--retry-all-errors",
-    "--connect-timeout",
-    "10",
-    "--max-time",
-    String(Math.max(5, Math.ceil(timeoutMs / 1000))),
-    "-H",
-    "Accept: */*",
-  ];
-  const referer = pageInstance.url();
-  if (referer) {
-    args.push("-e", referer);
+const readWebpCanvasSize = (fourCc, data) => {
+  if (fourCc === "VP8 " && data.length >= 10) {
+    return {
+      width: data.readUInt16LE(6) & 0x3fff,
+      height: data.readUInt16LE(8) & 0x3fff,
+      alpha: false,
+    };
+  }
+  if (fourCc === "VP8L" && data.length >= 5 && data[0] === 0x2f) {
+    const bits = data.readUInt32LE(1);
+    return {
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >>> 14) & 0x3fff) + 1,
+      alpha: ((bits >>> 28) & 1) === 1,
+    };
   }
-  const cookieHeader = await buildCookieHeaderForUrl(pageInstance, url);
-  if (cookieHeader) {
-    args.push("-H", `Cookie: ${cookieHeader}`);
+  return null;
+};
+
+const readWebpChunks = (buffer) => {
+  if (
+    buffer.length < 20 ||
+    buffer.toString("latin1", 0, 4) !== "RIFF" ||
+    buffer.toString("latin1", 8, 12) !== "WEBP"
+  ) {
+    return null;
   }
-  if (config.userAgent) {
-    args.push("-A", config.userAgent);
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const fourCc = buffer.toString("latin1", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const data = buffer.subarray(offset + 8, offset + 8 + size);
+    if (data.length < size) return null;
+    chunks.push({ fourCc, data });
+    offset += 8 + size + (size % 2);
   }
-  args.push("-D", headerPath, "-o", bodyPath, url);
-  try {
-    await execFileWithOutput("curl", args, { timeoutMs: timeoutMs + 5_000 });
-    const [headerDump, buffer] = await Promise.all([
-      readFile(headerPath, "utf8").catch(() => ""),
-      readFile(bodyPath),
+  return chunks;
+};
+
+const buildWebpFile = (body) => {
+  const riffHeader = Buffer.alloc(12);
+  riffHeader.write("RIFF", 0, "latin1");
+  riffHeader.writeUInt32LE(body.length + 4, 4);
+  riffHeader.write("WEBP", 8, "latin1");
+  return Buffer.concat([riffHeader, body]);
+};
+
+const embedWebpProvenance = (buffer, provenance) => {
+  const chunks = readWebpChunks(buffer);
+  if (!chunks) return null;
+  const xmpChunk = buildRiffChunk(
+    "XMP ",
+    Buffer.from(buildProvenanceXmp(provenance), "utf8"),
+  );
+  const kept = chunks.filter((chunk) => chunk.fourCc !== "XMP ");
+  let body;
+  if (kept[0]?.fourCc === "VP8X") {
+    const header = Buffer.from(kept[0].data);
+    header[0] |= 0x04;
+    body = Buffer.concat([
+      buildRiffChunk("VP8X", header),
+      ...kept.slice(1).map((chunk) => buildRiffChunk(chunk.fourCc, chunk.data)),
+      xmpChunk,
     ]);
-    const parsed = parseCurlHeaderDump(headerDump);
-    const contentType = parsed.headers["content-type"] ?? "";
-    const disposition = parsed.headers["content-disposition"] ?? "";
-    return {
-      buffer,
-      contentType,
-      status: parsed.statusCode ?? 200,
-      fileName: parseContentDispositionFileName(disposition),
-    };
-  } finally {
-    await Promise.all([
-      unlink(headerPath).catch(() => undefined),
-      unlink(bodyPath).catch(() => undefined),
+  } else {
+    const canvas = kept[0] ? readWebpCanvasSize(kept[0].fourCc, kept[0].data) : null;
+    if (!canvas) return null;
+    const header = Buffer.alloc(10);
+    header[0] = 0x04 | (canvas.alpha ? 0x10 : 0);
+    header.writeUIntLE(canvas.width - 1, 4, 3);
+    header.writeUIntLE(canvas.height - 1, 7, 3);
+    body = Buffer.concat([
+      buildRiffChunk("VP8X", header),
+      ...kept.map((chunk) => buildRiffChunk(chunk.fourCc, chunk.data)),
+      xmpChunk,
     ]);
   }
+  return buildWebpFile(body);
 };
 
-const fetchDownloadWithRetry = async (
-  pageInstance,
-  url,
-  { attempts = 4, preferCurl = false, outputDir = config.outputDir } = {},
-) => {
-  if (preferCurl && config.preferCurlDownloads) {
-    try {
-      return await fetchDownloadWithCurl(pageInstance, url, {
-        timeoutMs: config.curlTimeoutMs,
-        outputDir,
-      });
-    } catch (error) {
-      const code = error && typeof error === "object" ? error.code : "";
-      if (code === "ENOENT") {
-        if (!curlUnavailableLogged) {
-          curlUnavailableLogged = true;
-          console.warn(
-            "curl not found in PATH. Falling back to Playwright downloads.",
-          );
-        }
-      } else {
-        console.warn(
-          "curl download failed. Falling back to Playwright request download.",
-          error?.message ?? error,
-        );
+const embedProvenanceInBuffer = (buffer, provenance) => {
+  if (!Buffer.isBuffer(buffer)) return null;
+  try {
+    return (
+      embedPngProvenance(buffer, provenance) ??
+      embedJpegProvenance(buffer, provenance) ??
+      embedWebpProvenance(buffer, provenance)
+    );
+  } catch (error) {
+    console.warn("Unable to embed provenance metadata:", error);
+    return null;
+  }
+};
+
+const PREVIEW_MIN_FRAME_MS = 40;
+const PREVIEW_MAX_FRAME_MS = 5_000;
+const PREVIEW_DEFAULT_FRAME_MS = 500;
+const PREVIEW_FINAL_FRAME_MS = 2_000;
+const APNG_COPIED_CHUNK_EXCLUDES = new Set([
+  "IHDR",
+  "acTL",
+  "fcTL",
+  "tEXt",
+  "iTXt",
+  "zTXt",
+]);
+const WEBP_FRAME_CHUNKS = new Set(["ALPH", "VP8 ", "VP8L"]);
+
+const readPngChunks = (buffer) => {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return null;
+  }
+  const chunks = [];
+  let offset = 8;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (data.length < length) return null;
+    chunks.push({ type, data });
+    offset += 12 + length;
+    if (type === "IEND") break;
+  }
+  return chunks[0]?.type === "IHDR" ? chunks : null;
+};
+
+const encodeApngPreview = (frames) => {
+  const parsed = frames.map((frame) => readPngChunks(frame.buffer));
+  if (parsed.some((chunks) => !chunks)) return null;
+  const ihdr = parsed[0][0].data;
+  const paletteOf = (chunks) =>
+    chunks.find((chunk) => chunk.type === "PLTE")?.data ?? Buffer.alloc(0);
+  const palette = paletteOf(parsed[0]);
+  if (
+    parsed.some(
+      (chunks) =>
+        !chunks[0].data.equals(ihdr) || !paletteOf(chunks).equals(palette),
+    )
+  ) {
+    return null;
+  }
+  const firstIdatIndex = parsed[0].findIndex((chunk) => chunk.type === "IDAT");
+  if (firstIdatIndex < 0) return null;
+  const actl = Buffer.alloc(8);
+  actl.writeUInt32BE(frames.length, 0);
+  actl.writeUInt32BE(0, 4);
+  const output = [
+    PNG_SIGNATURE,
+    buildPngChunk("IHDR", ihdr),
+    buildPngChunk("acTL", actl),
+    ...parsed[0]
+      .slice(1, firstIdatIndex)
+      .filter((chunk) => !APNG_COPIED_CHUNK_EXCLUDES.has(chunk.type))
+      .map((chunk) => buildPngChunk(chunk.type, chunk.data)),
+  ];
+  let sequence = 0;
+  parsed.forEach((chunks, index) => {
+    const fctl = Buffer.alloc(26);
+    fctl.writeUInt32BE(sequence++, 0);
+    ihdr.copy(fctl, 4, 0, 8);
+    fctl.writeUInt16BE(frames[index].delayMs, 20);
+    fctl.writeUInt16BE(1000, 22);
+    output.push(buildPngChunk("fcTL", fctl));
+    for (const chunk of chunks) {
+      if (chunk.type !== "IDAT") continue;
+      if (index === 0) {
+        output.push(buildPngChunk("IDAT", chunk.data));
+        continue;
       }
+      const header = Buffer.alloc(4);
+      header.writeUInt32BE(sequence++, 0);
+      output.push(buildPngChunk("fdAT", Buffer.concat([header, chunk.data])));
     }
+  });
+  output.push(buildPngChunk("IEND", Buffer.alloc(0)));
+  return {
+    buffer: Buffer.concat(output),
+    extension: "png",
+    contentType: "image/apng",
+  };
+};
+
+const encodeAnimatedWebpPreview = (frames) => {
+  const parsed = [];
+  for (const frame of frames) {
+    const chunks = readWebpChunks(frame.buffer)?.filter((chunk) =>
+      WEBP_FRAME_CHUNKS.has(chunk.fourCc),
+    );
+    const bitstream = chunks?.find((chunk) => chunk.fourCc !== "ALPH");
+    const canvas = bitstream
+      ? readWebpCanvasSize(bitstream.fourCc, bitstream.data)
+      : null;
+    if (!canvas) return null;
+    parsed.push({
+      chunks,
+      canvas,
+      alpha: canvas.alpha || chunks.some((chunk) => chunk.fourCc === "ALPH"),
+    });
+  }
+  const { width, height } = parsed[0].canvas;
+  if (
+    parsed.some(
+      (frame) => frame.canvas.width !== width || frame.canvas.height !== height,
+    )
+  ) {
+    return null;
   }
+  const vp8x = Buffer.alloc(10);
+  vp8x[0] = 0x02 | (parsed.some((frame) => frame.alpha) ? 0x10 : 0);
+  vp8x.writeUIntLE(width - 1, 4, 3);
+  vp8x.writeUIntLE(height - 1, 7, 3);
+  const body = [
+    buildRiffChunk("VP8X", vp8x),
+    buildRiffChunk("ANIM", Buffer.alloc(6)),
+  ];
+  parsed.forEach((frame, index) => {
+    const header = Buffer.alloc(16);
+    header.writeUIntLE(width - 1, 6, 3);
+    header.writeUIntLE(height - 1, 9, 3);
+    header.writeUIntLE(frames[index].delayMs, 12, 3);
+    header[15] = 0x02;
+    body.push(
+      buildRiffChunk(
+        "ANMF",
+        Buffer.concat([
+          header,
+          ...frame.chunks.map((chunk) =>
+            buildRiffChunk(chunk.fourCc, chunk.data),
+          ),
+        ]),
+      ),
+    );
+  });
+  return {
+    buffer: buildWebpFile(Buffer.concat(body)),
+    extension: "webp",
+    contentType: "image/webp",
+  };
+};
 
-  let lastStatus = null;
-  for (let attempt = 1; attempt <= attempts; attempt += 1) {
+const encodeImagePreview = (frames) =>
+  encodeApngPreview(frames) ?? encodeAnimatedWebpPreview(frames);
+
+const buildImagePreviews = async (saveResult, { latestOnly = false } = {}) => {
+  const candidates = collectImageFrameCandidates(saveResult);
+  const latestPath = latestOnly
+    ? selectLatestImageCandidate(candidates)?.filePath
+    : null;
+  const resolvedAtByMetadataId = new Map();
+  for (const event of candidates.streamEvents) {
+    if (event?.type !== "download_url_resolved" || !event.metadataId) continue;
+    const resolvedAt = Date.parse(event.ts);
+    if (
+      Number.isFinite(resolvedAt) &&
+      !resolvedAtByMetadataId.has(event.metadataId)
+    ) {
+      resolvedAtByMetadataId.set(event.metadataId, resolvedAt);
+    }
+  }
+  const previews = [];
+  for (const lineage of groupImageCandidatesByLineage(
+    candidates.existingCandidates,
+  )) {
+    const newestFirst = [...lineage.candidates].reverse();
+    const finalFrame =
+      newestFirst.find((candidate) => candidate.isFinalStreamFrame) ||
+      newestFirst[0];
+    const ordered = [
+      ...lineage.candidates.filter(
+        (candidate) => candidate.isStreamPart && candidate !== finalFrame,
+      ),
+      finalFrame,
+    ];
+    if (ordered.length < 2) continue;
+    if (latestOnly && finalFrame.filePath !== latestPath) continue;
     try {
-      const response = await pageInstance.request.get(url, {
-        timeout: config.curlTimeoutMs,
-      });
-      lastStatus = response.status();
-      const contentType = response.headers()["content-type"] ?? "";
-      if (response.ok() && !isJsonContentType(contentType)) {
-        const buffer = await response.body();
-        const disposition = response.headers()["content-disposition"] ?? "";
-        return {
-          buffer,
-          contentType,
-          status: response.status(),
-          fileName: parseContentDispositionFileName(disposition),
-        };
+      const frames = [];
+      for (const [index, candidate] of ordered.entries()) {
+        const resolvedAt = resolvedAtByMetadataId.get(candidate.metadataId);
+        const nextResolvedAt = resolvedAtByMetadataId.get(
+          ordered[index + 1]?.metadataId,
+        );
+        const delayMs =
+          index === ordered.length - 1
+            ? PREVIEW_FINAL_FRAME_MS
+            : Number.isFinite(resolvedAt) && Number.isFinite(nextResolvedAt)
+              ? Math.min(
+                  Math.max(nextResolvedAt - resolvedAt, PREVIEW_MIN_FRAME_MS),
+                  PREVIEW_MAX_FRAME_MS,
+                )
+              : PREVIEW_DEFAULT_FRAME_MS;
+        frames.push({ buffer: await readFile(candidate.filePath), delayMs });
       }
-      const preview = await response.text();
-      console.warn(
-        `Download attempt ${attempt}/${attempts} returned ${response.status()} (${contentType}).`,
-      );
-      if (preview) {
-        console.warn("Download response preview:", preview.slice(0, 200));
+      const encoded = encodeImagePreview(frames);
+      if (!encoded) {
+        console.warn(
+          "Skipping preview; frames are not same-sized PNG or WebP images:",
+          finalFrame.filePath,
+        );
+        continue;
       }
-    } catch (error) {
-      console.warn(
-        `Download attempt ${attempt}/${attempts} failed for ${url}:`,
-        error?.message ?? error,
+      const previewPath = ensureUniqueOutputPath(
+        resolve(
+          dirname(finalFrame.filePath),
+          `${basename(finalFrame.filePath, extname(finalFrame.filePath))}.preview.${encoded.extension}`,
+        ),
       );
-    }
-    if (attempt < attempts) {
-      await sleep(350 * attempt);
+      await writeFile(previewPath, encoded.buffer);
+      previews.push({
+        kind: "preview",
+        filePath: previewPath,
+        fileName: basename(previewPath),
+        byteLength: encoded.buffer.length,
+        contentType: encoded.contentType,
+        metadataId: finalFrame.metadataId,
+        sourceFileName: finalFrame.sourceFileName || null,
+        frameCount: frames.length,
+        durationMs: frames.reduce((total, frame) => total + frame.delayMs, 0),
+      });
+    } catch (error) {
+      console.warn("Unable to build image preview:", finalFrame.filePath, error);
     }
   }
-  throw new Error(
-    `Download failed after ${attempts} attempts. Last status: ${lastStatus}`,
+  return previews;
+};
+
+const OUTPUT_MANIFEST_NAME = "manifest.json";
+const outputManifestLocks = new Map();
+
+const withOutputManifestLock = (outputDir, task) =>
+  withKeyedLock(outputManifestLocks, outputDir, task);
+
+const loadOutputManifest = async (outputDir) => {
+  try {
+    const raw = await readFile(resolve(outputDir, OUTPUT_MANIFEST_NAME), "utf8");
+    const parsed = JSON.parse(raw);
+    const files =
+      parsed?.files && typeof parsed.files === "object" ? parsed.files : {};
+    return {
+      version: 1,
+      files: Object.fromEntries(
+        Object.entries(files).filter(([fileName]) =>
+          existsSync(resolve(outputDir, fileName)),
+        ),
+      ),
+    };
+  } catch {
+    return { version: 1, files: {} };
+  }
+};
+
+const persistOutputManifest = async (outputDir, manifest) => {
+  const manifestPath = resolve(outputDir, OUTPUT_MANIFEST_NAME);
+  const tempPath = `${manifestPath}.${randomUUID()}.tmp`;
+  await writeFile(
+    tempPath,
+    JSON.stringify(
+      { ...manifest, updatedAt: new Date().toISOString() },
+      null,
+      2,
+    ),
   );
+  await rename(tempPath, manifestPath);
 };
 
-const saveDownloadFromUrl = async (
-  pageInstance,
-  url,
-  { imageRun = null } = {},
-) => {
-  const response = await pageInstance.request.get(url, {
-    timeout: config.curlTimeoutMs,
-  });
-  const contentType = response.headers()["content-type"] ?? "";
-  const initialMetadataId = extractFileId(url);
-  if (isJsonContentType(contentType)) {
-    const fileInfo = await response.json();
-    console.log("Received file download metadata:", fileInfo);
-    if (fileInfo?.detail?.message) {
-      console.warn("Download metadata error:", fileInfo.detail.message);
-      return buildSaveResult();
-    }
-    const downloadUrl = fileInfo?.download_url;
-    if (typeof downloadUrl !== "string" || !downloadUrl) {
-      console.warn("download_url missing from metadata response");
-      return buildSaveResult();
-    }
-    const metadataId = extractFileId(downloadUrl) || initialMetadataId || null;
-    const metadataFileNameRaw =
-      typeof fileInfo?.file_name === "string"
-        ? basename(fileInfo.file_name)
-        : "";
-    const fileName =
-      metadataFileNameRaw &&
-      !(
-        imageRun?.generationMode === "image" &&
-        isLikelyImageStreamPartName(metadataFileNameRaw)
-      )
-        ? metadataFileNameRaw
-        : null;
-    return saveDownloadRecord(
-      pageInstance,
-      {
-        downloadUrl,
-        fileName,
-        metadataId,
-      },
-      { imageRun },
+const CONTENT_OBJECT_DIRS_FILE = "output-dirs.json";
+let contentObjectDirs = null;
+const contentObjectDirLocks = new Map();
+
+const loadContentObjectDirs = async () => {
+  if (contentObjectDirs) return contentObjectDirs;
+  try {
+    const parsed = JSON.parse(
+      await readFile(resolve(config.objectsDir, CONTENT_OBJECT_DIRS_FILE), "utf8"),
     );
+    contentObjectDirs = new Set(
+      Array.isArray(parsed?.dirs)
+        ? parsed.dirs.filter((dir) => typeof dir === "string" && dir)
+        : [],
+    );
+  } catch {
+    contentObjectDirs = new Set();
   }
+  return contentObjectDirs;
+};
 
-  if (!isJsonContentType(contentType)) {
-    const buffer = await response.body();
-    const metadataId = extractFileId(url) || null;
-    const nameCandidate =
-      parseContentDispositionFileName(
-        response.headers()["content-disposition"] ?? "",
-      ) ||
-      (metadataId
-        ? `${imageRun?.filePrefix || "download"}-${metadataId}`
-        : `${imageRun?.filePrefix || "download"}-${Date.now()}`);
-    const saved = await saveBufferToDisk(buffer, {
-      fileName: nameCandidate,
-      contentType,
-      metadataId,
-      imageRun,
-    });
-    return buildSaveResult(1, [saved], metadataId ? [metadataId] : []);
-  }
+// Every directory that links objects is remembered in the store itself, so
+// the object sweep still sees its manifest after the runs that used it are
+// pruned.
+const registerContentObjectDir = (outputDir) =>
+  withKeyedLock(contentObjectDirLocks, config.objectsDir, async () => {
+    const dirs = await loadContentObjectDirs();
+    if (dirs.has(outputDir)) return;
+    dirs.add(outputDir);
+    await mkdir(config.objectsDir, { recursive: true });
+    const filePath = resolve(config.objectsDir, CONTENT_OBJECT_DIRS_FILE);
+    const tempPath = `${filePath}.${randomUUID()}.tmp`;
+    await writeFile(tempPath, JSON.stringify({ dirs: [...dirs] }, null, 2));
+    await rename(tempPath, filePath);
+  });
 
-  const preview = await response.text();
-  console.warn("Unexpected download content-type:", contentType);
-  if (preview) {
-    console.warn("Download response preview:", preview.slice(0, 200));
-  }
-  return buildSaveResult();
+const contentObjectPath = (hash, ext) =>
+  resolve(config.objectsDir, hash.slice(0, 2), `${hash}${ext || ""}`);
+
+const ensureContentObject = async (buffer, hash, ext) => {
+  const objectPath = contentObjectPath(hash, ext);
+  if (existsSync(objectPath)) return objectPath;
+  await mkdir(dirname(objectPath), { recursive: true });
+  const tempPath = `${objectPath}.${randomUUID()}.tmp`;
+  await writeFile(tempPath, buffer);
+  await rename(tempPath, objectPath);
+  return objectPath;
 };
 
-const isLikelyAssistantDownloadUrl = (value) => {
-  try {
-    const parsed = new URL(value);
-    if (!/^https?:$/i.test(parsed.protocol)) return false;
-    const host = parsed.hostname.toLowerCase();
-    const isEstuaryContentPath =
-      parsed.pathname === "/backend-api/estuary/content" ||
-      parsed.pathname.startsWith("/backend-api/estuary/content/");
-    if (/chatgpt\.com$|chat\.openai\.com$/i.test(host)) {
-      return (
-        parsed.pathname.includes("/files/") ||
-        isEstuaryContentPath
-      );
-    }
-    if (
-      /oaiusercontent\.com$|openaiusercontent\.com$|oaistatic\.com$/i.test(host)
-    ) {
-      return true;
-    }
-    return false;
-  } catch {
-    return false;
+const moveIntoContentObject = async (bodyPath, hash, ext) => {
+  const objectPath = contentObjectPath(hash, ext);
+  if (existsSync(objectPath)) {
+    await unlink(bodyPath).catch(() => undefined);
+    return objectPath;
   }
-};
-
-const isLikelyDownloadResponseUrl = (value) => {
+  await mkdir(dirname(objectPath), { recursive: true });
   try {
-    const parsed = new URL(value);
-    const host = parsed.hostname.toLowerCase();
-    const isEstuaryContentPath =
-      parsed.pathname === "/backend-api/estuary/content" ||
-      parsed.pathname.startsWith("/backend-api/estuary/content/");
-    if (/chatgpt\.com$|chat\.openai\.com$/i.test(host)) {
-      return (
-        parsed.pathname.startsWith("/backend-api/files/download/") ||
-        isEstuaryContentPath ||
-        parsed.pathname.includes("/files/")
-      );
-    }
-    if (
-      /oaiusercontent\.com$|openaiusercontent\.com$|oaistatic\.com$/i.test(host)
-    ) {
-      return true;
-    }
-    return false;
-  } catch {
-    return false;
+    await rename(bodyPath, objectPath);
+  } catch (error) {
+    if (error?.code !== "EXDEV") throw error;
+    const tempPath = `${objectPath}.${randomUUID()}.tmp`;
+    await copyFile(bodyPath, tempPath);
+    await rename(tempPath, objectPath);
+    await unlink(bodyPath).catch(() => undefined);
   }
+  return objectPath;
 };
 
-const resolvePageFromRequest = (request) => {
+const linkContentObject = async (objectPath, filePath) => {
   try {
-    const frame =
-      request && typeof request.frame === "function" ? request.frame() : null;
-    if (!frame || typeof frame.page !== "function") return null;
-    return frame.page();
+    await link(objectPath, filePath);
+    return "hardlink";
   } catch {
-    return null;
+    // fall through to symlink (e.g. output dir on another filesystem)
   }
-};
-
-const resolvePageFromResponse = (response) => {
   try {
-    const frame =
-      response && typeof response.frame === "function" ? response.frame() : null;
-    if (!frame || typeof frame.page !== "function") return null;
-    return frame.page();
+    await symlink(objectPath, filePath);
+    return "symlink";
   } catch {
-    return null;
+    // fall through to a plain copy
   }
+  await copyFile(objectPath, filePath);
+  return "copy";
 };
 
-const savePlaywrightDownload = async (
-  download,
-  { pageInstance = null, imageRun = null } = {},
+const placeContentAddressedFile = async (
+  buffer,
+  {
+    filePath,
+    storeBuffer = buffer,
+    bodyPath = null,
+    sha256 = null,
+    byteLength = storeBuffer?.byteLength ?? 0,
+    contentType,
+    metadataId = null,
+    imageRun = null,
+  },
 ) => {
-  if (!download) return buildSaveResult();
-  const suggestedName =
-    typeof download.suggestedFilename === "function"
-      ? download.suggestedFilename()
-      : "";
-  const sourceUrl =
-    typeof download.url === "function" ? download.url() : "";
-  const metadataId = sourceUrl ? extractFileId(sourceUrl) : null;
-  console.log(
-    "Playwright download event captured:",
-    sourceUrl || "(no source URL)",
-  );
-
-  if (pageInstance && /^https?:\/\//i.test(sourceUrl)) {
-    try {
-      const next = await saveDownloadFromUrl(pageInstance, sourceUrl, {
-        imageRun,
-      });
-      if ((next.savedCount ?? 0) > 0) {
-        return next;
+  const outputDir = dirname(filePath);
+  const hash = sha256 ?? createHash("sha256").update(buffer).digest("hex");
+  const objectPath = storeBuffer
+    ? await ensureContentObject(storeBuffer, hash, extname(filePath))
+    : await moveIntoContentObject(bodyPath, hash, extname(filePath));
+  return withOutputManifestLock(outputDir, async () => {
+    const manifest = await loadOutputManifest(outputDir);
+    const existing = Object.entries(manifest.files).find(
+      ([, entry]) => entry?.sha256 === hash,
+    );
+    if (existing) {
+      const [existingName, existingEntry] = existing;
+      const contextIds = [
+        ...new Set(
+          [
+            ...(existingEntry.contextIds ?? [existingEntry.contextId]),
+            imageRun?.contextId,
+          ].filter(Boolean),
+        ),
+      ];
+      if (contextIds.length !== (existingEntry.contextIds ?? []).length) {
+        manifest.files[existingName] = { ...existingEntry, contextIds };
+        await persistOutputManifest(outputDir, manifest);
       }
-    } catch (error) {
-      console.warn(
-        "Failed to save Playwright download via source URL:",
-        sourceUrl,
-        error,
-      );
+      return {
+        filePath: resolve(outputDir, existingName),
+        sha256: hash,
+        objectPath,
+        linkType: existingEntry.linkType ?? null,
+        deduplicated: true,
+      };
     }
+    await registerContentObjectDir(outputDir);
+    const targetPath = ensureUniqueOutputPath(filePath);
+    const linkType = await linkContentObject(objectPath, targetPath);
+    manifest.files[basename(targetPath)] = {
+      sha256: hash,
+      objectPath,
+      linkType,
+      contextId: imageRun?.contextId ?? null,
+      contextIds: imageRun?.contextId ? [imageRun.contextId] : [],
+      prompt: imageRun?.prompt ?? null,
+      metadataId,
+      contentType: contentType || null,
+      byteLength,
+      savedAt: new Date().toISOString(),
+    };
+    await persistOutputManifest(outputDir, manifest);
+    return {
+      filePath: targetPath,
+      sha256: hash,
+      objectPath,
+      linkType,
+      deduplicated: false,
+    };
+  });
+};
+
+const attachProvenance = async (saved, provenance, embedded) => {
+  if (embedded) {
+    return { ...saved, provenance: "embedded" };
   }
+  const provenancePath = `${saved.filePath}.json`;
+  await writeFile(provenancePath, JSON.stringify(provenance, null, 2));
+  return { ...saved, provenance: "sidecar", provenancePath };
+};
 
-  if (typeof download.saveAs === "function") {
-    try {
-      const outputDir = await ensureOutputDir(resolveRunOutputDir(imageRun));
-      const normalizedSuggestedName =
-        typeof suggestedName === "string" && suggestedName.trim()
-          ? basename(suggestedName.trim())
-          : "";
-      const suggestedExt = extname(normalizedSuggestedName);
-      const baseName =
-        imageRun?.randomizeFileNames === true
-          ? nextRandomBaseName(imageRun)
-          : normalizedSuggestedName ||
-            `${imageRun?.filePrefix || "download"}-${Date.now()}`;
-      let safeName = sanitizeFileName(baseName);
-      if (!extname(safeName) && suggestedExt) {
-        safeName = applyExtension(safeName, suggestedExt);
-      }
-      const targetPath = ensureUniqueOutputPath(
-        resolve(outputDir, safeName),
-      );
-      await Promise.race([
-        download.saveAs(targetPath),
-        sleep(Math.max(10_000, config.curlTimeoutMs + 5_000)).then(() => {
-          throw new Error("Timed out waiting for download.saveAs");
-        }),
-      ]);
-      const info = await stat(targetPath);
-      return buildSaveResult(
-        1,
-        [
-          {
-            filePath: targetPath,
-            fileName: basename(targetPath),
-            byteLength: info?.size ?? 0,
-            contentType: "",
-            metadataId,
-          },
-        ],
-        metadataId ? [metadataId] : [],
-      );
-    } catch (error) {
-      console.warn(
-        "download.saveAs failed. Falling back to path/read-stream download capture.",
-        error,
-      );
-    }
+const PROVENANCE_EMBED_MAX_BYTES = 32 * 1024 * 1024;
+
+const hashFile = async (filePath) => {
+  const hash = createHash("sha256");
+  let byteLength = 0;
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk);
+    byteLength += chunk.length;
   }
+  return { hash, byteLength };
+};
+
+const describeDownloadBody = async (bodyPath) => {
+  const { hash, byteLength } = await hashFile(bodyPath);
+  return { bodyPath, byteLength, sha256: hash.digest("hex") };
+};
+
+const isStreamedBody = (body) => Boolean(body) && !Buffer.isBuffer(body);
+
+const readDownloadBody = (body) =>
+  isStreamedBody(body) ? readFile(body.bodyPath) : body;
+
+const DOWNLOAD_PREVIEW_BYTES = 4 * 1024;
 
-  let buffer = null;
+const readDownloadBodyHead = async (body, maxBytes = DOWNLOAD_PREVIEW_BYTES) => {
+  if (!isStreamedBody(body)) return body.subarray(0, maxBytes);
+  const handle = await open(body.bodyPath, "r");
   try {
-    const pathPromise = download.path().catch(() => null);
-    const savedPath = await Promise.race([
-      pathPromise,
-      sleep(6_000).then(() => null),
-    ]);
-    if (savedPath) {
-      buffer = await readFile(savedPath);
-    }
-  } catch {
-    // ignore and fallback to stream
-  }
-  if (!buffer && typeof download.createReadStream === "function") {
-    try {
-      const stream = await download.createReadStream();
-      if (stream) {
-        const chunks = [];
-        for await (const chunk of stream) {
-          chunks.push(chunk);
-        }
-        buffer = Buffer.concat(chunks);
-      }
-    } catch {
-      // ignore stream failures
-    }
+    const buffer = Buffer.alloc(maxBytes);
+    const { bytesRead } = await handle.read(buffer, 0, maxBytes, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
   }
-  if (!buffer || buffer.byteLength === 0) {
-    return buildSaveResult();
+};
+
+const discardDownloadBody = async (body) => {
+  if (isStreamedBody(body)) {
+    await unlink(body.bodyPath).catch(() => undefined);
   }
-  const saved = await saveBufferToDisk(buffer, {
-    fileName:
-      (typeof suggestedName === "string" && suggestedName.trim()
-        ? suggestedName.trim()
-        : "") || `${imageRun?.filePrefix || "download"}-${Date.now()}`,
-    contentType: "",
-    metadataId,
-    imageRun,
-  });
-  return buildSaveResult(1, [saved], metadataId ? [metadataId] : []);
 };
 
-const waitForContextDownloadEvent = async (
-  ctx,
-  timeoutMs,
+const writeOutputFile = async (
+  body,
   {
-    isPageAllowed = () => true,
-    shouldAcceptUnknownPageEvent = () => false,
-  } = {},
+    filePath: requestedPath,
+    contentType,
+    metadataId = null,
+    imageRun = null,
+    sourceFileName = null,
+  },
 ) => {
-  const deadline = Date.now() + timeoutMs;
-  while (Date.now() < deadline) {
-    const remainingMs = Math.max(1, deadline - Date.now());
-    let download = null;
-    try {
-      download = await ctx.waitForEvent("download", {
-        timeout: remainingMs,
-      });
-    } catch {
-      return null;
+  const bodyPath = isStreamedBody(body) ? body.bodyPath : null;
+  let bodyConsumed = false;
+  try {
+    const provenance =
+      imageRun?.embedProvenance === true
+        ? buildProvenance({ imageRun, metadataId, sourceFileName })
+        : null;
+    const contentAddressed = imageRun?.contentAddressed === true;
+    let buffer = bodyPath ? null : body;
+    if (
+      bodyPath &&
+      provenance &&
+      !contentAddressed &&
+      body.byteLength <= PROVENANCE_EMBED_MAX_BYTES
+    ) {
+      buffer = await readFile(bodyPath);
     }
-    if (!download) return null;
-    const sourcePage =
-      typeof download.page === "function" ? download.page() : null;
-    if (!sourcePage) {
-      if (shouldAcceptUnknownPageEvent()) {
-        return download;
+    // Shared content objects are keyed by the download hash, so per-run
+    // provenance never goes into them; it is written as a sidecar instead.
+    const embeddedBuffer =
+      provenance && buffer && !contentAddressed
+        ? embedProvenanceInBuffer(buffer, provenance)
+        : null;
+    const outputBuffer = embeddedBuffer ?? buffer;
+    const byteLength = outputBuffer?.byteLength ?? body.byteLength ?? 0;
+    let saved;
+    if (contentAddressed) {
+      const placed = await placeContentAddressedFile(buffer, {
+        filePath: requestedPath,
+        storeBuffer: outputBuffer,
+        bodyPath,
+        sha256: buffer ? null : body.sha256,
+        byteLength,
+        contentType,
+        metadataId,
+        imageRun,
+      });
+      bodyConsumed = !outputBuffer;
+      console.log(
+        placed.deduplicated ? "Deduplicated file:" : "Saved file:",
+        placed.filePath,
+      );
+      saved = {
+        filePath: placed.filePath,
+        fileName: basename(placed.filePath),
+        byteLength,
+        contentType,
+        metadataId,
+        sha256: placed.sha256,
+        linkType: placed.linkType,
+        deduplicated: placed.deduplicated,
+      };
+    } else {
+      if (outputBuffer) {
+        await writeFile(requestedPath, outputBuffer);
+      } else {
+        await rename(bodyPath, requestedPath);
+        bodyConsumed = true;
       }
-      continue;
+      console.log("Saved file:", requestedPath);
+      saved = {
+        filePath: requestedPath,
+        fileName: basename(requestedPath),
+        byteLength,
+        contentType,
+        metadataId,
+        ...(outputBuffer ? {} : { sha256: body.sha256 }),
+      };
     }
-    if (isPageAllowed(sourcePage) || shouldAcceptUnknownPageEvent()) {
-      return download;
+    return provenance && !saved.deduplicated
+      ? await attachProvenance(saved, provenance, Boolean(embeddedBuffer))
+      : saved;
+  } finally {
+    if (bodyPath && !bodyConsumed) {
+      await unlink(bodyPath).catch(() => undefined);
     }
   }
-  return null;
 };
 
-const extractLatestAssistantDownloadUrls = async (pageInstance) => {
-  const rawUrls = await pageInstance.evaluate(() => {
-    const turns = Array.from(document.querySelectorAll('article[data-turn="assistant"]'));
-    const latestTurn = turns[turns.length - 1];
-    if (!latestTurn) return [];
-    const values = [];
-    const push = (value) => {
-      if (typeof value !== "string") return;
-      const trimmed = value.trim();
-      if (trimmed) values.push(trimmed);
+const saveBodyToDisk = async (
+  body,
+  {
+    fileName,
+    contentType,
+    metadataId = null,
+    imageRun = null,
+    sourceFileName = null,
+  },
+) => {
+  const outputDir = await ensureOutputDir(resolveRunOutputDir(imageRun));
+  const ext = extensionFromContentType(contentType);
+  const normalizedName =
+    typeof fileName === "string" && fileName.trim()
+      ? basename(fileName.trim())
+      : "";
+  const baseName =
+    imageRun?.randomizeFileNames === true
+      ? nextRandomBaseName(imageRun)
+      : normalizedName ||
+        `${imageRun?.filePrefix || "download"}-${Date.now()}`;
+  let safeName = sanitizeFileName(baseName);
+  safeName = applyExtension(safeName, ext);
+  const filePath = resolve(outputDir, safeName);
+  return writeOutputFile(body, {
+    filePath:
+      imageRun?.images === "all" ? ensureUniqueOutputPath(filePath) : filePath,
+    contentType,
+    metadataId,
+    imageRun,
+    sourceFileName: sourceFileName || normalizedName || null,
+  });
+};
+
+const saveAssistantTextOutputs = async (
+  { markdown, html = null },
+  { imageRun = null, title = "" } = {},
+) => {
+  const outputDir = await ensureOutputDir(resolveRunOutputDir(imageRun));
+  const baseName = sanitizeFileName(
+    imageRun?.randomizeFileNames === true
+      ? nextRandomBaseName(imageRun)
+      : `${imageRun?.filePrefix || "text"}-${Date.now()}`,
+  );
+  const outputs = [{ contentType: "text/markdown", body: `${markdown.trim()}\n` }];
+  if (imageRun?.textHtml === true && html) {
+    outputs.push({
+      contentType: "text/html",
+      body: [
+        "<!doctype html>",
+        '<html><head><meta charset="utf-8">',
+        `<title>${escapeXml(title.slice(0, 120))}</title>`,
+        "</head><body>",
+        html,
+        "</body></html>",
+        "",
+      ].join("\n"),
+    });
+  }
+  const savedFiles = [];
+  for (const output of outputs) {
+    const filePath = resolve(
+      outputDir,
+      applyExtension(baseName, extensionFromContentType(output.contentType)),
+    );
+    savedFiles.push(
+      await writeOutputFile(Buffer.from(output.body, "utf8"), {
+        filePath: ensureUniqueOutputPath(filePath),
+        contentType: output.contentType,
+        imageRun,
+      }),
+    );
+  }
+  return savedFiles;
+};
+
+const saveAssistantCodeBlocks = async (
+  markdown,
+  { imageRun = null, prompt = "" } = {},
+) => {
+  const requestedType = detectRequestedFileType(prompt);
+  const candidates = parseMarkdownCodeBlocks(markdown).map((block) => ({
+    ...block,
+    ...resolveCodeBlockFile(block, requestedType),
+  }));
+  const matching = requestedType
+    ? candidates.filter((block) => block.extension === requestedType.ext)
+    : [];
+  const selected = matching.length > 0 ? matching : candidates;
+  if (selected.length === 0) return [];
+  const outputDir = await ensureOutputDir(resolveRunOutputDir(imageRun));
+  const savedFiles = [];
+  for (const block of selected) {
+    const baseName =
+      imageRun?.randomizeFileNames === true
+        ? nextRandomBaseName(imageRun)
+        : block.fileName || `${imageRun?.filePrefix || "file"}-${Date.now()}`;
+    const filePath = resolve(
+      outputDir,
+      applyExtension(sanitizeFileName(baseName), block.extension),
+    );
+    const contentType =
+      Object.keys(MIME_EXTENSION_MAP).find(
+        (type) => MIME_EXTENSION_MAP[type] === block.extension,
+      ) ?? "text/plain";
+    const saved = await writeOutputFile(
+      Buffer.from(block.code.endsWith("\n") ? block.code : `${block.code}\n`, "utf8"),
+      {
+        filePath: ensureUniqueOutputPath(filePath),
+        contentType,
+        imageRun,
+        sourceFileName: block.fileName || null,
+      },
+    );
+    savedFiles.push({ ...saved, language: block.language || null });
+  }
+  return savedFiles;
+};
+
+const buildCookieHeaderForUrl = async (pageInstance, url) => {
+  try {
+    const cookies = await pageInstance.context().cookies([url]);
+    if (!Array.isArray(cookies) || cookies.length === 0) return "";
+    return cookies
+      .filter((cookie) => cookie?.name)
+      .map((cookie) => `${cookie.name}=${cookie.value ?? ""}`)
+      .join("; ");
+  } catch {
+    return "";
+  }
+};
+
+const createNetworkRecording = () => ({
+  startedAtMs: null,
+  entries: [],
+  assistantTurns: [],
+  bodiesDir: null,
+  bodyCount: 0,
+});
+
+const isTextualContentType = (contentType) => {
+  const normalized = normalizeContentType(contentType);
+  return (
+    normalized.startsWith("text/") ||
+    normalized === "application/json" ||
+    normalized.endsWith("+json") ||
+    normalized.endsWith("+xml")
+  );
+};
+
+const REDACTED_RECORDING_HEADERS = new Set([
+  "authorization",
+  "cookie",
+  "set-cookie",
+]);
+
+const toHarHeaders = (headers) =>
+  Object.entries(headers ?? {})
+    .filter(([name]) => !REDACTED_RECORDING_HEADERS.has(name.toLowerCase()))
+    .map(([name, value]) => ({ name, value: String(value) }));
+
+const recordingOffsetMs = (recording, nowMs) => {
+  if (recording.startedAtMs === null) {
+    recording.startedAtMs = nowMs;
+  }
+  return nowMs - recording.startedAtMs;
+};
+
+const recordNetworkEntry = (
+  recording,
+  {
+    kind,
+    method = "GET",
+    url,
+    requestHeaders = {},
+    postData = null,
+    status = 0,
+    headers = {},
+    body = null,
+    bodyFile = null,
+  },
+) => {
+  if (!recording) return;
+  const nowMs = Date.now();
+  const contentType = headers["content-type"] ?? "";
+  const buffer = body ? Buffer.from(body) : Buffer.alloc(0);
+  const textual = isTextualContentType(contentType);
+  const content = bodyFile
+    ? { size: bodyFile.size, mimeType: contentType, _file: bodyFile.path }
+    : {
+        size: buffer.byteLength,
+        mimeType: contentType,
+        text: textual ? buffer.toString("utf8") : buffer.toString("base64"),
+        ...(textual ? {} : { encoding: "base64" }),
+      };
+  recording.entries.push({
+    startedDateTime: new Date(nowMs).toISOString(),
+    time: 0,
+    _kind: kind,
+    _offsetMs: recordingOffsetMs(recording, nowMs),
+    request: {
+      method,
+      url,
+      headers: toHarHeaders(requestHeaders),
+      ...(postData !== null
+        ? {
+            postData: {
+              mimeType: requestHeaders["content-type"] ?? "",
+              text: postData,
+            },
+          }
+        : {}),
+    },
+    response: {
+      status,
+      statusText: "",
+      headers: toHarHeaders(headers),
+      content,
+    },
+  });
+};
+
+// Streamed download bodies stay on disk: they are linked next to the archive
+// and referenced by path instead of being inlined as base64.
+const recordDownloadEntry = async (recording, { url, status, headers, body }) => {
+  if (!recording) return;
+  if (!isStreamedBody(body) || !recording.bodiesDir) {
+    recordNetworkEntry(recording, {
+      kind: "download",
+      url,
+      status,
+      headers,
+      body: await readDownloadBody(body),
+    });
+    return;
+  }
+  recording.bodyCount += 1;
+  const filePath = resolve(recording.bodiesDir, `${recording.bodyCount}.body`);
+  await mkdir(recording.bodiesDir, { recursive: true });
+  await link(body.bodyPath, filePath).catch(() =>
+    copyFile(body.bodyPath, filePath),
+  );
+  const { size } = await stat(filePath);
+  recordNetworkEntry(recording, {
+    kind: "download",
+    url,
+    status,
+    headers,
+    bodyFile: { path: relative(CONTEXT_RUNS_DIR, filePath), size },
+  });
+};
+
+const recordNetworkResponse = async (recording, response) => {
+  if (!recording) return;
+  let body = null;
+  try {
+    body = await response.body();
+  } catch {
+    body = null;
+  }
+  const request = response.request();
+  recordNetworkEntry(recording, {
+    kind: "response",
+    method: request.method(),
+    url: response.url(),
+    requestHeaders: request.headers(),
+    status: response.status(),
+    headers: response.headers(),
+    body,
+  });
+};
+
+const recordNetworkRequest = (recording, request, kind) => {
+  if (!recording) return;
+  recordNetworkEntry(recording, {
+    kind,
+    method: request.method(),
+    url: request.url(),
+    requestHeaders: request.headers(),
+    postData: request.postData() ?? "",
+  });
+};
+
+const recordAssistantTurnSnapshot = async (recording, pageInstance, turn) => {
+  if (!recording || !turn) return;
+  const nowMs = Date.now();
+  const html = await pageInstance
+    .locator('article[data-turn="assistant"]')
+    .last()
+    .evaluate((node) => node.outerHTML)
+    .catch(() => null);
+  recording.assistantTurns.push({
+    capturedAt: new Date(nowMs).toISOString(),
+    offsetMs: recordingOffsetMs(recording, nowMs),
+    turnId: turn.turnId,
+    text: turn.text,
+    requiresInput: turn.requiresInput,
+    hasError: turn.hasError,
+    errorMessage: turn.errorMessage,
+    html,
+  });
+};
+
+const DOWNLOAD_RESUME_ATTEMPTS = 3;
+
+const parseContentRangeStart = (value) => {
+  const match = /^bytes\s+(\d+)-/i.exec(value ?? "");
+  return match ? Number(match[1]) : null;
+};
+
+const DOWNLOAD_MAX_REDIRECTS = 10;
+const REDIRECT_STATUS_CODES = new Set([301, 302, 303, 307, 308]);
+const downloadUserAgents = new WeakMap();
+
+const parseHttpProxyUrl = (value) => {
+  if (!value) return null;
+  try {
+    const proxyUrl = new URL(
+      /^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `http://${value}`,
+    );
+    return proxyUrl.protocol === "http:" || proxyUrl.protocol === "https:"
+      ? proxyUrl
+      : null;
+  } catch {
+    return null;
+  }
+};
+
+const proxyAuthorizationHeader = (proxyUrl) =>
+  proxyUrl.username
+    ? `Basic ${Buffer.from(
+        `${decodeURIComponent(proxyUrl.username)}:${decodeURIComponent(proxyUrl.password)}`,
+      ).toString("base64")}`
+    : null;
+
+const urlHostname = (targetUrl) => targetUrl.hostname.replace(/^\[|\]$/g, "");
+
+const urlPort = (targetUrl) =>
+  Number(targetUrl.port) || (targetUrl.protocol === "https:" ? 443 : 80);
+
+const resolveDownloadUserAgent = async (pageInstance) => {
+  if (config.userAgent) return config.userAgent;
+  const ctx =
+    typeof pageInstance.context === "function" ? pageInstance.context() : null;
+  if (ctx && downloadUserAgents.has(ctx)) return downloadUserAgents.get(ctx);
+  const userAgent = await pageInstance
+    .evaluate(() => navigator.userAgent)
+    .catch(() => "");
+  if (ctx && userAgent) {
+    downloadUserAgents.set(ctx, userAgent);
+  }
+  return userAgent;
+};
+
+const buildDownloadRequestHeaders = async (pageInstance) => {
+  const headers = { accept: "*/*", "accept-encoding": "identity" };
+  const referer = pageInstance.url();
+  if (referer) {
+    headers.referer = referer;
+  }
+  const userAgent = await resolveDownloadUserAgent(pageInstance);
+  if (userAgent) {
+    headers["user-agent"] = userAgent;
+  }
+  return headers;
+};
+
+const buildDownloadCookieHeader = async (pageInstance, targetUrl, jar) => {
+  const cookies = new Map();
+  const contextCookies = await buildCookieHeaderForUrl(
+    pageInstance,
+    targetUrl.href,
+  );
+  for (const pair of contextCookies ? contextCookies.split("; ") : []) {
+    const separatorIndex = pair.indexOf("=");
+    cookies.set(pair.slice(0, separatorIndex), pair.slice(separatorIndex + 1));
+  }
+  for (const [name, value] of jar.get(targetUrl.host) ?? []) {
+    cookies.set(name, value);
+  }
+  return [...cookies].map(([name, value]) => `${name}=${value}`).join("; ");
+};
+
+const rememberResponseCookies = (jar, targetUrl, setCookieHeaders) => {
+  for (const header of setCookieHeaders ?? []) {
+    const [pair] = header.split(";");
+    const separatorIndex = pair.indexOf("=");
+    if (separatorIndex <= 0) continue;
+    const hostCookies = jar.get(targetUrl.host) ?? new Map();
+    hostCookies.set(
+      pair.slice(0, separatorIndex).trim(),
+      pair.slice(separatorIndex + 1).trim(),
+    );
+    jar.set(targetUrl.host, hostCookies);
+  }
+};
+
+const openProxyTunnel = (proxyUrl, targetUrl, timeoutMs) =>
+  new Promise((resolvePromise, rejectPromise) => {
+    const authority = `${urlHostname(targetUrl)}:${urlPort(targetUrl)}`;
+    const authorization = proxyAuthorizationHeader(proxyUrl);
+    const request = (proxyUrl.protocol === "https:" ? https : http).request({
+      hostname: urlHostname(proxyUrl),
+      port: urlPort(proxyUrl),
+      method: "CONNECT",
+      path: authority,
+      headers: {
+        host: authority,
+        ...(authorization ? { "proxy-authorization": authorization } : {}),
+      },
+      timeout: timeoutMs,
+    });
+    request.once("connect", (response, socket) => {
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        rejectPromise(
+          new Error(
+            `Proxy refused CONNECT to ${authority} with ${response.statusCode}`,
+          ),
+        );
+        return;
+      }
+      resolvePromise(socket);
+    });
+    request.once("timeout", () =>
+      request.destroy(new Error(`Proxy CONNECT to ${authority} timed out`)),
+    );
+    request.once("error", rejectPromise);
+    request.end();
+  });
+
+const sendDownloadRequest = async (
+  targetUrl,
+  { headers, timeoutMs, proxyUrl = null },
+) => {
+  const isHttps = targetUrl.protocol === "https:";
+  const hostname = urlHostname(targetUrl);
+  let transport = isHttps ? https : http;
+  const options = {
+    method: "GET",
+    hostname,
+    port: urlPort(targetUrl),
+    path: `${targetUrl.pathname}${targetUrl.search}`,
+    headers,
+    timeout: timeoutMs,
+  };
+  if (proxyUrl && isHttps) {
+    const socket = await openProxyTunnel(proxyUrl, targetUrl, timeoutMs);
+    options.agent = false;
+    options.createConnection = () =>
+      tlsConnect({ socket, servername: isIP(hostname) ? undefined : hostname });
+  } else if (proxyUrl) {
+    const authorization = proxyAuthorizationHeader(proxyUrl);
+    transport = proxyUrl.protocol === "https:" ? https : http;
+    options.hostname = urlHostname(proxyUrl);
+    options.port = urlPort(proxyUrl);
+    options.path = targetUrl.href;
+    options.headers = {
+      ...headers,
+      host: targetUrl.host,
+      ...(authorization ? { "proxy-authorization": authorization } : {}),
     };
-    for (const anchor of latestTurn.querySelectorAll("a[href]")) {
-      push(anchor.getAttribute("href"));
-    }
-    for (const node of latestTurn.querySelectorAll("[data-url]")) {
-      push(node.getAttribute("data-url"));
+  }
+  return new Promise((resolvePromise, rejectPromise) => {
+    const request = transport.request(options, resolvePromise);
+    request.once("timeout", () =>
+      request.destroy(
+        new Error(`Download stalled for ${timeoutMs} ms: ${targetUrl.href}`),
+      ),
+    );
+    request.once("error", rejectPromise);
+    request.end();
+  });
+};
+
+const openDownloadResponse = async (
+  pageInstance,
+  url,
+  { headers, timeoutMs, jar },
+) => {
+  const proxyUrl = parseHttpProxyUrl(config.proxyServer);
+  let targetUrl = new URL(url);
+  for (let redirects = 0; ; redirects += 1) {
+    const cookieHeader = await buildDownloadCookieHeader(
+      pageInstance,
+      targetUrl,
+      jar,
+    );
+    const response = await sendDownloadRequest(targetUrl, {
+      headers: cookieHeader ? { ...headers, cookie: cookieHeader } : headers,
+      timeoutMs,
+      proxyUrl,
+    });
+    rememberResponseCookies(jar, targetUrl, response.headers["set-cookie"]);
+    const location = response.headers.location;
+    if (!REDIRECT_STATUS_CODES.has(response.statusCode) || !location) {
+      return response;
     }
-    for (const node of latestTurn.querySelectorAll("[data-href]")) {
-      push(node.getAttribute("data-href"));
+    response.resume();
+    if (redirects >= DOWNLOAD_MAX_REDIRECTS) {
+      throw new Error(`Too many redirects while downloading ${url}`);
     }
-    return values;
-  });
-  const normalized = [
-    ...new Set(
-      rawUrls
-        .map((entry) => {
-          try {
-            return new URL(entry, "https://chatgpt.com").toString();
-          } catch {
-            return "";
-          }
-        })
-        .filter(Boolean),
-    ),
-  ];
-  return normalized.filter((candidate) => isLikelyAssistantDownloadUrl(candidate));
+    targetUrl = new URL(location, targetUrl);
+  }
 };
 
-const collectAssistantDownloadsByClick = async (
+const streamDownloadToFile = async (
   pageInstance,
+  url,
   {
-    imageRun = null,
-    attemptedControlKeys = new Set(),
-    timeoutMs = 8_000,
-    isPageAllowed = () => true,
-    closeTransientPages = async () => undefined,
+    outputDir = config.outputDir,
+    timeoutMs = config.downloadTimeoutMs,
+    resumeAttempts = DOWNLOAD_RESUME_ATTEMPTS,
   } = {},
 ) => {
-  const shouldAcceptUnknownPageEvent = () => {
+  const targetOutputDir = await ensureOutputDir(outputDir);
+  const bodyPath = resolve(targetOutputDir, `.download-${randomUUID()}.part`);
+  const requestHeaders = await buildDownloadRequestHeaders(pageInstance);
+  const jar = new Map();
+  let hash = createHash("sha256");
+  let byteLength = 0;
+  let resumes = 0;
+  let head = null;
+  for (;;) {
+    const resumeFrom = byteLength;
+    let restart = false;
     try {
-      const allowedPages = pageInstance
-        .context()
-        .pages()
-        .filter((candidatePage) => isPageAllowed(candidatePage));
-      return allowedPages.length <= 1;
-    } catch {
-      return false;
-    }
-  };
-  const closeTransientPagesSafe = async () => {
-    try {
-      await closeTransientPages();
-    } catch {
-      // best effort popup cleanup
-    }
-  };
-  let result = buildSaveResult();
-  const turns = pageInstance.locator('article[data-turn="assistant"]');
-  const turnCount = await turns.count();
-  if (!turnCount) return result;
-
-  const startTurnIndex = Math.max(0, turnCount - 4);
-  for (let turnIndex = turnCount - 1; turnIndex >= startTurnIndex; turnIndex -= 1) {
-    const turn = turns.nth(turnIndex);
-    const controls = turn.locator("a, button, [role='button']");
-    const controlCount = await controls.count();
-    for (let index = 0; index < controlCount; index += 1) {
-      const control = controls.nth(index);
-      const isVisible = await control.isVisible().catch(() => false);
-      if (!isVisible) continue;
-      const text = normalizeWhitespace(
-        (await control
-          .innerText()
-          .catch(() => control.textContent().catch(() => ""))) || "",
-      );
-      if (!/\bdownload\b/i.test(text)) continue;
-      const hrefRaw = await control.getAttribute("href").catch(() => null);
-      const href = typeof hrefRaw === "string" ? hrefRaw.trim() : "";
-      const key = `${turnIndex}:${text || "(download-control)"}::${href || index}`;
-      if (attemptedControlKeys.has(key)) continue;
-      attemptedControlKeys.add(key);
-
-      if (href) {
-        try {
-          const resolved = new URL(href, pageInstance.url()).toString();
-          if (isLikelyAssistantDownloadUrl(resolved)) {
-            const next = await saveDownloadFromUrl(pageInstance, resolved, {
-              imageRun,
-            });
-            result = mergeSaveResults(result, next);
-            if ((result.savedCount ?? 0) > 0) {
-              await closeTransientPagesSafe();
-              return result;
-            }
-          }
-        } catch {
-          // continue to click fallback
+      const response = await openDownloadResponse(pageInstance, url, {
+        headers:
+          resumeFrom > 0
+            ? { ...requestHeaders, range: `bytes=${resumeFrom}-` }
+            : requestHeaders,
+        timeoutMs,
+        jar,
+      });
+      const { headers, statusCode: status } = response;
+      const appending =
+        resumeFrom > 0 &&
+        status === 206 &&
+        parseContentRangeStart(headers["content-range"]) === resumeFrom;
+      if (resumeFrom > 0 && !appending) {
+        if (status !== 200) {
+          response.resume();
+          restart = true;
+          throw new Error(`Server answered the resume request with ${status}`);
         }
+        // the server ignored the Range header and sent the whole file again
+        hash = createHash("sha256");
+        byteLength = 0;
       }
-
-      const responsePromise = pageInstance
-        .context()
-        .waitForEvent("response", {
-          predicate: (response) => {
-            if (!isLikelyDownloadResponseUrl(response.url())) return false;
-            const eventPage = resolvePageFromResponse(response);
-            if (!eventPage) return shouldAcceptUnknownPageEvent();
-            if (isPageAllowed(eventPage)) return true;
-            return shouldAcceptUnknownPageEvent();
-          },
-          timeout: Math.max(2_000, timeoutMs),
-        })
-        .catch(() => null);
-      const requestPromise = pageInstance
-        .context()
-        .waitForEvent("request", {
-          predicate: (request) => {
-            if (!isLikelyDownloadResponseUrl(request.url())) return false;
-            const eventPage = resolvePageFromRequest(request);
-            if (!eventPage) return shouldAcceptUnknownPageEvent();
-            if (isPageAllowed(eventPage)) return true;
-            return shouldAcceptUnknownPageEvent();
-          },
-          timeout: Math.max(2_000, timeoutMs),
-        })
-        .catch(() => null);
-      const contextDownloadPromise = waitForContextDownloadEvent(
-        pageInstance.context(),
-        Math.max(2_000, timeoutMs),
-        { isPageAllowed, shouldAcceptUnknownPageEvent },
-      );
-
-      try {
-        await control.scrollIntoViewIfNeeded().catch(() => undefined);
-        await control.click({
-          timeout: 4_000,
-          force: true,
-          noWaitAfter: true,
-        });
-      } catch (error) {
-        try {
-          await control.evaluate((node) => node.click());
-        } catch {
-          console.warn(
-            "Failed to click assistant download control:",
-            text || "(no text)",
-            error,
-          );
-          await closeTransientPagesSafe();
-          continue;
-        }
+      if (!appending) {
+        head = { status, headers };
       }
-
-      try {
-        const [downloadResponse, downloadRequest, downloadEvent] = await Promise.all([
-          responsePromise,
-          requestPromise,
-          contextDownloadPromise,
-        ]);
-
-        if (downloadEvent) {
-          const next = await savePlaywrightDownload(downloadEvent, {
-            pageInstance,
-            imageRun,
-          });
-          result = mergeSaveResults(result, next);
-          if ((result.savedCount ?? 0) > 0) {
-            return result;
-          }
-        }
-
-        if (!downloadResponse) {
-          if (downloadRequest) {
-            let next = buildSaveResult();
-            try {
-              next = await saveDownloadFromUrl(pageInstance, downloadRequest.url(), {
-                imageRun,
-              });
-            } catch (error) {
-              console.warn(
-                "Failed to save from clicked download request:",
-                downloadRequest.url(),
-                error,
-              );
-            }
-            result = mergeSaveResults(result, next);
-            if ((result.savedCount ?? 0) > 0) {
-              return result;
-            }
-          }
-          continue;
-        }
-        const responseType = downloadResponse.headers()["content-type"] ?? "";
-        if (isJsonContentType(responseType)) {
-          let next = buildSaveResult();
-          try {
-            next = await saveDownloadFromUrl(pageInstance, downloadResponse.url(), {
-              imageRun,
-            });
-          } catch (error) {
-            console.warn(
-              "Failed to save from clicked metadata response:",
-              downloadResponse.url(),
-              error,
-            );
-          }
-          result = mergeSaveResults(result, next);
-          if ((result.savedCount ?? 0) > 0) {
-            return result;
+      let received = 0;
+      await pipeline(
+        response,
+        async function* (source) {
+          for await (const chunk of source) {
+            hash.update(chunk);
+            byteLength += chunk.length;
+            received += chunk.length;
+            yield chunk;
           }
-          continue;
-        }
-        const metadataId = extractFileId(downloadResponse.url()) || null;
-        const contentDisposition =
-          downloadResponse.headers()["content-disposition"] ?? "";
-        const fileNameHint =
-          parseContentDispositionFileName(contentDisposition) ||
-          (metadataId
-            ? `${imageRun?.filePrefix || "download"}-${metadataId}`
-            : `${imageRun?.filePrefix || "download"}-${Date.now()}`);
-        let next = buildSaveResult();
-        try {
-          next = await saveDownloadRecord(
-            pageInstance,
-            {
-              downloadUrl: downloadResponse.url(),
-              fileName: fileNameHint,
-              metadataId,
-            },
-            { imageRun },
-          );
-        } catch (error) {
-          console.warn(
-            "Failed to save from clicked download response:",
-            downloadResponse.url(),
-            error,
-          );
-        }
-        result = mergeSaveResults(result, next);
-        if ((result.savedCount ?? 0) > 0) {
-          return result;
-        }
-      } finally {
-        await closeTransientPagesSafe();
+        },
+        createWriteStream(bodyPath, { flags: appending ? "a" : "w" }),
+      );
+      const expectedLength = Number(headers["content-length"]);
+      if (Number.isFinite(expectedLength) && received < expectedLength) {
+        throw new Error(
+          `Connection closed after ${received} of ${expectedLength} bytes`,
+        );
       }
+      return {
+        ...head,
+        body: { bodyPath, byteLength, sha256: hash.digest("hex") },
+        resumes,
+      };
+    } catch (error) {
+      if (resumes >= resumeAttempts) {
+        await unlink(bodyPath).catch(() => undefined);
+        throw error;
+      }
+      resumes += 1;
+      if (restart || !existsSync(bodyPath)) {
+        await unlink(bodyPath).catch(() => undefined);
+        hash = createHash("sha256");
+        byteLength = 0;
+      } else {
+        // the hash may have seen bytes that never reached the disk
+        ({ hash, byteLength } = await hashFile(bodyPath));
+      }
+      console.warn(
+        `Download of ${url} broke at ${byteLength} bytes (${resumes}/${resumeAttempts}); ${
+          byteLength > 0 ? "resuming" : "restarting"
+        }:`,
+        error?.message ?? error,
+      );
+      await sleep(350 * resumes);
     }
   }
-  await closeTransientPagesSafe();
-  return result;
 };
 
-const collectAssistantDownloadsAfterCompletion = async (
+const isOkStatus = (status) => status >= 200 && status < 300;
+
+const requestDownloadBody = async (pageInstance, url, { outputDir }) => {
+  if (
+    pageInstance.replay ||
+    (config.proxyServer && !parseHttpProxyUrl(config.proxyServer))
+  ) {
+    const response = await pageInstance.request.get(url, {
+      timeout: config.downloadTimeoutMs,
+    });
+    return {
+      status: response.status(),
+      headers: response.headers(),
+      body: await response.body(),
+    };
+  }
+  return streamDownloadToFile(pageInstance, url, { outputDir });
+};
+
+const fetchDownloadWithRetry = async (
   pageInstance,
+  url,
   {
-    imageRun = null,
-    timeoutMs = 18_000,
-    isPageAllowed = () => true,
-    closeTransientPages = async () => undefined,
+    attempts = 4,
+    outputDir = config.outputDir,
+    recording = null,
   } = {},
 ) => {
-  const deadline = Date.now() + timeoutMs;
-  const attemptedUrls = new Set();
-  const attemptedControlKeys = new Set();
-  const closeTransientPagesSafe = async () => {
+  let lastStatus = null;
+  for (let attempt = 1; attempt <= attempts; attempt += 1) {
     try {
-      await closeTransientPages();
-    } catch {
-      // best effort popup cleanup
+      const response = await requestDownloadBody(pageInstance, url, {
+        outputDir,
+      });
+      lastStatus = response.status;
+      const contentType = response.headers["content-type"] ?? "";
+      await recordDownloadEntry(recording, {
+        url,
+        status: response.status,
+        headers: response.headers,
+        body: response.body,
+      });
+      if (isOkStatus(response.status) && !isJsonContentType(contentType)) {
+        const disposition = response.headers["content-disposition"] ?? "";
+        return {
+          body: response.body,
+          contentType,
+          status: response.status,
+          fileName: parseContentDispositionFileName(disposition),
+        };
+      }
+      const preview = (await readDownloadBodyHead(response.body)).toString("utf8");
+      await discardDownloadBody(response.body);
+      console.warn(
+        `Download attempt ${attempt}/${attempts} returned ${response.status} (${contentType}).`,
+      );
+      if (preview) {
+        console.warn("Download response preview:", preview.slice(0, 200));
+      }
+    } catch (error) {
+      console.warn(
+        `Download attempt ${attempt}/${attempts} failed for ${url}:`,
+        error?.message ?? error,
+      );
     }
-  };
-  let result = buildSaveResult();
-  while (Date.now() < deadline) {
-    const candidates = await extractLatestAssistantDownloadUrls(pageInstance);
-    for (const candidate of candidates) {
-      if (attemptedUrls.has(candidate)) continue;
-      attemptedUrls.add(candidate);
-      try {
-        const next = await saveDownloadFromUrl(pageInstance, candidate, {
-          imageRun,
-        });
-        result = mergeSaveResults(result, next);
-      } catch (error) {
-        console.warn(
-          "Failed to fetch assistant download candidate:",
-          candidate,
-          error,
-        );
-      }
-    }
-    const clicked = await collectAssistantDownloadsByClick(pageInstance, {
-      imageRun,
-      attemptedControlKeys,
-      timeoutMs: Math.max(2_500, Math.min(8_000, timeoutMs / 2)),
-      isPageAllowed,
-      closeTransientPages,
-    });
-    result = mergeSaveResults(result, clicked);
-    if ((result.savedCount ?? 0) > 0) {
-      await closeTransientPagesSafe();
-      return result;
+    if (attempt < attempts) {
+      await sleep(350 * attempt);
     }
-    await closeTransientPagesSafe();
-    await sleep(700);
   }
-  await closeTransientPagesSafe();
-  return result;
+  throw new Error(
+    `Download failed after ${attempts} attempts. Last status: ${lastStatus}`,
+  );
 };
 
-const saveDownloadRecord = async (pageInstance, record, { imageRun = null } = {}) => {
-  if (!record) return buildSaveResult();
-  const metadataId =
-    record.metadataId ||
-    (typeof record.downloadUrl === "string"
-      ? extractFileId(record.downloadUrl)
-      : null) ||
-    (typeof record.url === "string" ? extractFileId(record.url) : null);
-  if (record.buffer) {
-    const saved = await saveBufferToDisk(record.buffer, {
-      fileName: record.fileName ?? `download-${Date.now()}`,
-      contentType: record.contentType ?? "",
-      metadataId,
-      imageRun,
-    });
-    return buildSaveResult(1, [saved], metadataId ? [metadataId] : []);
+const saveDownloadFromUrl = async (
+  pageInstance,
+  url,
+  { imageRun = null } = {},
+) => {
+  const response = await requestDownloadBody(pageInstance, url, {
+    outputDir: resolveRunOutputDir(imageRun),
+  });
+  const contentType = response.headers["content-type"] ?? "";
+  await recordDownloadEntry(imageRun?.recording, {
+    url,
+    status: response.status,
+    headers: response.headers,
+    body: response.body,
+  });
+  const initialMetadataId = extractFileId(url);
+  if (isJsonContentType(contentType)) {
+    const fileInfo = JSON.parse(
+      (await readDownloadBody(response.body)).toString("utf8"),
+    );
+    await discardDownloadBody(response.body);
+    console.log("Received file download metadata:", fileInfo);
+    if (fileInfo?.detail?.message) {
+      console.warn("Download metadata error:", fileInfo.detail.message);
+      return buildSaveResult();
+    }
+    const downloadUrl = fileInfo?.download_url;
+    if (typeof downloadUrl !== "string" || !downloadUrl) {
+      console.warn("download_url missing from metadata response");
+      return buildSaveResult();
+    }
+    const metadataId = extractFileId(downloadUrl) || initialMetadataId || null;
+    const metadataFileNameRaw =
+      typeof fileInfo?.file_name === "string"
+        ? basename(fileInfo.file_name)
+        : "";
+    const fileName =
+      metadataFileNameRaw &&
+      !(
+        imageRun?.generationMode === "image" &&
+        isLikelyImageStreamPartName(metadataFileNameRaw)
+      )
+        ? metadataFileNameRaw
+        : null;
+    return saveDownloadRecord(
+      pageInstance,
+      {
+        downloadUrl,
+        fileName,
+        metadataId,
+      },
+      { imageRun },
+    );
   }
-  if (record.downloadUrl) {
-    const preferCurl = imageRun?.generationMode === "file";
-    const outputDir = resolveRunOutputDir(imageRun);
-    const {
-      buffer,
-      contentType,
-      fileName: fetchedFileName,
-    } = await fetchDownloadWithRetry(pageInstance, record.downloadUrl, {
-      preferCurl,
-      outputDir,
-    });
-    const saved = await saveBufferToDisk(buffer, {
-      fileName:
-        record.fileName ||
-        fetchedFileName ||
-        `${imageRun?.filePrefix || "download"}-${Date.now()}`,
+
+  if (!isJsonContentType(contentType)) {
+    const metadataId = extractFileId(url) || null;
+    const nameCandidate =
+      parseContentDispositionFileName(
+        response.headers["content-disposition"] ?? "",
+      ) ||
+      (metadataId
+        ? `${imageRun?.filePrefix || "download"}-${metadataId}`
+        : `${imageRun?.filePrefix || "download"}-${Date.now()}`);
+    const saved = await saveBodyToDisk(response.body, {
+      fileName: nameCandidate,
       contentType,
       metadataId,
       imageRun,
     });
     return buildSaveResult(1, [saved], metadataId ? [metadataId] : []);
   }
+
+  const preview = (await readDownloadBodyHead(response.body)).toString("utf8");
+  await discardDownloadBody(response.body);
+  console.warn("Unexpected download content-type:", contentType);
+  if (preview) {
+    console.warn("Download response preview:", preview.slice(0, 200));
+  }
   return buildSaveResult();
 };
 
-const extractFileId = (url) => {
-  const responseUrl = new URL(url);
-  const idParam = responseUrl.searchParams.get("id");
-  if (idParam) return idParam;
-  if (responseUrl.pathname.startsWith("/backend-api/files/download/")) {
-    const parts = responseUrl.pathname.split("/");
-    return parts[parts.length - 1] || null;
+const isLikelyAssistantDownloadUrl = (value) => {
+  try {
+    const parsed = new URL(value);
+    if (!/^https?:$/i.test(parsed.protocol)) return false;
+    const host = parsed.hostname.toLowerCase();
+    const isEstuaryContentPath =
+      parsed.pathname === "/backend-api/estuary/content" ||
+      parsed.pathname.startsWith("/backend-api/estuary/content/");
+    if (isChatGptHost(value)) {
+      return (
+        parsed.pathname.includes("/files/") ||
+        isEstuaryContentPath
+      );
+    }
+    if (
+      /oaiusercontent\.com$|openaiusercontent\.com$|oaistatic\.com$/i.test(host)
+    ) {
+      return true;
+    }
+    return false;
+  } catch {
+    return false;
   }
-  return null;
 };
 
-const extractConversationId = (url) => {
-  const responseUrl = new URL(url);
-  if (responseUrl.pathname.startsWith("/backend-api/conversation/")) {
-    const parts = responseUrl.pathname.split("/");
-    const index = parts.indexOf("conversation");
-    if (index >= 0 && parts[index + 1]) {
-      return parts[index + 1];
+const isLikelyDownloadResponseUrl = (value) => {
+  try {
+    const parsed = new URL(value);
+    const host = parsed.hostname.toLowerCase();
+    const isEstuaryContentPath =
+      parsed.pathname === "/backend-api/estuary/content" ||
+      parsed.pathname.startsWith("/backend-api/estuary/content/");
+    if (isChatGptHost(value)) {
+      return (
+        parsed.pathname.startsWith("/backend-api/files/download/") ||
+        isEstuaryContentPath ||
+        parsed.pathname.includes("/files/")
+      );
+    }
+    if (
+      /oaiusercontent\.com$|openaiusercontent\.com$|oaistatic\.com$/i.test(host)
+    ) {
+      return true;
     }
+    return false;
+  } catch {
+    return false;
   }
-  return responseUrl.searchParams.get("conversation_id");
 };
 
-const parseConvoStreamCompletedEvent = (request) => {
-  if (!request || typeof request.method !== "function") return null;
-  if (request.method() !== "POST") return null;
-  let requestUrl;
+const resolvePageFromRequest = (request) => {
   try {
-    requestUrl = new URL(request.url());
+    const frame =
+      request && typeof request.frame === "function" ? request.frame() : null;
+    if (!frame || typeof frame.page !== "function") return null;
+    return frame.page();
   } catch {
     return null;
   }
-  if (!/chatgpt\.com$|chat\.openai\.com$/i.test(requestUrl.hostname)) {
-    return null;
-  }
-  if (requestUrl.pathname !== "/ces/v1/t") return null;
-  const body =
-    typeof request.postData === "function" ? request.postData() : "";
-  if (!body) return null;
-  let payload = null;
+};
+
+const resolvePageFromResponse = (response) => {
   try {
-    payload = JSON.parse(body);
+    const frame =
+      response && typeof response.frame === "function" ? response.frame() : null;
+    if (!frame || typeof frame.page !== "function") return null;
+    return frame.page();
   } catch {
     return null;
   }
-  const eventName =
-    payload && typeof payload.event === "string" ? payload.event : "";
-  if (eventName !== "ChatGPT Convo Stream: Stream Completed") {
-    return null;
-  }
-  const properties =
-    payload &&
-    payload.properties &&
-    typeof payload.properties === "object" &&
-    !Array.isArray(payload.properties)
-      ? payload.properties
-      : {};
-  return {
-    event: eventName,
-    timestamp:
-      payload && typeof payload.timestamp === "string"
-        ? payload.timestamp
-        : null,
-    conversationId:
-      typeof properties.conversation_id === "string"
-        ? properties.conversation_id
-        : null,
-    turnTraceId:
-      typeof properties.turn_trace_id === "string"
-        ? properties.turn_trace_id
-        : null,
-    result: typeof properties.result === "string" ? properties.result : null,
-  };
 };
 
-const waitForConvoStreamCompletedEvent = async (
-  pageInstance,
-  { timeoutMs = config.imageTimeoutMs } = {},
+const savePlaywrightDownload = async (
+  download,
+  { pageInstance = null, imageRun = null } = {},
 ) => {
-  const request = await pageInstance.waitForRequest(
-    (candidateRequest) => Boolean(parseConvoStreamCompletedEvent(candidateRequest)),
-    { timeout: timeoutMs },
+  if (!download) return buildSaveResult();
+  const suggestedName =
+    typeof download.suggestedFilename === "function"
+      ? download.suggestedFilename()
+      : "";
+  const sourceUrl =
+    typeof download.url === "function" ? download.url() : "";
+  const metadataId = sourceUrl ? extractFileId(sourceUrl) : null;
+  console.log(
+    "Playwright download event captured:",
+    sourceUrl || "(no source URL)",
   );
-  return parseConvoStreamCompletedEvent(request);
-};
 
-const collectChatGptDownloads = async (
+  if (pageInstance && /^https?:\/\//i.test(sourceUrl)) {
+    try {
+      const next = await saveDownloadFromUrl(pageInstance, sourceUrl, {
+        imageRun,
+      });
+      if ((next.savedCount ?? 0) > 0) {
+        return next;
+      }
+    } catch (error) {
+      console.warn(
+        "Failed to save Playwright download via source URL:",
+        sourceUrl,
+        error,
+      );
+    }
+  }
+
+  if (typeof download.saveAs === "function") {
+    try {
+      const outputDir = await ensureOutputDir(resolveRunOutputDir(imageRun));
+      const normalizedSuggestedName =
+        typeof suggestedName === "string" && suggestedName.trim()
+          ? basename(suggestedName.trim())
+          : "";
+      const suggestedExt = extname(normalizedSuggestedName);
+      const baseName =
+        imageRun?.randomizeFileNames === true
+          ? nextRandomBaseName(imageRun)
+          : normalizedSuggestedName ||
+            `${imageRun?.filePrefix || "download"}-${Date.now()}`;
+      let safeName = sanitizeFileName(baseName);
+      if (!extname(safeName) && suggestedExt) {
+        safeName = applyExtension(safeName, suggestedExt);
+      }
+      const targetPath = ensureUniqueOutputPath(
+        resolve(outputDir, safeName),
+      );
+      await Promise.race([
+        download.saveAs(targetPath),
+        sleep(Math.max(10_000, config.downloadTimeoutMs + 5_000)).then(() => {
+          throw new Error("Timed out waiting for download.saveAs");
+        }),
+      ]);
+      if (
+        imageRun?.contentAddressed === true ||
+        imageRun?.embedProvenance === true
+      ) {
+        const bodyPath = resolve(outputDir, `.download-${randomUUID()}.part`);
+        await rename(targetPath, bodyPath);
+        const saved = await writeOutputFile(
+          await describeDownloadBody(bodyPath),
+          {
+            filePath: targetPath,
+            contentType: "",
+            metadataId,
+            imageRun,
+            sourceFileName: normalizedSuggestedName || null,
+          },
+        );
+        return buildSaveResult(1, [saved], metadataId ? [metadataId] : []);
+      }
+      const info = await stat(targetPath);
+      return buildSaveResult(
+        1,
+        [
+          {
+            filePath: targetPath,
+            fileName: basename(targetPath),
+            byteLength: info?.size ?? 0,
+            contentType: "",
+            metadataId,
+          },
+        ],
+        metadataId ? [metadataId] : [],
+      );
+    } catch (error) {
+      console.warn(
+        "download.saveAs failed. Falling back to path/read-stream download capture.",
+        error,
+      );
+    }
+  }
+
+  const bodyPath = resolve(
+    await ensureOutputDir(resolveRunOutputDir(imageRun)),
+    `.download-${randomUUID()}.part`,
+  );
+  let body = null;
+  try {
+    const pathPromise = download.path().catch(() => null);
+    const savedPath = await Promise.race([
+      pathPromise,
+      sleep(6_000).then(() => null),
+    ]);
+    if (savedPath) {
+      await copyFile(savedPath, bodyPath);
+      body = await describeDownloadBody(bodyPath);
+    }
+  } catch {
+    // ignore and fallback to stream
+  }
+  if (!body && typeof download.createReadStream === "function") {
+    try {
+      const stream = await download.createReadStream();
+      if (stream) {
+        await pipeline(stream, createWriteStream(bodyPath));
+        body = await describeDownloadBody(bodyPath);
+      }
+    } catch {
+      // ignore stream failures
+    }
+  }
+  if (!body || body.byteLength === 0) {
+    await unlink(bodyPath).catch(() => undefined);
+    return buildSaveResult();
+  }
+  const saved = await saveBodyToDisk(body, {
+    fileName:
+      (typeof suggestedName === "string" && suggestedName.trim()
+        ? suggestedName.trim()
+        : "") || `${imageRun?.filePrefix || "download"}-${Date.now()}`,
+    contentType: "",
+    metadataId,
+    imageRun,
+  });
+  return buildSaveResult(1, [saved], metadataId ? [metadataId] : []);
+};
+
+const waitForContextDownloadEvent = async (
+  ctx,
+  timeoutMs,
+  {
+    isPageAllowed = () => true,
+    shouldAcceptUnknownPageEvent = () => false,
+  } = {},
+) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const remainingMs = Math.max(1, deadline - Date.now());
+    let download = null;
+    try {
+      download = await ctx.waitForEvent("download", {
+        timeout: remainingMs,
+      });
+    } catch {
+      return null;
+    }
+    if (!download) return null;
+    const sourcePage =
+      typeof download.page === "function" ? download.page() : null;
+    if (!sourcePage) {
+      if (shouldAcceptUnknownPageEvent()) {
+        return download;
+      }
+      continue;
+    }
+    if (isPageAllowed(sourcePage) || shouldAcceptUnknownPageEvent()) {
+      return download;
+    }
+  }
+  return null;
+};
+
+const extractLatestAssistantDownloadUrls = async (pageInstance) => {
+  const rawUrls = await pageInstance.evaluate(() => {
+    const turns = Array.from(document.querySelectorAll('article[data-turn="assistant"]'));
+    const latestTurn = turns[turns.length - 1];
+    if (!latestTurn) return [];
+    const values = [];
+    const push = (value) => {
+      if (typeof value !== "string") return;
+      const trimmed = value.trim();
+      if (trimmed) values.push(trimmed);
+    };
+    for (const anchor of latestTurn.querySelectorAll("a[href]")) {
+      push(anchor.getAttribute("href"));
+    }
+    for (const node of latestTurn.querySelectorAll("[data-url]")) {
+      push(node.getAttribute("data-url"));
+    }
+    for (const node of latestTurn.querySelectorAll("[data-href]")) {
+      push(node.getAttribute("data-href"));
+    }
+    return values;
+  });
+  const currentUrl = pageInstance.url();
+  const pageUrl = /^https?:/i.test(currentUrl) ? currentUrl : "https://chatgpt.com";
+  const normalized = [
+    ...new Set(
+      rawUrls
+        .map((entry) => {
+          try {
+            return new URL(entry, pageUrl).toString();
+          } catch {
+            return "";
+          }
+        })
+        .filter(Boolean),
+    ),
+  ];
+  return normalized.filter((candidate) => isLikelyAssistantDownloadUrl(candidate));
+};
+
+const collectAssistantDownloadsByClick = async (
   pageInstance,
   {
-    timeoutMs = 60_000,
-    idleMs = 3_000,
-    maxFiles = 4,
     imageRun = null,
-    requireFinalImageFrame = false,
-    waitForConvoStreamCompleted = false,
-    ignoreFileNames = [],
-    onStreamEvent = () => undefined,
+    attemptedControlKeys = new Set(),
+    timeoutMs = 8_000,
+    isPageAllowed = () => true,
+    closeTransientPages = async () => undefined,
   } = {},
 ) => {
-  let savedCount = 0;
-  let idleTimer = null;
-  let timeoutTimer = null;
-  let finished = false;
-  const seen = new Set();
-  const metadataIds = new Set();
-  const savedFiles = [];
-  const streamEvents = [];
-  let queue = Promise.resolve();
-  let sawImageStreamPartFrame = false;
-  let sawImageFinalFrame = false;
-  let convoStreamCompleted = !waitForConvoStreamCompleted;
-  const ignoredFileNameSet = new Set(
-    (Array.isArray(ignoreFileNames) ? ignoreFileNames : [])
-      .map((entry) => normalizeMatchFileName(entry))
-      .filter(Boolean),
-  );
-  const runOutputDir = resolveRunOutputDir(imageRun);
+  const shouldAcceptUnknownPageEvent = () => {
+    try {
+      const allowedPages = pageInstance
+        .context()
+        .pages()
+        .filter((candidatePage) => isPageAllowed(candidatePage));
+      return allowedPages.length <= 1;
+    } catch {
+      return false;
+    }
+  };
+  const closeTransientPagesSafe = async () => {
+    try {
+      await closeTransientPages();
+    } catch {
+      // best effort popup cleanup
+    }
+  };
+  let result = buildSaveResult();
+  const turns = pageInstance.locator('article[data-turn="assistant"]');
+  const turnCount = await turns.count();
+  if (!turnCount) return result;
+
+  const startTurnIndex = Math.max(0, turnCount - 4);
+  for (let turnIndex = turnCount - 1; turnIndex >= startTurnIndex; turnIndex -= 1) {
+    const turn = turns.nth(turnIndex);
+    const controls = turn.locator("a, button, [role='button']");
+    const controlCount = await controls.count();
+    for (let index = 0; index < controlCount; index += 1) {
+      const control = controls.nth(index);
+      const isVisible = await control.isVisible().catch(() => false);
+      if (!isVisible) continue;
+      const text = normalizeWhitespace(
+        (await control
+          .innerText()
+          .catch(() => control.textContent().catch(() => ""))) || "",
+      );
+      if (!/\bdownload\b/i.test(text)) continue;
+      const hrefRaw = await control.getAttribute("href").catch(() => null);
+      const href = typeof hrefRaw === "string" ? hrefRaw.trim() : "";
+      const key = `${turnIndex}:${text || "(download-control)"}::${href || index}`;
+      if (attemptedControlKeys.has(key)) continue;
+      attemptedControlKeys.add(key);
+
+      if (href) {
+        try {
+          const resolved = new URL(href, pageInstance.url()).toString();
+          if (isLikelyAssistantDownloadUrl(resolved)) {
+            const next = await saveDownloadFromUrl(pageInstance, resolved, {
+              imageRun,
+            });
+            result = mergeSaveResults(result, next);
+            if ((result.savedCount ?? 0) > 0) {
+              await closeTransientPagesSafe();
+              return result;
+            }
+          }
+        } catch {
+          // continue to click fallback
+        }
+      }
+
+      const responsePromise = pageInstance
+        .context()
+        .waitForEvent("response", {
+          predicate: (response) => {
+            if (!isLikelyDownloadResponseUrl(response.url())) return false;
+            const eventPage = resolvePageFromResponse(response);
+            if (!eventPage) return shouldAcceptUnknownPageEvent();
+            if (isPageAllowed(eventPage)) return true;
+            return shouldAcceptUnknownPageEvent();
+          },
+          timeout: Math.max(2_000, timeoutMs),
+        })
+        .catch(() => null);
+      const requestPromise = pageInstance
+        .context()
+        .waitForEvent("request", {
+          predicate: (request) => {
+            if (!isLikelyDownloadResponseUrl(request.url())) return false;
+            const eventPage = resolvePageFromRequest(request);
+            if (!eventPage) return shouldAcceptUnknownPageEvent();
+            if (isPageAllowed(eventPage)) return true;
+            return shouldAcceptUnknownPageEvent();
+          },
+          timeout: Math.max(2_000, timeoutMs),
+        })
+        .catch(() => null);
+      const contextDownloadPromise = waitForContextDownloadEvent(
+        pageInstance.context(),
+        Math.max(2_000, timeoutMs),
+        { isPageAllowed, shouldAcceptUnknownPageEvent },
+      );
+
+      try {
+        await control.scrollIntoViewIfNeeded().catch(() => undefined);
+        await control.click({
+          timeout: 4_000,
+          force: true,
+          noWaitAfter: true,
+        });
+      } catch (error) {
+        try {
+          await control.evaluate((node) => node.click());
+        } catch {
+          console.warn(
+            "Failed to click assistant download control:",
+            text || "(no text)",
+            error,
+          );
+          await closeTransientPagesSafe();
+          continue;
+        }
+      }
+
+      try {
+        const [downloadResponse, downloadRequest, downloadEvent] = await Promise.all([
+          responsePromise,
+          requestPromise,
+          contextDownloadPromise,
+        ]);
+
+        if (downloadEvent) {
+          const next = await savePlaywrightDownload(downloadEvent, {
+            pageInstance,
+            imageRun,
+          });
+          result = mergeSaveResults(result, next);
+          if ((result.savedCount ?? 0) > 0) {
+            return result;
+          }
+        }
+
+        if (!downloadResponse) {
+          if (downloadRequest) {
+            let next = buildSaveResult();
+            try {
+              next = await saveDownloadFromUrl(pageInstance, downloadRequest.url(), {
+                imageRun,
+              });
+            } catch (error) {
+              console.warn(
+                "Failed to save from clicked download request:",
+                downloadRequest.url(),
+                error,
+              );
+            }
+            result = mergeSaveResults(result, next);
+            if ((result.savedCount ?? 0) > 0) {
+              return result;
+            }
+          }
+          continue;
+        }
+        const responseType = downloadResponse.headers()["content-type"] ?? "";
+        if (isJsonContentType(responseType)) {
+          let next = buildSaveResult();
+          try {
+            next = await saveDownloadFromUrl(pageInstance, downloadResponse.url(), {
+              imageRun,
+            });
+          } catch (error) {
+            console.warn(
+              "Failed to save from clicked metadata response:",
+              downloadResponse.url(),
+              error,
+            );
+          }
+          result = mergeSaveResults(result, next);
+          if ((result.savedCount ?? 0) > 0) {
+            return result;
+          }
+          continue;
+        }
+        const metadataId = extractFileId(downloadResponse.url()) || null;
+        const contentDisposition =
+          downloadResponse.headers()["content-disposition"] ?? "";
+        const fileNameHint =
+          parseContentDispositionFileName(contentDisposition) ||
+          (metadataId
+            ? `${imageRun?.filePrefix || "download"}-${metadataId}`
+            : `${imageRun?.filePrefix || "download"}-${Date.now()}`);
+        let next = buildSaveResult();
+        try {
+          next = await saveDownloadRecord(
+            pageInstance,
+            {
+              downloadUrl: downloadResponse.url(),
+              fileName: fileNameHint,
+              metadataId,
+            },
+            { imageRun },
+          );
+        } catch (error) {
+          console.warn(
+            "Failed to save from clicked download response:",
+            downloadResponse.url(),
+            error,
+          );
+        }
+        result = mergeSaveResults(result, next);
+        if ((result.savedCount ?? 0) > 0) {
+          return result;
+        }
+      } finally {
+        await closeTransientPagesSafe();
+      }
+    }
+  }
+  await closeTransientPagesSafe();
+  return result;
+};
+
+const collectAssistantDownloadsAfterCompletion = async (
+  pageInstance,
+  {
+    imageRun = null,
+    timeoutMs = 18_000,
+    isPageAllowed = () => true,
+    closeTransientPages = async () => undefined,
+    signal = null,
+  } = {},
+) => {
+  const deadline = Date.now() + timeoutMs;
+  const attemptedUrls = new Set();
+  const attemptedControlKeys = new Set();
+  const closeTransientPagesSafe = async () => {
+    try {
+      await closeTransientPages();
+    } catch {
+      // best effort popup cleanup
+    }
+  };
+  let result = buildSaveResult();
+  while (Date.now() < deadline && !signal?.aborted) {
+    noteImageRunConversation(imageRun, pageInstance);
+    const candidates = await extractLatestAssistantDownloadUrls(pageInstance);
+    for (const candidate of candidates) {
+      if (attemptedUrls.has(candidate)) continue;
+      attemptedUrls.add(candidate);
+      try {
+        const next = await saveDownloadFromUrl(pageInstance, candidate, {
+          imageRun,
+        });
+        result = mergeSaveResults(result, next);
+      } catch (error) {
+        console.warn(
+          "Failed to fetch assistant download candidate:",
+          candidate,
+          error,
+        );
+      }
+    }
+    const clicked = await collectAssistantDownloadsByClick(pageInstance, {
+      imageRun,
+      attemptedControlKeys,
+      timeoutMs: Math.max(2_500, Math.min(8_000, timeoutMs / 2)),
+      isPageAllowed,
+      closeTransientPages,
+    });
+    result = mergeSaveResults(result, clicked);
+    if ((result.savedCount ?? 0) > 0) {
+      await closeTransientPagesSafe();
+      return result;
+    }
+    await closeTransientPagesSafe();
+    await sleep(700);
+  }
+  await closeTransientPagesSafe();
+  return result;
+};
+
+const saveDownloadRecord = async (pageInstance, record, { imageRun = null } = {}) => {
+  if (!record) return buildSaveResult();
+  const metadataId =
+    record.metadataId ||
+    (typeof record.downloadUrl === "string"
+      ? extractFileId(record.downloadUrl)
+      : null) ||
+    (typeof record.url === "string" ? extractFileId(record.url) : null);
+  if (record.buffer) {
+    const saved = await saveBodyToDisk(record.buffer, {
+      fileName: record.fileName ?? `download-${Date.now()}`,
+      contentType: record.contentType ?? "",
+      metadataId,
+      imageRun,
+    });
+    return buildSaveResult(1, [saved], metadataId ? [metadataId] : []);
+  }
+  if (record.downloadUrl) {
+    const outputDir = resolveRunOutputDir(imageRun);
+    const {
+      body,
+      contentType,
+      fileName: fetchedFileName,
+    } = await fetchDownloadWithRetry(pageInstance, record.downloadUrl, {
+      outputDir,
+      recording: imageRun?.recording,
+    });
+    const saved = await saveBodyToDisk(body, {
+      fileName:
+        record.fileName ||
+        fetchedFileName ||
+        `${imageRun?.filePrefix || "download"}-${Date.now()}`,
+      contentType,
+      metadataId,
+      imageRun,
+    });
+    return buildSaveResult(1, [saved], metadataId ? [metadataId] : []);
+  }
+  return buildSaveResult();
+};
+
+const extractFileId = (url) => {
+  const responseUrl = new URL(url);
+  const idParam = responseUrl.searchParams.get("id");
+  if (idParam) return idParam;
+  if (responseUrl.pathname.startsWith("/backend-api/files/download/")) {
+    const parts = responseUrl.pathname.split("/");
+    return parts[parts.length - 1] || null;
+  }
+  return null;
+};
+
+const extractConversationId = (url) => {
+  const responseUrl = new URL(url);
+  if (responseUrl.pathname.startsWith("/backend-api/conversation/")) {
+    const parts = responseUrl.pathname.split("/");
+    const index = parts.indexOf("conversation");
+    if (index >= 0 && parts[index + 1]) {
+      return parts[index + 1];
+    }
+  }
+  return responseUrl.searchParams.get("conversation_id");
+};
+
+const chatGptConversationIdFromPageUrl = (value) => {
+  try {
+    const match = /\/c\/([a-zA-Z0-9-]+)/.exec(new URL(value).pathname);
+    return match ? match[1] : null;
+  } catch {
+    return null;
+  }
+};
+
+const buildChatGptConversationUrl = (baseUrl, conversationId) => {
+  if (!conversationId) return null;
+  try {
+    const parsed = new URL(baseUrl);
+    const project = /^\/g\/([^/]+)/.exec(parsed.pathname);
+    const prefix = project ? `/g/${project[1]}` : "";
+    return `${parsed.origin}${prefix}/c/${conversationId}${parsed.search}`;
+  } catch {
+    return null;
+  }
+};
+
+const resolveContinuationThread = (record) => {
+  const conversationId =
+    record?.conversationId ||
+    chatGptConversationIdFromPageUrl(record?.pageUrl ?? "");
+  if (!conversationId) return null;
+  const conversationUrl =
+    (chatGptConversationIdFromPageUrl(record?.conversationUrl ?? "") ===
+      conversationId &&
+      record.conversationUrl) ||
+    buildChatGptConversationUrl(
+      record?.pageUrl || record?.effectiveUrl || "https://chatgpt.com",
+      conversationId,
+    );
+  return conversationUrl ? { conversationId, conversationUrl } : null;
+};
+
+const CHATGPT_MISSING_CONVERSATION_RE =
+  /conversation not found|unable to load conversation|conversation (?:was|has been) deleted/i;
+
+const isChatGptConversationAvailable = async (activePage, conversationId) => {
+  if (chatGptConversationIdFromPageUrl(activePage.url()) !== conversationId) {
+    return false;
+  }
+  const missingNotices = await activePage
+    .getByText(CHATGPT_MISSING_CONVERSATION_RE)
+    .count()
+    .catch(() => 0);
+  return missingNotices === 0;
+};
+
+const noteImageRunConversation = (imageRun, pageInstance, conversationId = null) => {
+  if (!imageRun) return;
+  const resolved =
+    conversationId ||
+    chatGptConversationIdFromPageUrl(pageInstance?.url?.() ?? "");
+  if (resolved) {
+    imageRun.conversationId = resolved;
+  }
+};
+
+const parseConvoStreamCompletedEvent = (request) => {
+  if (!request || typeof request.method !== "function") return null;
+  if (request.method() !== "POST") return null;
+  let requestUrl;
+  try {
+    requestUrl = new URL(request.url());
+  } catch {
+    return null;
+  }
+  if (!isChatGptHost(requestUrl.toString())) {
+    return null;
+  }
+  if (requestUrl.pathname !== "/ces/v1/t") return null;
+  const body =
+    typeof request.postData === "function" ? request.postData() : "";
+  if (!body) return null;
+  let payload = null;
+  try {
+    payload = JSON.parse(body);
+  } catch {
+    return null;
+  }
+  const eventName =
+    payload && typeof payload.event === "string" ? payload.event : "";
+  if (eventName !== "ChatGPT Convo Stream: Stream Completed") {
+    return null;
+  }
+  const properties =
+    payload &&
+    payload.properties &&
+    typeof payload.properties === "object" &&
+    !Array.isArray(payload.properties)
+      ? payload.properties
+      : {};
+  return {
+    event: eventName,
+    timestamp:
+      payload && typeof payload.timestamp === "string"
+        ? payload.timestamp
+        : null,
+    conversationId:
+      typeof properties.conversation_id === "string"
+        ? properties.conversation_id
+        : null,
+    turnTraceId:
+      typeof properties.turn_trace_id === "string"
+        ? properties.turn_trace_id
+        : null,
+    result: typeof properties.result === "string" ? properties.result : null,
+  };
+};
+
+const waitForConvoStreamCompletedEvent = async (
+  pageInstance,
+  { timeoutMs = config.imageTimeoutMs } = {},
+) => {
+  const request = await pageInstance.waitForRequest(
+    (candidateRequest) => Boolean(parseConvoStreamCompletedEvent(candidateRequest)),
+    { timeout: timeoutMs },
+  );
+  return parseConvoStreamCompletedEvent(request);
+};
+
+const collectChatGptDownloads = async (
+  pageInstance,
+  {
+    timeoutMs = 60_000,
+    idleMs = 3_000,
+    maxFiles = 4,
+    imageRun = null,
+    requireFinalImageFrame = false,
+    waitForConvoStreamCompleted = false,
+    ignoreFileNames = [],
+    onStreamEvent = () => undefined,
+    signal = null,
+  } = {},
+) => {
+  let savedCount = 0;
+  let idleTimer = null;
+  let timeoutTimer = null;
+  let finished = false;
+  const seen = new Set();
+  const metadataIds = new Set();
+  const savedFiles = [];
+  const streamEvents = [];
+  let queue = Promise.resolve();
+  let sawImageStreamPartFrame = false;
+  let sawImageFinalFrame = false;
+  let convoStreamCompleted = !waitForConvoStreamCompleted;
+  const ignoredFileNameSet = new Set(
+    (Array.isArray(ignoreFileNames) ? ignoreFileNames : [])
+      .map((entry) => normalizeMatchFileName(entry))
+      .filter(Boolean),
+  );
+  const runOutputDir = resolveRunOutputDir(imageRun);
+
+  const markConvoStreamCompleted = (details = null) => {
+    if (convoStreamCompleted) return;
+    convoStreamCompleted = true;
+    noteImageRunConversation(imageRun, pageInstance, details?.conversationId);
+    emitStreamEvent({
+      type: "convo_stream_completed",
+      source: "ces_stream_event",
+      conversationId:
+        details && typeof details.conversationId === "string"
+          ? details.conversationId
+          : null,
+      turnTraceId:
+        details && typeof details.turnTraceId === "string"
+          ? details.turnTraceId
+          : null,
+      result:
+        details && typeof details.result === "string"
+          ? details.result
+          : null,
+      message: "Conversation stream completed",
+    });
+    if (savedCount === 0) return;
+    if (requireFinalImageFrame && sawImageStreamPartFrame && !sawImageFinalFrame) {
+      return;
+    }
+    if (idleTimer) clearTimeout(idleTimer);
+    idleTimer = setTimeout(
+      () => finish(),
+      Math.min(Math.max(600, idleMs), 1_500),
+    );
+  };
+
+  const emitStreamEvent = (event) => {
+    if (!event || typeof event !== "object") return;
+    const entry = { ...event };
+    if (!entry.ts) {
+      entry.ts = new Date().toISOString();
+    }
+    streamEvents.push(entry);
+    Promise.resolve(onStreamEvent(entry)).catch(() => undefined);
+  };
+
+  const shouldIgnoreCapturedFile = ({
+    fileName = "",
+    sourceFileName = "",
+  } = {}) => {
+    if (ignoredFileNameSet.size === 0) return false;
+    const normalizedFileName = normalizeMatchFileName(fileName);
+    const normalizedSourceFileName = normalizeMatchFileName(sourceFileName);
+    return (
+      (normalizedFileName && ignoredFileNameSet.has(normalizedFileName)) ||
+      (normalizedSourceFileName &&
+        ignoredFileNameSet.has(normalizedSourceFileName))
+    );
+  };
+
+  const onAbort = () => finish();
+
+  const cleanup = () => {
+    if (idleTimer) clearTimeout(idleTimer);
+    if (timeoutTimer) clearTimeout(timeoutTimer);
+    pageInstance.off("response", onResponse);
+    signal?.removeEventListener?.("abort", onAbort);
+  };
+
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    cleanup();
+  };
+
+  const scheduleIdleCheck = () => {
+    if (idleTimer) clearTimeout(idleTimer);
+    if (savedCount === 0) return;
+    if (
+      requireFinalImageFrame &&
+      sawImageStreamPartFrame &&
+      !sawImageFinalFrame
+    ) {
+      return;
+    }
+    if (requireFinalImageFrame && sawImageFinalFrame && !convoStreamCompleted) {
+      return;
+    }
+    idleTimer = setTimeout(() => finish(), idleMs);
+  };
+
+  const handleFileBody = async (
+    body,
+    contentType,
+    nameHint,
+    metadataId = null,
+    eventMeta = {},
+  ) => {
+    if (
+      shouldIgnoreCapturedFile({
+        fileName: nameHint,
+        sourceFileName:
+          typeof eventMeta.sourceFileName === "string"
+            ? eventMeta.sourceFileName
+            : "",
+      })
+    ) {
+      emitStreamEvent({
+        type: "file_ignored",
+        source: eventMeta.source || "stream_response",
+        responseUrl: eventMeta.responseUrl || null,
+        downloadUrl: eventMeta.downloadUrl || null,
+        metadataId: metadataId || null,
+        fileName:
+          typeof nameHint === "string" && nameHint.trim()
+            ? basename(nameHint.trim())
+            : null,
+        sourceFileName:
+          typeof eventMeta.sourceFileName === "string" &&
+          eventMeta.sourceFileName.trim()
+            ? basename(eventMeta.sourceFileName.trim())
+            : null,
+        reason: "matches_upload_reference_name",
+        message:
+          "Ignored captured file because it matches an uploaded reference filename",
+      });
+      await discardDownloadBody(body);
+      return;
+    }
+    const saved = await saveBodyToDisk(body, {
+      fileName: nameHint || `download-${Date.now()}`,
+      contentType,
+      metadataId,
+      imageRun,
+      sourceFileName:
+        typeof eventMeta.sourceFileName === "string"
+          ? eventMeta.sourceFileName
+          : null,
+    });
+    const savedEntry = {
+      ...saved,
+      sourceFileName:
+        typeof eventMeta.sourceFileName === "string" &&
+        eventMeta.sourceFileName
+          ? eventMeta.sourceFileName
+          : null,
+      isStreamPart: eventMeta.isStreamPart === true,
+      streamPartIndex: Number.isFinite(eventMeta.streamPartIndex)
+        ? eventMeta.streamPartIndex
+        : null,
+      isFinalStreamFrame: eventMeta.isFinalStreamFrame === true,
+    };
+    emitStreamEvent({
+      type: "file_saved",
+      source: eventMeta.source || "stream_response",
+      responseUrl: eventMeta.responseUrl || null,
+      downloadUrl: eventMeta.downloadUrl || null,
+      metadataId: metadataId || null,
+      contentType: contentType || null,
+      fileName: savedEntry?.fileName || null,
+      sourceFileName: savedEntry?.sourceFileName || null,
+      outputPath: savedEntry?.filePath || null,
+      byteLength: savedEntry?.byteLength ?? body?.byteLength ?? null,
+      isStreamPart: savedEntry.isStreamPart === true,
+      streamPartIndex: savedEntry.streamPartIndex,
+      isFinalStreamFrame: savedEntry.isFinalStreamFrame === true,
+      message: `Saved ${savedEntry?.fileName || "download"}`,
+    });
+    savedFiles.push(savedEntry);
+    if (requireFinalImageFrame && imageRun?.generationMode === "image") {
+      if (savedEntry.isStreamPart === true) {
+        sawImageStreamPartFrame = true;
+      }
+      if (savedEntry.isFinalStreamFrame === true) {
+        sawImageFinalFrame = true;
+      }
+    }
+    if (metadataId) {
+      metadataIds.add(metadataId);
+    }
+    savedCount += 1;
+    if (savedCount >= maxFiles) {
+      finish();
+    } else if (
+      requireFinalImageFrame &&
+      imageRun?.generationMode === "image" &&
+      sawImageFinalFrame &&
+      convoStreamCompleted
+    ) {
+      if (idleTimer) clearTimeout(idleTimer);
+      idleTimer = setTimeout(
+        () => finish(),
+        Math.min(Math.max(500, idleMs), 1_500),
+      );
+    } else {
+      scheduleIdleCheck();
+    }
+  };
+
+  const processResponse = async (response) => {
+    const responseUrl = new URL(response.url());
+    if (!isChatGptHost(response.url())) return;
+    const pathname = responseUrl.pathname;
+    const isEstuary = pathname.startsWith("/backend-api/estuary/content");
+    const isDownload = pathname.startsWith("/backend-api/files/download/");
+    if (!isEstuary && !isDownload) return;
+    await recordNetworkResponse(imageRun?.recording, response);
+
+    const isImageRun = imageRun?.generationMode === "image";
+    if (!isImageRun) {
+      const responseFileId = extractFileId(response.url());
+      const dedupeKey = responseFileId || response.url();
+      if (seen.has(dedupeKey)) return;
+      seen.add(dedupeKey);
+    }
+
+    const contentType = response.headers()["content-type"] ?? "";
+    if (isDownload && isJsonContentType(contentType)) {
+      try {
+        const fileInfo = await response.json();
+        console.log("Received file download metadata:", fileInfo);
+        if (
+          ignoredFileNameSet.size > 0 &&
+          isLikelyUploadEchoMetadata(fileInfo)
+        ) {
+          emitStreamEvent({
+            type: "file_ignored",
+            source: "files_download_metadata",
+            responseUrl: response.url(),
+            metadataId: extractFileId(response.url()) || null,
+            fileName: null,
+            fileSizeBytes: null,
+            reason: "upload_echo_metadata_null_fields",
+            message:
+              "Ignored metadata response because file_name and file_size_bytes are null (likely upload echo)",
+          });
+          return;
+        }
+        const downloadUrl = fileInfo?.download_url;
+        if (typeof downloadUrl === "string" && downloadUrl) {
+          const metadataId =
+            extractFileId(downloadUrl) || extractFileId(response.url());
+          const metadataFileNameRaw =
+            typeof fileInfo?.file_name === "string"
+              ? basename(fileInfo.file_name)
+              : "";
+          const frameInfo = parseImageStreamFrameInfo(metadataFileNameRaw);
+          emitStreamEvent({
+            type: "download_url_resolved",
+            source: "files_download_metadata",
+            responseUrl: response.url(),
+            downloadUrl,
+            streamFrameUrl: downloadUrl,
+            metadataId: metadataId || null,
+            sourceFileName: frameInfo.fileName || null,
+            isStreamPart: frameInfo.isPart,
+            streamPartIndex: frameInfo.partIndex,
+            isFinalStreamFrame: frameInfo.isFinal,
+            contentType: contentType || null,
+            message: frameInfo.isFinal
+              ? "Resolved final stream frame URL from metadata response"
+              : "Resolved stream frame URL from metadata response",
+          });
+          const {
+            body,
+            contentType: downloadType,
+            fileName: fetchedFileName,
+          } = await fetchDownloadWithRetry(pageInstance, downloadUrl, {
+            outputDir: runOutputDir,
+            recording: imageRun?.recording,
+          });
+          const shouldUseMetadataFileName =
+            Boolean(metadataFileNameRaw) &&
+            !(
+              imageRun?.generationMode === "image" &&
+              isLikelyImageStreamPartName(metadataFileNameRaw)
+            );
+          const nameCandidate =
+            shouldUseMetadataFileName
+              ? metadataFileNameRaw
+              : fetchedFileName
+                ? basename(fetchedFileName)
+                : `${imageRun?.filePrefix || "download"}-${Date.now()}`;
+          await handleFileBody(
+            body,
+            downloadType,
+            nameCandidate,
+            metadataId,
+            {
+              source: "files_download_metadata",
+              responseUrl: response.url(),
+              downloadUrl,
+              sourceFileName: frameInfo.fileName || null,
+              isStreamPart: frameInfo.isPart,
+              streamPartIndex: frameInfo.partIndex,
+              isFinalStreamFrame: frameInfo.isFinal,
+            },
+          );
+        } else {
+          emitStreamEvent({
+            type: "metadata_missing_download_url",
+            source: "files_download_metadata",
+            responseUrl: response.url(),
+            metadataId: extractFileId(response.url()) || null,
+            contentType: contentType || null,
+            message: "Metadata response did not include download_url",
+          });
+        }
+      } catch (error) {
+        console.warn("Failed to process download metadata response:", error);
+        emitStreamEvent({
+          type: "save_failed",
+          source: "files_download_metadata",
+          responseUrl: response.url(),
+          metadataId: extractFileId(response.url()) || null,
+          contentType: contentType || null,
+          message: error?.message ?? String(error),
+        });
+      }
+      return;
+    }
+
+    if (!isJsonContentType(contentType)) {
+      const responseFileId = extractFileId(response.url());
+      const contentDisposition = response.headers()["content-disposition"] ?? "";
+      const fromHeader = parseContentDispositionFileName(contentDisposition);
+      const nameHint = fromHeader
+        ? basename(fromHeader)
+        : responseFileId
+          ? `${imageRun?.filePrefix || "download"}-${responseFileId}`
+          : `${imageRun?.filePrefix || "download"}-${Date.now()}`;
+      if (shouldIgnoreCapturedFile({ fileName: nameHint })) {
+        emitStreamEvent({
+          type: "file_ignored",
+          source: "download_response",
+          responseUrl: response.url(),
+          metadataId: responseFileId || null,
+          fileName: nameHint || null,
+          reason: "matches_upload_reference_name",
+          message:
+            "Ignored captured file because it matches an uploaded reference filename",
+        });
+        return;
+      }
+      let next = buildSaveResult();
+      try {
+        next = await saveDownloadRecord(
+          pageInstance,
+          {
+            downloadUrl: response.url(),
+            fileName: nameHint,
+            metadataId: responseFileId || null,
+          },
+          { imageRun },
+        );
+      } catch (error) {
+        console.warn("Failed to save response download URL:", response.url(), error);
+        emitStreamEvent({
+          type: "save_failed",
+          source: "download_response",
+          responseUrl: response.url(),
+          metadataId: responseFileId || null,
+          contentType: contentType || null,
+          message: error?.message ?? String(error),
+        });
+      }
+      savedCount += next.savedCount ?? 0;
+      for (const file of next.savedFiles ?? []) {
+        savedFiles.push(file);
+        emitStreamEvent({
+          type: "file_saved",
+          source: "download_response",
+          responseUrl: response.url(),
+          metadataId: responseFileId || null,
+          contentType: file?.contentType || contentType || null,
+          fileName: file?.fileName || null,
+          outputPath: file?.filePath || null,
+          byteLength: file?.byteLength ?? null,
+          message: `Saved ${file?.fileName || "download"}`,
+        });
+      }
+      for (const id of next.metadataIds ?? []) {
+        if (id) metadataIds.add(id);
+      }
+      if (savedCount >= maxFiles) {
+        finish();
+      } else if ((next.savedCount ?? 0) > 0) {
+        scheduleIdleCheck();
+      }
+      return;
+    }
+
+    if (isEstuary && isJsonContentType(contentType)) {
+      try {
+        const data = await response.json();
+        console.log("Received response from estuary/content:", data);
+        const item = data?.item;
+        if (!item) {
+          emitStreamEvent({
+            type: "metadata_missing_item",
+            source: "estuary_content",
+            responseUrl: response.url(),
+            contentType: contentType || null,
+            message: "Estuary metadata did not include item id",
+          });
+          return;
+        }
+        const downloadUrl = new URL(
+          `/backend-api/estuary/content/${item}`,
+          responseUrl.origin,
+        ).toString();
+        emitStreamEvent({
+          type: "download_url_resolved",
+          source: "estuary_content",
+          responseUrl: response.url(),
+          downloadUrl,
+          metadataId: item,
+          contentType: contentType || null,
+          message: "Resolved estuary download URL",
+        });
+        const {
+          body,
+          contentType: downloadType,
+          fileName: fetchedFileName,
+        } = await fetchDownloadWithRetry(pageInstance, downloadUrl, {
+          outputDir: runOutputDir,
+          recording: imageRun?.recording,
+        });
+        const nameHint = fetchedFileName
+          ? basename(fetchedFileName)
+          : `${imageRun?.filePrefix || "download"}-${item}`;
+        await handleFileBody(body, downloadType, nameHint, item, {
+          source: "estuary_content",
+          responseUrl: response.url(),
+          downloadUrl,
+        });
+      } catch (error) {
+        console.warn("Failed to process estuary response:", error);
+        emitStreamEvent({
+          type: "save_failed",
+          source: "estuary_content",
+          responseUrl: response.url(),
+          contentType: contentType || null,
+          message: error?.message ?? String(error),
+        });
+      }
+    }
+  };
+
+  const onResponse = (response) => {
+    if (finished) return;
+    noteImageRunConversation(imageRun, pageInstance);
+    queue = queue.catch(() => undefined).then(() => processResponse(response));
+  };
+
+  pageInstance.on("response", onResponse);
+  if (waitForConvoStreamCompleted) {
+    pageInstance
+      .waitForRequest(
+        (candidateRequest) =>
+          Boolean(parseConvoStreamCompletedEvent(candidateRequest)),
+        { timeout: timeoutMs },
+      )
+      .then((request) => {
+        recordNetworkRequest(imageRun?.recording, request, "beacon");
+        const details = parseConvoStreamCompletedEvent(request);
+        markConvoStreamCompleted(details);
+      })
+      .catch(() => undefined);
+  }
+  timeoutTimer = setTimeout(() => finish(), timeoutMs);
+  if (signal) {
+    if (signal.aborted) {
+      finish();
+    } else {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+  }
+
+  await new Promise((resolve) => {
+    const checkFinished = () => {
+      if (finished) {
+        resolve();
+      } else {
+        setTimeout(checkFinished, 250);
+      }
+    };
+    checkFinished();
+  });
+
+  await queue;
+  emitStreamEvent({
+    type: "collector_complete",
+    source: "stream_collector",
+    message:
+      savedCount > 0
+        ? `Collector finished with ${savedCount} saved file(s)`
+        : "Collector finished with no captured files",
+    savedCount,
+  });
+  return buildSaveResult(savedCount, savedFiles, [...metadataIds], streamEvents);
+};
+
+const ensureContext = async () => {
+  await ensureConfig();
+  if (context) return context;
+  if (!contextStarting) {
+    contextStarting = (async () => {
+      await ensureStorageDir();
+      await ensureOutputDir();
+      await ensureDownloadsDir();
+      const browserType = browsers[config.browser];
+      if (!browserType) {
+        throw new Error(
+          `Unsupported PW_BROWSER '${config.browser}'. Use chromium, firefox, or webkit.`,
+        );
+      }
+      const args = [...config.extraArgs];
+      if (config.humanize && config.disableAutomation) {
+        if (!args.includes("--disable-blink-features=AutomationControlled")) {
+          args.push("--disable-blink-features=AutomationControlled");
+        }
+      }
+      if (!config.headless && config.startMinimized) {
+        if (!args.includes("--start-minimized")) {
+          args.push("--start-minimized");
+        }
+      }
+      const proxy = config.proxyServer
+        ? { server: config.proxyServer }
+        : undefined;
+      const launchOptions = {
+        headless: config.headless,
+        acceptDownloads: config.acceptDownloads,
+        downloadsPath: config.downloadsDir,
+        viewport: config.viewport ?? undefined,
+        userAgent: config.userAgent || undefined,
+        locale: config.locale || undefined,
+        timezoneId: config.timezoneId || undefined,
+        geolocation: config.geolocation ?? undefined,
+        permissions: config.permissions.length ? config.permissions : undefined,
+        colorScheme: config.colorScheme || undefined,
+        deviceScaleFactor: config.deviceScaleFactor || undefined,
+        slowMo: config.slowMoMs || undefined,
+        args: args.length ? args : undefined,
+        executablePath: config.executablePath || undefined,
+        proxy,
+      };
+      if (
+        config.headless &&
+        config.browser === "chromium" &&
+        !config.headlessUseSystem
+      ) {
+        launchOptions.executablePath = undefined;
+        launchOptions.channel = undefined;
+      }
+      if (
+        config.browser === "chromium" &&
+        config.channel &&
+        (!config.headless || config.headlessUseSystem)
+      ) {
+        launchOptions.channel = config.channel;
+      }
+      let ctx;
+      try {
+        ctx = await browserType.launchPersistentContext(
+          config.storageDir,
+          launchOptions,
+        );
+      } catch (error) {
+        const canFallback =
+          config.browser === "chromium" &&
+          (launchOptions.executablePath || launchOptions.channel);
+        if (!canFallback) {
+          throw error;
+        }
+        console.warn(
+          "Primary Chrome launch failed. Retrying with bundled Chromium...",
+          error,
+        );
+        const fallbackOptions = {
+          ...launchOptions,
+          executablePath: undefined,
+          channel: undefined,
+        };
+        ctx = await browserType.launchPersistentContext(
+          config.storageDir,
+          fallbackOptions,
+        );
+      }
+      if (config.humanize) {
+        await ctx.addInitScript(() => {
+          Object.defineProperty(navigator, "webdriver", {
+            get: () => undefined,
+          });
+        });
+      }
+      scheduleMinimize();
+      ctx.on("close", () => {
+        context = null;
+        page = null;
+        minimizeScheduled = false;
+      });
+      return ctx;
+    })();
+  }
+  context = await contextStarting;
+  contextStarting = null;
+  return context;
+};
+
+const relaunchHeadfulForLogin = async (url) => {
+  if (headfulRelaunchUsed || !config.autoHeadfulOnLogin || !config.headless) {
+    return false;
+  }
+  headfulRelaunchUsed = true;
+  console.warn("Login/verification needed. Relaunching headful browser...");
+  config.headless = false;
+  await closeContext();
+  const ctx = await ensureContext();
+  const newPage = await ctx.newPage();
+  await newPage.goto(url, {
+    waitUntil: config.waitUntil,
+    timeout: config.navTimeoutMs,
+  });
+  return true;
+};
+
+const isLoginLikeUrl = (url) => {
+  if (!url) return false;
+  return /accounts\.openai\.com|\/auth\b|\/login\b|\/signin\b|sign-in/i.test(
+    url,
+  );
+};
+
+const ensurePage = async () => {
+  const ctx = await ensureContext();
+  if (page && !page.isClosed()) return page;
+  page = await ctx.newPage();
+  scheduleMinimize();
+  return page;
+};
+
+const closePage = async () => {
+  if (page && !page.isClosed()) {
+    await page.close();
+  }
+  page = null;
+};
+
+const closeContext = async () => {
+  await closePage();
+  if (context) {
+    await context.close();
+  }
+  context = null;
+};
+
+const readJson = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  if (chunks.length === 0) return null;
+  const body = Buffer.concat(chunks).toString("utf8").trim();
+  if (!body) return null;
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    const err = error instanceof Error ? error : new Error("Invalid JSON");
+    err.statusCode = 400;
+    throw err;
+  }
+};
+
+const sendJson = (res, statusCode, payload) => {
+  const body = JSON.stringify(payload, null, 2);
+  res.writeHead(statusCode, {
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(body),
+  });
+  res.end(body);
+};
+
+// EventSource and browser WebSockets cannot set headers, so only their
+// endpoints take the token from the query string, where it can end up in logs.
+const acceptsQueryToken = (req, url) =>
+  req.method === "GET" &&
+  (url?.pathname === CONTROL_SOCKET_PATH || url?.pathname === "/context/stream");
+
+const extractRequestToken = (req, url) => {
+  const authorization = req.headers.authorization ?? "";
+  const bearer = /^Bearer\s+(.+)$/i.exec(authorization.trim());
+  if (bearer) return bearer[1].trim();
+  const apiKey = req.headers["x-api-key"];
+  if (typeof apiKey === "string" && apiKey.trim()) return apiKey.trim();
+  if (!acceptsQueryToken(req, url)) return "";
+  return url?.searchParams.get("access_token") ?? "";
+};
+
+const isAuthorizedRequest = (req, url) => {
+  if (!config.authEnabled || !config.apiToken) return true;
+  const provided = extractRequestToken(req, url);
+  if (!provided) return false;
+  const digest = (value) => createHash("sha256").update(value).digest();
+  return timingSafeEqual(digest(provided), digest(config.apiToken));
+};
+
+const createUnauthorizedError = () => {
+  const error = new Error(
+    "Unauthorized: send Authorization: Bearer <token> or X-API-Key",
+  );
+  error.statusCode = 401;
+  return error;
+};
+
+const sendError = (res, error) => {
+  const statusCode = error?.statusCode ?? 500;
+  sendJson(res, statusCode, {
+    error: error?.message ?? "Unknown error",
+  });
+};
+
+const CONTEXT_EVENTS_DEFAULT_LIMIT = 500;
+const CONTEXT_EVENTS_MAX_LIMIT = 5_000;
+const CONTEXT_EVENTS_MAX_WAIT_MS = 60_000;
+
+const parseContextEventsQuery = (searchParams) => ({
+  after: parseRunListInteger(searchParams.get("after"), "after", 0),
+  types: searchParams
+    .getAll("types")
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter(Boolean),
+  limit: Math.max(
+    1,
+    parseRunListInteger(
+      searchParams.get("limit"),
+      "limit",
+      CONTEXT_EVENTS_DEFAULT_LIMIT,
+      CONTEXT_EVENTS_MAX_LIMIT,
+    ),
+  ),
+  waitMs: parseRunListInteger(
+    searchParams.get("waitMs") ?? searchParams.get("wait"),
+    "waitMs",
+    0,
+    CONTEXT_EVENTS_MAX_WAIT_MS,
+  ),
+});
+
+const listContextRunEvents = async (res, id, { after, types, limit, waitMs }) => {
+  const deadline = Date.now() + waitMs;
+  while (true) {
+    const record = await loadContextRun(id);
+    if (!record) {
+      const error = new Error(`Context not found for id '${id}'`);
+      error.statusCode = 404;
+      throw error;
+    }
+    let lastSeq =
+      contextRunEventSeqs.get(id) ?? (await runStore.lastEventSeq(id));
+    let matching;
+    if (lastSeq > 0) {
+      matching = await runStore.readEventsAfter(id, after, types, limit + 1);
+    } else {
+      const legacyEvents = (record.events ?? []).map((event, index) => ({
+        seq: index + 1,
+        ...event,
+      }));
+      lastSeq = legacyEvents.length;
+      matching = legacyEvents.filter(
+        (event) => event.seq > after && matchesEventTypes(event, types),
+      );
+    }
+    const remainingMs = deadline - Date.now();
+    if (
+      matching.length > 0 ||
+      remainingMs <= 0 ||
+      isTerminalRunStatus(record.status) ||
+      res.destroyed
+    ) {
+      const page = matching.slice(0, limit);
+      const hasMore = matching.length > page.length;
+      return {
+        contextId: record.id,
+        runStatus: record.status ?? null,
+        events: page,
+        cursor: hasMore
+          ? page[page.length - 1].seq
+          : Math.max(after, lastSeq, page[page.length - 1]?.seq ?? 0),
+        hasMore,
+      };
+    }
+    await waitForContextRunEvent(id, lastSeq, remainingMs, res);
+  }
+};
+
+const SSE_KEEP_ALIVE_MS = 15_000;
+
+const streamContextEvents = async (req, res, id) => {
+  const bufferedEvents = [];
+  let writeEvent = (type, data) => {
+    bufferedEvents.push({ type, data });
+  };
+  const unsubscribe = subscribeContextEvents(id, (event) => {
+    writeEvent(event.type, event.data);
+  });
+  let eventSeq = 0;
+  let closed = false;
+  let keepAliveTimer = null;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    if (keepAliveTimer) {
+      clearInterval(keepAliveTimer);
+      keepAliveTimer = null;
+    }
+    if (!res.writableEnded) {
+      res.end();
+    }
+  };
+  req.on("close", close);
+  const record = await loadContextRun(id);
+  if (closed) return;
+  if (!record) {
+    unsubscribe();
+    const error = new Error(`Context not found for id '${id}'`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  writeEvent = (type, data) => {
+    if (closed) return;
+    eventSeq += 1;
+    res.write(`id: ${eventSeq}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (type === "status" && isTerminalRunStatus(data?.status)) {
+      eventSeq += 1;
+      res.write(
+        `id: ${eventSeq}\nevent: end\ndata: ${JSON.stringify({ status: data.status })}\n\n`,
+      );
+      close();
+    }
+  };
+
+  res.write("retry: 3000\n\n");
+  writeEvent("snapshot", record);
+  if (isTerminalRunStatus(record.status)) {
+    writeEvent("end", { status: record.status });
+    close();
+    return;
+  }
+  // Skip events that landed while the record was loading and are already
+  // part of the snapshot.
+  const coveredBySnapshot = ({ type, data }) =>
+    type === "status"
+      ? Boolean(data?.ts && record.updatedAt && data.ts <= record.updatedAt)
+      : Number.isInteger(data?.seq) && data.seq <= (record.eventSeq ?? 0);
+  for (const event of bufferedEvents.splice(0)) {
+    if (!coveredBySnapshot(event)) {
+      writeEvent(event.type, event.data);
+    }
+  }
+  keepAliveTimer = setInterval(() => {
+    if (!closed) res.write(": keep-alive\n\n");
+  }, SSE_KEEP_ALIVE_MS);
+};
+
+const FILE_TYPE_BY_EXTENSION = Object.freeze({
+  gif: { ext: ".gif", label: "GIF" },
+  pdf: { ext: ".pdf", label: "PDF" },
+  doc: { ext: ".doc", label: "DOC" },
+  docx: { ext: ".docx", label: "DOCX" },
+  csv: { ext: ".csv", label: "CSV" },
+  xls: { ext: ".xls", label: "XLS" },
+  xlsx: { ext: ".xlsx", label: "XLSX" },
+  ppt: { ext: ".ppt", label: "PPT" },
+  pptx: { ext: ".pptx", label: "PPTX" },
+  txt: { ext: ".txt", label: "TXT" },
+  md: { ext: ".md", label: "Markdown" },
+  json: { ext: ".json", label: "JSON" },
+  zip: { ext: ".zip", label: "ZIP" },
+  py: { ext: ".py", label: "Python" },
+  js: { ext: ".js", label: "JavaScript" },
+  ts: { ext: ".ts", label: "TypeScript" },
+  sh: { ext: ".sh", label: "shell" },
+  html: { ext: ".html", label: "HTML" },
+  sql: { ext: ".sql", label: "SQL" },
+});
+
+const FILE_TYPE_PATTERNS = [
+  { type: "gif", pattern: /\b(animated gif|gif)\b/i },
+  { type: "pdf", pattern: /\b(pdf|portable document format)\b/i },
+  { type: "docx", pattern: /\b(docx|word document|microsoft word|ms word)\b/i },
+  { type: "csv", pattern: /\b(csv|comma[- ]separated|tabular data)\b/i },
+  { type: "xlsx", pattern: /\b(xlsx|excel workbook|spreadsheet)\b/i },
+  { type: "pptx", pattern: /\b(pptx|powerpoint|slide deck|slides)\b/i },
+  { type: "txt", pattern: /\b(txt|text file|plain text)\b/i },
+  { type: "md", pattern: /\b(markdown|\.md\b)\b/i },
+  { type: "json", pattern: /\b(json)\b/i },
+  { type: "zip", pattern: /\b(zip|archive)\b/i },
+  { type: "py", pattern: /\bpython\b/i },
+  { type: "js", pattern: /\b(javascript|node\.?js)\b/i },
+  { type: "ts", pattern: /\btypescript\b/i },
+  { type: "sh", pattern: /\b(bash|shell script)\b/i },
+  { type: "html", pattern: /\bhtml\b/i },
+  { type: "sql", pattern: /\bsql\b/i },
+];
+
+const CODE_BLOCK_EXTENSION_BY_LANGUAGE = Object.freeze({
+  python: ".py",
+  py: ".py",
+  javascript: ".js",
+  js: ".js",
+  jsx: ".jsx",
+  typescript: ".ts",
+  ts: ".ts",
+  tsx: ".tsx",
+  json: ".json",
+  csv: ".csv",
+  markdown: ".md",
+  md: ".md",
+  html: ".html",
+  css: ".css",
+  bash: ".sh",
+  sh: ".sh",
+  shell: ".sh",
+  zsh: ".sh",
+  powershell: ".ps1",
+  ps1: ".ps1",
+  sql: ".sql",
+  yaml: ".yaml",
+  yml: ".yaml",
+  toml: ".toml",
+  xml: ".xml",
+  svg: ".svg",
+  java: ".java",
+  kotlin: ".kt",
+  c: ".c",
+  cpp: ".cpp",
+  "c++": ".cpp",
+  csharp: ".cs",
+  cs: ".cs",
+  go: ".go",
+  rust: ".rs",
+  ruby: ".rb",
+  php: ".php",
+  swift: ".swift",
+  r: ".r",
+  lua: ".lua",
+});
+
+const KNOWN_CODE_BLOCK_EXTENSIONS = new Set([
+  ...Object.values(CODE_BLOCK_EXTENSION_BY_LANGUAGE),
+  ...Object.values(FILE_TYPE_BY_EXTENSION).map((entry) => entry.ext),
+]);
+
+const CODE_BLOCK_FENCE_RE =
+  /^( *)(`{3,})([^\s`]*)[^\n]*\n([\s\S]*?)\n\1\2[ \t]*$/gm;
+const CODE_BLOCK_HINT_FILE_NAME_RE =
+  /(?:^|[\s`'"*([])(\w[\w-]*(?:\.[\w-]+)*\.[a-z0-9]{1,8})(?=$|[\s`'"*)\]:,;!?]|\.(?:\s|$))/gi;
+const CODE_BLOCK_HEADER_FILE_NAME_RE =
+  /^\s*(?:#|\/\/|--|;|<!--|\/\*)\s*(?:file(?:name)?\s*:\s*)?(\w[\w.-]*\.[a-z0-9]{1,8})\s*(?:-->|\*\/)?\s*$/i;
+
+const parseMarkdownCodeBlocks = (markdown) => {
+  const text = typeof markdown === "string" ? markdown : "";
+  const blocks = [];
+  let previousEnd = 0;
+  for (const match of text.matchAll(CODE_BLOCK_FENCE_RE)) {
+    const [fullMatch, indent, , language, body] = match;
+    const before = text.slice(previousEnd, match.index).trim();
+    previousEnd = match.index + fullMatch.length;
+    const code = indent
+      ? body
+          .split("\n")
+          .map((line) =>
+            line.startsWith(indent) ? line.slice(indent.length) : line,
+          )
+          .join("\n")
+      : body;
+    if (!code.trim()) continue;
+    blocks.push({
+      language: language.toLowerCase(),
+      code,
+      hint: before.split("\n").slice(-3).join(" ").slice(-300),
+    });
+  }
+  return blocks;
+};
+
+const resolveCodeBlockFile = (block, requestedType = null) => {
+  const languageExt = CODE_BLOCK_EXTENSION_BY_LANGUAGE[block.language] ?? "";
+  const acceptsExtension = (ext) =>
+    ext === languageExt ||
+    ext === requestedType?.ext ||
+    (!languageExt && KNOWN_CODE_BLOCK_EXTENSIONS.has(ext));
+  const headerMatch = CODE_BLOCK_HEADER_FILE_NAME_RE.exec(
+    block.code.split("\n", 1)[0],
+  );
+  const hintedName = [
+    ...(headerMatch ? [headerMatch[1]] : []),
+    ...[...block.hint.matchAll(CODE_BLOCK_HINT_FILE_NAME_RE)]
+      .map((match) => match[1])
+      .reverse(),
+  ].find((name) => acceptsExtension(extname(name).toLowerCase()));
+  return {
+    fileName: hintedName ? sanitizeFileName(basename(hintedName)) : "",
+    extension: hintedName
+      ? extname(hintedName).toLowerCase()
+      : languageExt || requestedType?.ext || ".txt",
+  };
+};
+
+const hasImageIntent = (value) => {
+  if (!value) return false;
+  return (
+    /\b(generate|create|make|draw|illustrate|render|design|produce)\b(?:\s+\w+){0,4}\s+\b(image|picture|photo|art|illustration|artwork|graphic|logo)\b/i.test(
+      value,
+    ) ||
+    /\b(image|picture|photo|art|illustration|artwork|graphic|logo|wallpaper|portrait)\b/i.test(
+      value,
+    )
+  );
+};
+
+const hasFileIntent = (value) => {
+  if (!value) return false;
+  return (
+    /\b(generate|create|make|write|produce|export|build)\b(?:\s+\w+){0,5}\s+\b(file|document|pdf|docx|csv|spreadsheet|report|presentation|gif)\b/i.test(
+      value,
+    ) ||
+    /\b(file|document|pdf|docx|csv|xlsx|pptx|gif|spreadsheet|report|word|excel)\b/i.test(
+      value,
+    )
+  );
+};
+
+const detectRequestedFileType = (value) => {
+  const text = typeof value === "string" ? value.trim() : "";
+  if (!text) return null;
+  const extMatch = /\.([a-z0-9]{2,5})\b/i.exec(text);
+  if (extMatch?.[1]) {
+    const fromExt = FILE_TYPE_BY_EXTENSION[extMatch[1].toLowerCase()];
+    if (fromExt) return fromExt;
+  }
+  for (const candidate of FILE_TYPE_PATTERNS) {
+    if (candidate.pattern.test(text)) {
+      return FILE_TYPE_BY_EXTENSION[candidate.type] ?? null;
+    }
+  }
+  return null;
+};
+
+const normalizeImagePrompt = (value, { hasUploadFiles = false } = {}) => {
+  const trimmed = typeof value === "string" ? value.trim() : "";
+  if (!trimmed) {
+    return "Please generate an image of a cat riding a bicycle.";
+  }
+  if (hasUploadFiles) {
+    return trimmed;
+  }
+  if (hasImageIntent(trimmed)) {
+    return trimmed;
+  }
+  return `Generate an image of: ${trimmed}`;
+};
+
+const normalizeFilePrompt = (value) => {
+  const trimmed = typeof value === "string" ? value.trim() : "";
+  const detectedType = detectRequestedFileType(trimmed);
+  const fileDescriptor = detectedType
+    ? `${detectedType.label} file`
+    : "file";
+  if (!trimmed) {
+    return "Create a downloadable text file with a short greeting message.";
+  }
+  if (/\bdownloadable\b/i.test(trimmed)) return trimmed;
+  return `Create a downloadable ${fileDescriptor} that satisfies this request: ${trimmed}`;
+};
+
+const normalizeTextPrompt = (value) => {
+  const trimmed = typeof value === "string" ? value.trim() : "";
+  return trimmed || "Reply with a short greeting.";
+};
+
+const normalizeGenerationMode = (value) => {
+  const raw = typeof value === "string" ? value.trim().toLowerCase() : "";
+  if (raw === "image" || raw === "file" || raw === "text" || raw === "auto") {
+    return raw;
+  }
+  return "";
+};
+
+const resolveGenerationMode = (body) => {
+  const explicit =
+    normalizeGenerationMode(body?.mode) ||
+    normalizeGenerationMode(body?.generationMode);
+  if (explicit === "image" || explicit === "file" || explicit === "text") {
+    return explicit;
+  }
+  const command = typeof body?.command === "string" ? body.command : "";
+  if (/generatefile/i.test(command)) {
+    return "file";
+  }
+  if (/generatetext/i.test(command)) {
+    return "text";
+  }
+  const promptCandidates = [];
+  if (typeof body?.prompt === "string") {
+    promptCandidates.push(body.prompt);
+  }
+  if (typeof body?.answerPrompt === "string") {
+    promptCandidates.push(body.answerPrompt);
+  }
+  if (Array.isArray(body?.prompts)) {
+    for (const entry of body.prompts) {
+      if (typeof entry === "string") {
+        promptCandidates.push(entry);
+      }
+    }
+  }
+  const sample = promptCandidates.join(" ").trim();
+  if (!sample) return "image";
+  if (hasImageIntent(sample)) return "image";
+  if (hasFileIntent(sample)) return "file";
+  return "image";
+};
+
+const normalizePromptForMode = (
+  value,
+  generationMode = "image",
+  { hasUploadFiles = false } = {},
+) =>
+  generationMode === "file"
+    ? normalizeFilePrompt(value)
+    : generationMode === "text"
+      ? normalizeTextPrompt(value)
+      : normalizeImagePrompt(value, { hasUploadFiles });
+
+const normalizeGenerationBatch = (
+  body,
+  { generationMode = "image", hasUploadFiles = false } = {},
+) => {
+  const sourcePrompts = Array.isArray(body?.prompts)
+    ? body.prompts
+        .filter((entry) => typeof entry === "string" && entry.trim())
+        .map((entry) =>
+          normalizePromptForMode(entry, generationMode, { hasUploadFiles }),
+        )
+    : [];
+  const fallbackPrompt = normalizePromptForMode(body?.prompt, generationMode, {
+    hasUploadFiles,
+  });
+  const countRaw = Number(body?.count);
+  const requestedCount = Number.isInteger(countRaw) && countRaw > 0 ? countRaw : 1;
+  const count = Math.min(requestedCount, 8);
+  if (sourcePrompts.length > 0) {
+    return sourcePrompts.slice(0, 8);
+  }
+  return Array.from({ length: count }, () => fallbackPrompt);
+};
+
+const parseCommaList = (value) => {
+  if (typeof value !== "string") return [];
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+};
+
+const normalizeUploadInput = (body) => {
+  const raw = [];
+  if (Array.isArray(body?.files)) {
+    raw.push(...body.files);
+  } else if (typeof body?.files === "string") {
+    raw.push(...parseCommaList(body.files));
+  }
+  if (Array.isArray(body?.filePaths)) {
+    raw.push(...body.filePaths);
+  } else if (typeof body?.filePaths === "string") {
+    raw.push(...parseCommaList(body.filePaths));
+  }
+  if (typeof body?.file === "string") {
+    raw.push(...parseCommaList(body.file));
+  }
+
+  const flattened = raw
+    .flatMap((entry) => (typeof entry === "string" ? parseCommaList(entry) : []))
+    .filter(Boolean);
+  return [...new Set(flattened)];
+};
+
+const resolveUploadFiles = async (body) => {
+  const values = normalizeUploadInput(body);
+  if (values.length === 0) return [];
+
+  const resolved = [];
+  const invalid = [];
+  for (const entry of values) {
+    const candidates = expandPathCandidates(entry, { baseDir: process.cwd() });
+    let selected = "";
+    for (const candidate of candidates) {
+      try {
+        const info = await stat(candidate);
+        if (!info.isFile()) {
+          continue;
+        }
+        selected = candidate;
+        break;
+      } catch {
+        // try next candidate
+      }
+    }
+    if (selected) {
+      resolved.push(selected);
+    } else {
+      invalid.push(entry);
+    }
+  }
+
+  if (invalid.length > 0) {
+    const error = new Error(`Upload file(s) not found: ${invalid.join(", ")}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return [...new Set(resolved)];
+};
+
+const isChatGptTargetUrl = (value) =>
+  /chatgpt\.com|chat\.openai\.com/i.test(value || "") ||
+  isChatGptHost(value);
+
+const normalizeWhitespace = (value) =>
+  (typeof value === "string" ? value : "").replace(/\s+/g, " ").trim();
+
+const detectAssistantNeedsInput = (text) => {
+  const normalized = normalizeWhitespace(text);
+  if (!normalized) return false;
+  if (
+    /\b(upload|attach|send)\b.{0,40}\b(file|files|image|images|photo|photos|selfie|picture)\b/i.test(
+      normalized,
+    )
+  ) {
+    return true;
+  }
+  if (/\bplease upload\b/i.test(normalized)) return true;
+  return normalized.includes("?");
+};
+
+const detectAssistantErrorMessage = (text) => {
+  const normalized = normalizeWhitespace(text);
+  if (!normalized) return null;
+  if (
+    /\bwe experienced an error when generating (images|files)\b/i.test(
+      normalized,
+    )
+  ) {
+    return normalized;
+  }
+  if (
+    /\b(error|failed|failure|unable|couldn['’]t|could not|something went wrong)\b/i.test(
+      normalized,
+    ) &&
+    /\b(image|images|file|files|generation|generate|render|create)\b/i.test(
+      normalized,
+    )
+  ) {
+    return normalized;
+  }
+  return null;
+};
 
-  const markConvoStreamCompleted = (details = null) => {
-    if (convoStreamCompleted) return;
-    convoStreamCompleted = true;
-    emitStreamEvent({
-      type: "convo_stream_completed",
-      source: "ces_stream_event",
-      conversationId:
-        details && typeof details.conversationId === "string"
-          ? details.conversationId
-          : null,
-      turnTraceId:
-        details && typeof details.turnTraceId === "string"
-          ? details.turnTraceId
-          : null,
-      result:
-        details && typeof details.result === "string"
-          ? details.result
-          : null,
-      message: "Conversation stream completed",
-    });
-    if (savedCount === 0) return;
-    if (requireFinalImageFrame && sawImageStreamPartFrame && !sawImageFinalFrame) {
-      return;
-    }
-    if (idleTimer) clearTimeout(idleTimer);
-    idleTimer = setTimeout(
-      () => finish(),
-      Math.min(Math.max(600, idleMs), 1_500),
-    );
+const extractLatestAssistantTurn = async (pageInstance) => {
+  const turns = pageInstance.locator('article[data-turn="assistant"]');
+  const count = await turns.count();
+  if (!count) return null;
+  const lastTurn = turns.nth(count - 1);
+  const turnId = (await lastTurn.getAttribute("data-turn-id")) || null;
+  const markdown = lastTurn.locator(".markdown").first();
+  let text = "";
+  if (await markdown.count()) {
+    text = normalizeWhitespace(await markdown.innerText());
+  }
+  if (!text) {
+    text = normalizeWhitespace(await lastTurn.innerText());
+  }
+  if (!text) return null;
+  const clipped = text.length > 4000 ? `${text.slice(0, 4000)}...` : text;
+  const errorMessage = detectAssistantErrorMessage(clipped);
+  return {
+    turnId,
+    turnCount: count,
+    text: clipped,
+    requiresInput: detectAssistantNeedsInput(clipped),
+    hasError: Boolean(errorMessage),
+    errorMessage,
   };
+};
 
-  const emitStreamEvent = (event) => {
-    if (!event || typeof event !== "object") return;
-    const entry = { ...event };
-    if (!entry.ts) {
-      entry.ts = new Date().toISOString();
+const readAssistantTurnMarker = async (pageInstance) => {
+  const turns = pageInstance.locator('article[data-turn="assistant"]');
+  const count = await turns.count().catch(() => 0);
+  const turnId = count
+    ? await turns
+        .nth(count - 1)
+        .getAttribute("data-turn-id")
+        .catch(() => null)
+    : null;
+  return { count, turnId: turnId || null };
+};
+
+const isAssistantTurnBeforeMarker = (turn, marker) => {
+  if (!marker) return false;
+  if (turn.turnId && marker.turnId) return turn.turnId === marker.turnId;
+  return turn.turnCount <= marker.count;
+};
+
+const renderAssistantTurnMarkdown = (turn) => {
+  const SKIPPED_TAGS = new Set(["BUTTON", "SVG", "svg", "SCRIPT", "STYLE"]);
+  const candidates = [...turn.querySelectorAll(".markdown")];
+  const roots = candidates.length
+    ? candidates.filter(
+        (node) =>
+          !candidates.some((other) => other !== node && other.contains(node)),
+      )
+    : [turn];
+  const inlineChildren = (node) =>
+    [...node.childNodes].map((child) => inlineNode(child)).join("");
+  const wrapInline = (marker, node) => {
+    const text = inlineChildren(node).trim();
+    return text ? `${marker}${text}${marker}` : "";
+  };
+  const inlineNode = (node) => {
+    if (node.nodeType === 3) return node.textContent.replace(/\s+/g, " ");
+    if (node.nodeType !== 1 || SKIPPED_TAGS.has(node.tagName)) return "";
+    switch (node.tagName) {
+      case "BR":
+        return "  \n";
+      case "STRONG":
+      case "B":
+        return wrapInline("**", node);
+      case "EM":
+      case "I":
+        return wrapInline("*", node);
+      case "DEL":
+      case "S":
+        return wrapInline("~~", node);
+      case "CODE": {
+        const text = node.textContent;
+        const fence = text.includes("`") ? "``" : "`";
+        return `${fence}${text}${fence}`;
+      }
+      case "A": {
+        const href = node.getAttribute("href") || "";
+        const text = inlineChildren(node).trim();
+        return href ? `[${text || href}](${href})` : text;
+      }
+      case "IMG": {
+        const src = node.getAttribute("src") || "";
+        return src ? `![${node.getAttribute("alt") || ""}](${src})` : "";
+      }
+      default:
+        return inlineChildren(node);
     }
-    streamEvents.push(entry);
-    Promise.resolve(onStreamEvent(entry)).catch(() => undefined);
   };
-
-  const shouldIgnoreCapturedFile = ({
-    fileName = "",
-    sourceFileName = "",
-  } = {}) => {
-    if (ignoredFileNameSet.size === 0) return false;
-    const normalizedFileName = normalizeMatchFileName(fileName);
-    const normalizedSourceFileName = normalizeMatchFileName(sourceFileName);
-    return (
-      (normalizedFileName && ignoredFileNameSet.has(normalizedFileName)) ||
-      (normalizedSourceFileName &&
-        ignoredFileNameSet.has(normalizedSourceFileName))
+  const renderCodeBlock = (node) => {
+    const code = node.querySelector("code");
+    const language =
+      [...(code?.classList ?? [])]
+        .find((name) => name.startsWith("language-"))
+        ?.slice("language-".length) ?? "";
+    const text = (code ?? node).textContent.replace(/\n$/, "");
+    const fence = text.includes("```") ? "````" : "```";
+    return `${fence}${language}\n${text}\n${fence}`;
+  };
+  const renderTable = (node) => {
+    const rows = [...node.querySelectorAll("tr")].map((row) =>
+      [...row.children].map((cell) =>
+        inlineChildren(cell).replace(/\|/g, "\\|").replace(/\s+/g, " ").trim(),
+      ),
     );
+    if (rows.length === 0) return "";
+    const width = Math.max(...rows.map((row) => row.length));
+    const line = (row) =>
+      `| ${[...row, ...Array(width - row.length).fill("")].join(" | ")} |`;
+    return [
+      line(rows[0]),
+      line(Array(width).fill("---")),
+      ...rows.slice(1).map(line),
+    ].join("\n");
   };
-
-  const cleanup = () => {
-    if (idleTimer) clearTimeout(idleTimer);
-    if (timeoutTimer) clearTimeout(timeoutTimer);
-    pageInstance.off("response", onResponse);
+  const renderList = (node) => {
+    const ordered = node.tagName === "OL";
+    let index = Number(node.getAttribute("start")) || 1;
+    const lines = [];
+    for (const item of node.children) {
+      if (item.tagName !== "LI") continue;
+      const marker = ordered ? `${index++}.` : "-";
+      const indent = " ".repeat(marker.length + 1);
+      const [first = "", ...rest] = renderBlocks(item, "\n").split("\n");
+      lines.push(
+        `${marker} ${first}`,
+        ...rest.map((line) => (line ? `${indent}${line}` : line)),
+      );
+    }
+    return lines.join("\n");
   };
-
-  const finish = () => {
-    if (finished) return;
-    finished = true;
-    cleanup();
+  const renderBlocks = (node, separator = "\n\n") => {
+    const parts = [];
+    let pending = "";
+    const flush = () => {
+      const text = pending.trim();
+      if (text) parts.push(text);
+      pending = "";
+    };
+    for (const child of node.childNodes) {
+      if (child.nodeType !== 1) {
+        pending += inlineNode(child);
+        continue;
+      }
+      const tag = child.tagName;
+      if (SKIPPED_TAGS.has(tag)) continue;
+      if (/^H[1-6]$/.test(tag)) {
+        flush();
+        parts.push(`${"#".repeat(Number(tag[1]))} ${inlineChildren(child).trim()}`);
+      } else if (tag === "P") {
+        flush();
+        parts.push(inlineChildren(child).trim());
+      } else if (tag === "UL" || tag === "OL") {
+        flush();
+        parts.push(renderList(child));
+      } else if (tag === "PRE") {
+        flush();
+        parts.push(renderCodeBlock(child));
+      } else if (tag === "TABLE") {
+        flush();
+        parts.push(renderTable(child));
+      } else if (tag === "HR") {
+        flush();
+        parts.push("---");
+      } else if (tag === "BLOCKQUOTE") {
+        flush();
+        parts.push(
+          renderBlocks(child)
+            .split("\n")
+            .map((line) => (line ? `> ${line}` : ">"))
+            .join("\n"),
+        );
+      } else if (["DIV", "SECTION", "ARTICLE", "FIGURE"].includes(tag)) {
+        flush();
+        parts.push(renderBlocks(child, separator));
+      } else {
+        pending += inlineNode(child);
+      }
+    }
+    flush();
+    return parts.filter(Boolean).join(separator);
+  };
+  const html = roots
+    .map((root) => {
+      const clone = root.cloneNode(true);
+      clone.querySelectorAll("button, svg").forEach((node) => node.remove());
+      return clone.innerHTML;
+    })
+    .join("\n");
+  return {
+    markdown: roots.map((root) => renderBlocks(root)).filter(Boolean).join("\n\n"),
+    html,
   };
+};
 
-  const scheduleIdleCheck = () => {
-    if (idleTimer) clearTimeout(idleTimer);
-    if (savedCount === 0) return;
-    if (
-      requireFinalImageFrame &&
-      sawImageStreamPartFrame &&
-      !sawImageFinalFrame
-    ) {
-      return;
-    }
-    if (requireFinalImageFrame && sawImageFinalFrame && !convoStreamCompleted) {
-      return;
+const captureAssistantTextTurn = async (
+  pageInstance,
+  { minTurnCount = 0, timeoutMs = 15_000, signal = null } = {},
+) => {
+  const turns = pageInstance.locator('article[data-turn="assistant"]');
+  const deadline = Date.now() + timeoutMs;
+  let previous = null;
+  while (!signal?.aborted && !pageInstance.isClosed()) {
+    const count = await turns.count().catch(() => 0);
+    if (count > minTurnCount) {
+      const lastTurn = turns.nth(count - 1);
+      const rendered = await lastTurn
+        .evaluate(renderAssistantTurnMarkdown)
+        .catch(() => null);
+      if (rendered?.markdown && rendered.markdown === previous?.markdown) {
+        return {
+          ...rendered,
+          turnId: (await lastTurn.getAttribute("data-turn-id")) || null,
+        };
+      }
+      previous = rendered;
     }
-    idleTimer = setTimeout(() => finish(), idleMs);
+    if (Date.now() >= deadline) break;
+    await sleep(1_000);
+  }
+  return previous?.markdown ? { ...previous, turnId: null } : null;
+};
+
+const buildContinuationPrompt = (
+  previousContext,
+  answerPrompt,
+  generationMode = "image",
+  { hasUploadFiles = false } = {},
+) => {
+  const normalizedAnswer = normalizePromptForMode(
+    answerPrompt,
+    generationMode,
+    { hasUploadFiles },
+  );
+  const seed = {
+    id: previousContext?.id ?? null,
+    question: previousContext?.question ?? "",
+    result: previousContext?.result ?? null,
   };
+  const seedJson = JSON.stringify(seed, null, 2);
+  return [
+    "Use this context JSON for continuity:",
+    seedJson,
+    "",
+    "Follow-up prompt:",
+    normalizedAnswer,
+  ].join("\n");
+};
 
-  const handleFileBuffer = async (
-    buffer,
-    contentType,
-    nameHint,
-    metadataId = null,
-    eventMeta = {},
-  ) => {
-    if (
-      shouldIgnoreCapturedFile({
-        fileName: nameHint,
-        sourceFileName:
-          typeof eventMeta.sourceFileName === "string"
-            ? eventMeta.sourceFileName
-            : "",
-      })
-    ) {
-      emitStreamEvent({
-        type: "file_ignored",
-        source: eventMeta.source || "stream_response",
-        responseUrl: eventMeta.responseUrl || null,
-        downloadUrl: eventMeta.downloadUrl || null,
-        metadataId: metadataId || null,
-        fileName:
-          typeof nameHint === "string" && nameHint.trim()
-            ? basename(nameHint.trim())
-            : null,
-        sourceFileName:
-          typeof eventMeta.sourceFileName === "string" &&
-          eventMeta.sourceFileName.trim()
-            ? basename(eventMeta.sourceFileName.trim())
-            : null,
-        reason: "matches_upload_reference_name",
-        message:
-          "Ignored captured file because it matches an uploaded reference filename",
-      });
+const uploadFilesToChatGptComposer = async (activePage, files) => {
+  if (!Array.isArray(files) || files.length === 0) return;
+
+  const selectors = [
+    'input[type="file"][multiple]',
+    'input[type="file"]',
+  ];
+
+  for (const selector of selectors) {
+    const input = activePage.locator(selector).first();
+    if (await input.count()) {
+      await input.setInputFiles(files);
+      await sleep(500);
       return;
     }
-    const saved = await saveBufferToDisk(buffer, {
-      fileName: nameHint || `download-${Date.now()}`,
-      contentType,
-      metadataId,
-      imageRun,
-    });
-    const savedEntry = {
-      ...saved,
-      sourceFileName:
-        typeof eventMeta.sourceFileName === "string" &&
-        eventMeta.sourceFileName
-          ? eventMeta.sourceFileName
-          : null,
-      isStreamPart: eventMeta.isStreamPart === true,
-      streamPartIndex: Number.isFinite(eventMeta.streamPartIndex)
-        ? eventMeta.streamPartIndex
-        : null,
-      isFinalStreamFrame: eventMeta.isFinalStreamFrame === true,
-    };
-    emitStreamEvent({
-      type: "file_saved",
-      source: eventMeta.source || "stream_response",
-      responseUrl: eventMeta.responseUrl || null,
-      downloadUrl: eventMeta.downloadUrl || null,
-      metadataId: metadataId || null,
-      contentType: contentType || null,
-      fileName: savedEntry?.fileName || null,
-      sourceFileName: savedEntry?.sourceFileName || null,
-      outputPath: savedEntry?.filePath || null,
-      byteLength: savedEntry?.byteLength ?? buffer?.byteLength ?? null,
-      isStreamPart: savedEntry.isStreamPart === true,
-      streamPartIndex: savedEntry.streamPartIndex,
-      isFinalStreamFrame: savedEntry.isFinalStreamFrame === true,
-      message: `Saved ${savedEntry?.fileName || "download"}`,
-    });
-    savedFiles.push(savedEntry);
-    if (requireFinalImageFrame && imageRun?.generationMode === "image") {
-      if (savedEntry.isStreamPart === true) {
-        sawImageStreamPartFrame = true;
-      }
-      if (savedEntry.isFinalStreamFrame === true) {
-        sawImageFinalFrame = true;
+  }
+
+  const attachButton = activePage.getByRole("button", {
+    name: /attach|upload|add files|add photos|plus/i,
+  });
+  if (await attachButton.count()) {
+    await attachButton.first().click();
+    for (const selector of selectors) {
+      const input = activePage.locator(selector).first();
+      if (await input.count()) {
+        await input.setInputFiles(files);
+        await sleep(500);
+        return;
       }
     }
-    if (metadataId) {
-      metadataIds.add(metadataId);
+  }
+
+  throw new Error("Unable to find a file upload input on the page.");
+};
+
+const activeRunControls = new Map();
+const runControlClients = new Map();
+
+const registerRunControl = (contextId) => {
+  const control = {
+    contextId,
+    closed: false,
+    cancelled: false,
+    pendingAnswers: [],
+    answerWaiters: new Set(),
+    cancelHandlers: new Set(),
+    interruptController: new AbortController(),
+    awaitingInput: false,
+  };
+  activeRunControls.set(contextId, control);
+  return control;
+};
+
+const releaseRunControl = (control) => {
+  if (!control || control.closed) return;
+  control.closed = true;
+  if (activeRunControls.get(control.contextId) === control) {
+    activeRunControls.delete(control.contextId);
+  }
+  for (const waiter of [...control.answerWaiters]) {
+    waiter();
+  }
+};
+
+const attachRunControlClient = (contextId, client) => {
+  let clients = runControlClients.get(contextId);
+  if (!clients) {
+    clients = new Set();
+    runControlClients.set(contextId, clients);
+  }
+  clients.add(client);
+};
+
+const detachRunControlClient = (contextId, client) => {
+  const clients = runControlClients.get(contextId);
+  if (!clients) return;
+  clients.delete(client);
+  if (clients.size === 0) {
+    runControlClients.delete(contextId);
+  }
+};
+
+const hasRunControlClient = (contextId) =>
+  (runControlClients.get(contextId)?.size ?? 0) > 0;
+
+const submitRunAnswer = (contextId, text) => {
+  const control = activeRunControls.get(sanitizeContextId(contextId));
+  const answer = typeof text === "string" ? text.trim() : "";
+  if (!control || control.closed || !answer) return null;
+  control.pendingAnswers.push(answer);
+  const idle = control.awaitingInput || control.answerWaiters.size > 0;
+  for (const waiter of [...control.answerWaiters]) {
+    waiter();
+  }
+  // While ChatGPT is still generating, the answer waits for the current
+  // collection to finish instead of cutting it short.
+  if (idle) {
+    control.interruptController.abort();
+  }
+  return { pendingAnswers: control.pendingAnswers.length };
+};
+
+const waitForRunAnswer = (control, timeoutMs) =>
+  new Promise((resolvePromise) => {
+    if (control.pendingAnswers.length > 0 || control.closed) {
+      resolvePromise(control.pendingAnswers.shift() ?? null);
+      return;
     }
-    savedCount += 1;
-    if (savedCount >= maxFiles) {
-      finish();
-    } else if (
-      requireFinalImageFrame &&
-      imageRun?.generationMode === "image" &&
-      sawImageFinalFrame &&
-      convoStreamCompleted
-    ) {
-      if (idleTimer) clearTimeout(idleTimer);
-      idleTimer = setTimeout(
-        () => finish(),
-        Math.min(Math.max(500, idleMs), 1_500),
-      );
-    } else {
-      scheduleIdleCheck();
+    let timer = null;
+    const waiter = () => {
+      if (timer) clearTimeout(timer);
+      control.answerWaiters.delete(waiter);
+      resolvePromise(control.pendingAnswers.shift() ?? null);
+    };
+    timer = setTimeout(waiter, Math.max(0, timeoutMs));
+    control.answerWaiters.add(waiter);
+  });
+
+const cancelRunControl = async (control) => {
+  if (!control || control.closed || control.cancelled) return false;
+  control.cancelled = true;
+  control.interruptController.abort();
+  for (const waiter of [...control.answerWaiters]) {
+    waiter();
+  }
+  for (const handler of [...control.cancelHandlers]) {
+    try {
+      await handler();
+    } catch (error) {
+      console.warn("Run cancel handler failed:", error);
     }
-  };
+  }
+  return true;
+};
 
-  const processResponse = async (response) => {
-    const responseUrl = new URL(response.url());
-    if (responseUrl.hostname !== "chatgpt.com") return;
-    const pathname = responseUrl.pathname;
-    const isEstuary = pathname.startsWith("/backend-api/estuary/content");
-    const isDownload = pathname.startsWith("/backend-api/files/download/");
-    if (!isEstuary && !isDownload) return;
+const createRunCancelledError = () => {
+  const error = new Error("Run cancelled");
+  error.cancelled = true;
+  return error;
+};
 
-    const isImageRun = imageRun?.generationMode === "image";
-    if (!isImageRun) {
-      const responseFileId = extractFileId(response.url());
-      const dedupeKey = responseFileId || response.url();
-      if (seen.has(dedupeKey)) return;
-      seen.add(dedupeKey);
+const clickChatGptStopButton = async (activePage) => {
+  if (!activePage || activePage.isClosed()) return false;
+  const stopButton = activePage.locator(
+    'button[data-testid="stop-button"], button[aria-label*="Stop streaming"], button[aria-label*="Stop generating"]',
+  );
+  if (!(await stopButton.count().catch(() => 0))) return false;
+  try {
+    await stopButton.first().click({ timeout: 3_000 });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const resetRunInterrupt = (control) => {
+  if (!control) return null;
+  if (control.cancelled) return control.interruptController.signal;
+  if (control.interruptController.signal.aborted) {
+    control.interruptController = new AbortController();
+  }
+  return control.interruptController.signal;
+};
+
+const waitForAbort = (signal) =>
+  new Promise((resolvePromise) => {
+    if (!signal) return;
+    if (signal.aborted) {
+      resolvePromise(null);
+      return;
     }
+    signal.addEventListener("abort", () => resolvePromise(null), { once: true });
+  });
 
-    const contentType = response.headers()["content-type"] ?? "";
-    if (isDownload && isJsonContentType(contentType)) {
-      try {
-        const fileInfo = await response.json();
-        console.log("Received file download metadata:", fileInfo);
+const focusChatGptComposer = async (activePage) => {
+  const composer = activePage
+    .locator('#prompt-textarea, [contenteditable="true"], textarea')
+    .first();
+  if (await composer.count()) {
+    await composer.click({ timeout: 4_000 }).catch(() => undefined);
+  }
+};
+
+const uploadReferenceFileNames = (uploadFiles) => [
+  ...new Set(
+    (Array.isArray(uploadFiles) ? uploadFiles : [])
+      .map((filePath) =>
+        typeof filePath === "string" && filePath.trim()
+          ? basename(filePath.trim())
+          : "",
+      )
+      .filter(Boolean),
+  ),
+];
+
+const runChatGptPromptFlow = async (
+  activePage,
+  {
+    prompt,
+    effectiveUrl,
+    imageRun,
+    generationMode = "image",
+    streamMode = false,
+    uploadFiles = [],
+    continuation = null,
+    onActivity = () => undefined,
+    onFailure = async () => undefined,
+    control = null,
+  },
+) => {
+  const pageContext = activePage.context();
+  const runOwnedPages = new Set();
+  const onContextPage = (candidatePage) => {
+    Promise.resolve(candidatePage.opener?.())
+      .then((opener) => {
+        if (opener === activePage) {
+          runOwnedPages.add(candidatePage);
+        }
+      })
+      .catch(() => undefined);
+  };
+  pageContext.on("page", onContextPage);
+
+  let shouldClosePage = false;
+  let result = buildSaveResult();
+  let assistantErrorMessageSeen = null;
+  let assistantTurnIdSeen = null;
+  let assistantTurnTextSeen = "";
+  let assistantQuestionPending = false;
+  let assistantPollTimer = null;
+  let assistantProbeQueue = Promise.resolve();
+  let assistantTurnMarker = null;
+  const emitActivity = (activity) => {
+    Promise.resolve(onActivity(activity)).catch(() => undefined);
+  };
+  const probeAssistantTurn = async (important = false) => {
+    assistantProbeQueue = assistantProbeQueue
+      .catch(() => undefined)
+      .then(async () => {
+        const turn = await extractLatestAssistantTurn(activePage);
+        if (!turn) return;
+        // In-thread follow-ups still show the turn being answered until the
+        // new reply renders; never act on it again.
+        if (isAssistantTurnBeforeMarker(turn, assistantTurnMarker)) return;
         if (
-          ignoredFileNameSet.size > 0 &&
-          isLikelyUploadEchoMetadata(fileInfo)
+          turn.turnId === assistantTurnIdSeen &&
+          turn.text === assistantTurnTextSeen
         ) {
-          emitStreamEvent({
-            type: "file_ignored",
-            source: "files_download_metadata",
-            responseUrl: response.url(),
-            metadataId: extractFileId(response.url()) || null,
-            fileName: null,
-            fileSizeBytes: null,
-            reason: "upload_echo_metadata_null_fields",
-            message:
-              "Ignored metadata response because file_name and file_size_bytes are null (likely upload echo)",
-          });
           return;
         }
-        const downloadUrl = fileInfo?.download_url;
-        if (typeof downloadUrl === "string" && downloadUrl) {
-          const metadataId =
-            extractFileId(downloadUrl) || extractFileId(response.url());
-          const metadataFileNameRaw =
-            typeof fileInfo?.file_name === "string"
-              ? basename(fileInfo.file_name)
-              : "";
-          const frameInfo = parseImageStreamFrameInfo(metadataFileNameRaw);
-          emitStreamEvent({
-            type: "download_url_resolved",
-            source: "files_download_metadata",
-            responseUrl: response.url(),
-            downloadUrl,
-            streamFrameUrl: downloadUrl,
-            metadataId: metadataId || null,
-            sourceFileName: frameInfo.fileName || null,
-            isStreamPart: frameInfo.isPart,
-            streamPartIndex: frameInfo.partIndex,
-            isFinalStreamFrame: frameInfo.isFinal,
-            contentType: contentType || null,
-            message: frameInfo.isFinal
-              ? "Resolved final stream frame URL from metadata response"
-              : "Resolved stream frame URL from metadata response",
-          });
-          const {
-            buffer,
-            contentType: downloadType,
-            fileName: fetchedFileName,
-          } = await fetchDownloadWithRetry(pageInstance, downloadUrl, {
-            preferCurl: imageRun?.generationMode === "file",
-            outputDir: runOutputDir,
-          });
-          const shouldUseMetadataFileName =
-            Boolean(metadataFileNameRaw) &&
-            !(
-              imageRun?.generationMode === "image" &&
-              isLikelyImageStreamPartName(metadataFileNameRaw)
-            );
-          const nameCandidate =
-            shouldUseMetadataFileName
-              ? metadataFileNameRaw
-              : fetchedFileName
-                ? basename(fetchedFileName)
-                : `${imageRun?.filePrefix || "download"}-${Date.now()}`;
-          await handleFileBuffer(
-            buffer,
-            downloadType,
-            nameCandidate,
-            metadataId,
-            {
-              source: "files_download_metadata",
-              responseUrl: response.url(),
-              downloadUrl,
-              sourceFileName: frameInfo.fileName || null,
-              isStreamPart: frameInfo.isPart,
-              streamPartIndex: frameInfo.partIndex,
-              isFinalStreamFrame: frameInfo.isFinal,
-            },
-          );
+        assistantTurnIdSeen = turn.turnId;
+        assistantTurnTextSeen = turn.text;
+        await recordAssistantTurnSnapshot(imageRun?.recording, activePage, turn);
+        assistantQuestionPending = turn.requiresInput && !turn.hasError;
+        if (control) {
+          control.awaitingInput = assistantQuestionPending;
+        }
+        if (turn.hasError && turn.errorMessage) {
+          assistantErrorMessageSeen = turn.errorMessage;
+          console.error("Assistant error:", turn.errorMessage);
         } else {
-          emitStreamEvent({
-            type: "metadata_missing_download_url",
-            source: "files_download_metadata",
-            responseUrl: response.url(),
-            metadataId: extractFileId(response.url()) || null,
-            contentType: contentType || null,
-            message: "Metadata response did not include download_url",
-          });
+          console.log("Assistant turn:", turn.text);
         }
-      } catch (error) {
-        console.warn("Failed to process download metadata response:", error);
-        emitStreamEvent({
-          type: "save_failed",
-          source: "files_download_metadata",
-          responseUrl: response.url(),
-          metadataId: extractFileId(response.url()) || null,
-          contentType: contentType || null,
-          message: error?.message ?? String(error),
+        emitActivity({
+          type: turn.hasError
+            ? "assistant_error"
+            : turn.requiresInput
+              ? "assistant_question"
+              : "assistant_message",
+          assistantTurnId: turn.turnId,
+          message: turn.text,
+          errorMessage: turn.errorMessage || null,
+          requiresInput: turn.requiresInput || turn.hasError,
+          important: important || turn.requiresInput || turn.hasError,
         });
+      });
+    await assistantProbeQueue;
+  };
+  const mergeResult = (next) => {
+    result = mergeSaveResults(result, next);
+    if (next?.metadataIds?.length) {
+      const metadataId = next.metadataIds[next.metadataIds.length - 1];
+      emitActivity({
+        type: "metadata_detected",
+        metadataId,
+        important: true,
+      });
+    }
+    if (next?.savedFiles?.length) {
+      const latest = next.savedFiles[next.savedFiles.length - 1];
+      emitActivity({
+        type: generationMode === "image" ? "image_saved" : "file_saved",
+        outputPath: latest?.filePath ?? null,
+        important: true,
+      });
+    }
+    emitActivity({
+      type: "progress",
+      savedCount: result.savedCount ?? 0,
+    });
+  };
+  const isRunPage = (candidatePage) =>
+    Boolean(candidatePage) &&
+    (candidatePage === activePage || runOwnedPages.has(candidatePage));
+  const closeRunOwnedPages = async () => {
+    for (const candidatePage of [...runOwnedPages]) {
+      runOwnedPages.delete(candidatePage);
+      if (!candidatePage || candidatePage === activePage) continue;
+      if (candidatePage.isClosed()) continue;
+      try {
+        await candidatePage.close();
+      } catch {
+        // best effort cleanup of popup/download tabs
       }
-      return;
     }
+  };
+  const throwIfCancelled = () => {
+    if (control?.cancelled) {
+      throw createRunCancelledError();
+    }
+  };
+  const onRunCancelled = async () => {
+    emitActivity({
+      type: "flow_cancel_requested",
+      message: "Cancelling run",
+      important: true,
+    });
+    const stopped = await clickChatGptStopButton(activePage);
+    if (stopped) {
+      console.log("Clicked ChatGPT stop button for cancelled run.");
+    }
+    await closeRunOwnedPages();
+  };
+  control?.cancelHandlers.add(onRunCancelled);
+  const ignoredUploadFileNames = [
+    ...uploadReferenceFileNames(uploadFiles),
+    ...(continuation?.ignoreFileNames ?? []),
+  ];
+  let initialPrompt = prompt;
+  const emitFlowStreamEvent = (streamEvent) => {
+    emitActivity({
+      type: "stream_event",
+      streamEvent,
+      metadataId:
+        typeof streamEvent?.metadataId === "string" && streamEvent.metadataId
+          ? streamEvent.metadataId
+          : undefined,
+      outputPath:
+        typeof streamEvent?.outputPath === "string" && streamEvent.outputPath
+          ? streamEvent.outputPath
+          : undefined,
+      message:
+        typeof streamEvent?.message === "string" && streamEvent.message
+          ? streamEvent.message
+          : `Stream event: ${streamEvent?.type || "activity"}`,
+      important:
+        streamEvent?.type === "file_saved" ||
+        streamEvent?.type === "save_failed",
+    });
+  };
+  const mergeAssistantOutputs = (
+    savedFiles,
+    { source, assistantTurnId = null },
+  ) => {
+    const streamEvents = savedFiles.map((file) => ({
+      type: "file_saved",
+      source,
+      assistantTurnId,
+      contentType: file.contentType,
+      fileName: file.fileName,
+      outputPath: file.filePath,
+      byteLength: file.byteLength,
+      ...(file.language ? { language: file.language } : {}),
+      message: `Saved ${file.fileName}`,
+      ts: new Date().toISOString(),
+    }));
+    streamEvents.forEach(emitFlowStreamEvent);
+    mergeResult(
+      buildSaveResult(savedFiles.length, savedFiles, [], streamEvents),
+    );
+  };
+  const collectDownloads = async () =>
+    collectChatGptDownloads(activePage, {
+      timeoutMs: config.imageTimeoutMs,
+      idleMs: config.imageIdleMs,
+      maxFiles:
+        generationMode === "image" ? Number.MAX_SAFE_INTEGER : config.imageMax,
+      imageRun,
+      requireFinalImageFrame: generationMode === "image",
+      waitForConvoStreamCompleted: generationMode === "image",
+      ignoreFileNames: ignoredUploadFileNames,
+      signal: control?.interruptController.signal ?? null,
+      onStreamEvent: emitFlowStreamEvent,
+    });
 
-    if (!isJsonContentType(contentType)) {
-      const responseFileId = extractFileId(response.url());
-      const contentDisposition = response.headers()["content-disposition"] ?? "";
-      const fromHeader = parseContentDispositionFileName(contentDisposition);
-      const nameHint = fromHeader
-        ? basename(fromHeader)
-        : responseFileId
-          ? `${imageRun?.filePrefix || "download"}-${responseFileId}`
-          : `${imageRun?.filePrefix || "download"}-${Date.now()}`;
-      if (shouldIgnoreCapturedFile({ fileName: nameHint })) {
-        emitStreamEvent({
-          type: "file_ignored",
-          source: "download_response",
-          responseUrl: response.url(),
-          metadataId: responseFileId || null,
-          fileName: nameHint || null,
-          reason: "matches_upload_reference_name",
+  try {
+    emitActivity({ type: "flow_start", message: "Loading composer" });
+    console.log("Page loaded, typing message...");
+    await activePage.waitForLoadState("domcontentloaded", {
+      timeout: 60_000,
+    });
+    try {
+      await activePage.waitForLoadState("networkidle", {
+        timeout: 10_000,
+      });
+    } catch {
+      // ignore network idle timeouts; ChatGPT keeps connections open
+    }
+    throwIfCancelled();
+    if (activePage.isClosed()) {
+      throw new Error("Page closed before composer was ready.");
+    }
+    emitActivity({ type: "composer_ready", message: "Composer ready" });
+    const urlNow = activePage.url();
+    if (isLoginLikeUrl(urlNow)) {
+      const relaunched = await relaunchHeadfulForLogin(urlNow);
+      if (relaunched) {
+        return {
+          status: "relaunch",
           message:
-            "Ignored captured file because it matches an uploaded reference filename",
-        });
-        return;
-      }
-      let next = buildSaveResult();
-      try {
-        next = await saveDownloadRecord(
-          pageInstance,
-          {
-            downloadUrl: response.url(),
-            fileName: nameHint,
-            metadataId: responseFileId || null,
-          },
-          { imageRun },
-        );
-      } catch (error) {
-        console.warn("Failed to save response download URL:", response.url(), error);
-        emitStreamEvent({
-          type: "save_failed",
-          source: "download_response",
-          responseUrl: response.url(),
-          metadataId: responseFileId || null,
-          contentType: contentType || null,
-          message: error?.message ?? String(error),
-        });
-      }
-      savedCount += next.savedCount ?? 0;
-      for (const file of next.savedFiles ?? []) {
-        savedFiles.push(file);
-        emitStreamEvent({
-          type: "file_saved",
-          source: "download_response",
-          responseUrl: response.url(),
-          metadataId: responseFileId || null,
-          contentType: file?.contentType || contentType || null,
-          fileName: file?.fileName || null,
-          outputPath: file?.filePath || null,
-          byteLength: file?.byteLength ?? null,
-          message: `Saved ${file?.fileName || "download"}`,
-        });
+            "Login detected and browser was relaunched in headful mode to complete auth.",
+          ...result,
+        };
       }
-      for (const id of next.metadataIds ?? []) {
-        if (id) metadataIds.add(id);
+      throw new Error(
+        "Login page detected. Sign in once (headful) to establish session cookies.",
+      );
+    }
+    if (urlNow.includes("__cf_chl_")) {
+      const relaunched = await relaunchHeadfulForLogin(effectiveUrl);
+      if (relaunched) {
+        return {
+          status: "relaunch",
+          message:
+            "Cloudflare challenge detected and browser was relaunched in headful mode.",
+          ...result,
+        };
       }
-      if (savedCount >= maxFiles) {
-        finish();
-      } else if ((next.savedCount ?? 0) > 0) {
-        scheduleIdleCheck();
+      throw new Error(
+        "Cloudflare challenge still active. Complete the challenge in headful mode first.",
+      );
+    }
+    const loginButton = await activePage
+      .getByRole("button", { name: /log in|sign in|continue/i })
+      .count();
+    const loginLink = await activePage
+      .getByRole("link", { name: /log in|sign in/i })
+      .count();
+    if (loginButton || loginLink) {
+      const relaunched = await relaunchHeadfulForLogin(effectiveUrl);
+      if (relaunched) {
+        return {
+          status: "relaunch",
+          message:
+            "Login screen detected and browser was relaunched in headful mode.",
+          ...result,
+        };
       }
-      return;
+      throw new Error(
+        "Login screen detected. Sign in once (headful) to establish session cookies.",
+      );
     }
 
-    if (isEstuary && isJsonContentType(contentType)) {
-      try {
-        const data = await response.json();
-        console.log("Received response from estuary/content:", data);
-        const item = data?.item;
-        if (!item) {
-          emitStreamEvent({
-            type: "metadata_missing_item",
-            source: "estuary_content",
-            responseUrl: response.url(),
-            contentType: contentType || null,
-            message: "Estuary metadata did not include item id",
-          });
-          return;
-        }
-        const downloadUrl = `https://chatgpt.com/backend-api/estuary/content/${item}`;
-        emitStreamEvent({
-          type: "download_url_resolved",
-          source: "estuary_content",
-          responseUrl: response.url(),
-          downloadUrl,
-          metadataId: item,
-          contentType: contentType || null,
-          message: "Resolved estuary download URL",
+    if (continuation) {
+      const resumed = await isChatGptConversationAvailable(
+        activePage,
+        continuation.conversationId,
+      );
+      if (imageRun) {
+        imageRun.thread = {
+          conversationId: continuation.conversationId,
+          resumed,
+        };
+      }
+      if (resumed) {
+        emitActivity({
+          type: "thread_resumed",
+          message: `Continuing conversation ${continuation.conversationId}`,
+          important: true,
         });
-        const {
-          buffer,
-          contentType: downloadType,
-          fileName: fetchedFileName,
-        } = await fetchDownloadWithRetry(pageInstance, downloadUrl, {
-          preferCurl: imageRun?.generationMode === "file",
-          outputDir: runOutputDir,
+      } else {
+        emitActivity({
+          type: "thread_unavailable",
+          message: `Conversation ${continuation.conversationId} is unavailable; sending the context JSON in a new chat`,
+          important: true,
         });
-        const nameHint = fetchedFileName
-          ? basename(fetchedFileName)
-          : `${imageRun?.filePrefix || "download"}-${item}`;
-        await handleFileBuffer(buffer, downloadType, nameHint, item, {
-          source: "estuary_content",
-          responseUrl: response.url(),
-          downloadUrl,
+        await activePage.goto(continuation.fallbackUrl, {
+          waitUntil: config.waitUntil,
+          timeout: config.navTimeoutMs,
         });
-      } catch (error) {
-        console.warn("Failed to process estuary response:", error);
-        emitStreamEvent({
-          type: "save_failed",
-          source: "estuary_content",
-          responseUrl: response.url(),
-          contentType: contentType || null,
-          message: error?.message ?? String(error),
+        await activePage.waitForLoadState("domcontentloaded", {
+          timeout: 60_000,
         });
+        initialPrompt = continuation.fallbackPrompt;
       }
     }
-  };
-
-  const onResponse = (response) => {
-    if (finished) return;
-    queue = queue.catch(() => undefined).then(() => processResponse(response));
-  };
 
-  pageInstance.on("response", onResponse);
-  if (waitForConvoStreamCompleted) {
-    pageInstance
-      .waitForRequest(
-        (candidateRequest) =>
-          Boolean(parseConvoStreamCompletedEvent(candidateRequest)),
-        { timeout: timeoutMs },
-      )
-      .then((request) => {
-        const details = parseConvoStreamCompletedEvent(request);
-        markConvoStreamCompleted(details);
-      })
-      .catch(() => undefined);
-  }
-  timeoutTimer = setTimeout(() => finish(), timeoutMs);
+    throwIfCancelled();
+    if (uploadFiles.length > 0) {
+      await uploadFilesToChatGptComposer(activePage, uploadFiles);
+      emitActivity({
+        type: "files_uploaded",
+        message: `Uploaded ${uploadFiles.length} file(s)`,
+      });
+    }
 
-  await new Promise((resolve) => {
-    const checkFinished = () => {
-      if (finished) {
-        resolve();
+    const submitPromptAndCollect = async (
+      attemptNumber,
+      { promptText = initialPrompt, isAnswer = false } = {},
+    ) => {
+      const savedCountBefore = result.savedCount ?? 0;
+      const interruptSignal = resetRunInterrupt(control);
+      const streamCompletedPromise =
+        generationMode !== "image"
+          ? waitForConvoStreamCompletedEvent(activePage, {
+              timeoutMs: config.imageTimeoutMs,
+            })
+          : null;
+      await assistantProbeQueue.catch(() => undefined);
+      assistantTurnMarker = await readAssistantTurnMarker(activePage);
+      const assistantTurnsBefore = assistantTurnMarker.count;
+      if (isAnswer) {
+        await focusChatGptComposer(activePage);
+      }
+      try {
+        await activePage.keyboard.insertText(promptText);
+      } catch {
+        await activePage.keyboard.type(promptText);
+      }
+      const submit = activePage.locator(
+        '#composer-submit-button, button[data-testid="send-button"], button[aria-label*="Send"], button[aria-label*="Send message"]',
+      );
+      if (await submit.count()) {
+        await submit.first().click();
       } else {
-        setTimeout(checkFinished, 250);
+        await activePage.keyboard.press("Enter");
+      }
+      emitActivity({
+        type: isAnswer ? "answer_submitted" : "prompt_submitted",
+        message: isAnswer
+          ? "Answer submitted"
+          : attemptNumber > 1
+            ? `Prompt submitted (retry ${attemptNumber - 1})`
+            : "Prompt submitted",
+        important: true,
+      });
+      if (!assistantPollTimer) {
+        assistantPollTimer = setInterval(() => {
+          probeAssistantTurn(false).catch(() => undefined);
+        }, 1_500);
       }
-    };
-    checkFinished();
-  });
 
-  await queue;
-  if (savedFiles.length > 0) {
-    const latestSaved = savedFiles[savedFiles.length - 1];
-    const latestExt = extensionFromContentType(latestSaved.contentType);
-    const latestName = applyExtension("latest", latestExt);
-    const latestPath = resolve(runOutputDir, latestName);
-    if (latestSaved.filePath !== latestPath) {
-      await copyFile(latestSaved.filePath, latestPath);
-      console.log("Saved latest file:", latestPath);
-    }
-  }
-  emitStreamEvent({
-    type: "collector_complete",
-    source: "stream_collector",
-    message:
-      savedCount > 0
-        ? `Collector finished with ${savedCount} saved file(s)`
-        : "Collector finished with no captured files",
-    savedCount,
-  });
-  return buildSaveResult(savedCount, savedFiles, [...metadataIds], streamEvents);
-};
+      if (streamMode && generationMode !== "text") {
+        emitActivity({
+          type: "stream_capture_start",
+          message: "Stream capture enabled",
+          important: true,
+        });
+        mergeResult(await collectDownloads());
+        if (
+          (result.savedCount ?? 0) > savedCountBefore &&
+          generationMode === "image" &&
+          uploadFiles.length === 0
+        ) {
+          return;
+        }
+        if ((result.savedCount ?? 0) > savedCountBefore) {
+          console.log(
+            "Stream capture found candidate output(s). Continuing completion checks before finalizing run.",
+          );
+        } else {
+          console.warn(
+            "Stream capture enabled, but no streamed files were captured. Falling back to completion/download flow.",
+          );
+        }
+      }
 
-const ensureContext = async () => {
-  await ensureConfig();
-  if (context) return context;
-  if (!contextStarting) {
-    contextStarting = (async () => {
-      await ensureStorageDir();
-      await ensureOutputDir();
-      await ensureDownloadsDir();
-      const browserType = browsers[config.browser];
-      if (!browserType) {
-        throw new Error(
-          `Unsupported PW_BROWSER '${config.browser}'. Use chromium, firefox, or webkit.`,
-        );
+      if (generationMode === "image") {
+        mergeResult(await collectDownloads());
+        return;
       }
-      const args = [...config.extraArgs];
-      if (config.humanize && config.disableAutomation) {
-        if (!args.includes("--disable-blink-features=AutomationControlled")) {
-          args.push("--disable-blink-features=AutomationControlled");
+
+      let streamCompletedEvent = null;
+      if (streamCompletedPromise) {
+        try {
+          streamCompletedEvent = interruptSignal
+            ? await Promise.race([
+                streamCompletedPromise,
+                waitForAbort(interruptSignal),
+              ])
+            : await streamCompletedPromise;
+          if (streamCompletedEvent) {
+            emitActivity({
+              type: "stream_completed_detected",
+              message:
+                streamCompletedEvent.result &&
+                streamCompletedEvent.result.toLowerCase() !== "success"
+                  ? `Stream completed (${streamCompletedEvent.result})`
+                  : "Stream completed",
+              conversationId: streamCompletedEvent.conversationId || undefined,
+              turnTraceId: streamCompletedEvent.turnTraceId || undefined,
+              important: true,
+            });
+          }
+        } catch (error) {
+          console.warn(
+            "Timed out waiting for stream completion event; proceeding with assistant download scan.",
+            error,
+          );
         }
       }
-      if (!config.headless && config.startMinimized) {
-        if (!args.includes("--start-minimized")) {
-          args.push("--start-minimized");
+
+      if (generationMode === "text") {
+        const captured = await captureAssistantTextTurn(activePage, {
+          minTurnCount: assistantTurnsBefore,
+          signal: interruptSignal,
+        });
+        if (interruptSignal?.aborted) return;
+        if (!captured) {
+          console.warn("No assistant reply found to save as text.");
+          return;
         }
+        mergeAssistantOutputs(
+          await saveAssistantTextOutputs(captured, {
+            imageRun,
+            title: prompt,
+          }),
+          { source: "assistant_text", assistantTurnId: captured.turnId },
+        );
+        return;
       }
-      const proxy = config.proxyServer
-        ? { server: config.proxyServer }
-        : undefined;
-      const launchOptions = {
-        headless: config.headless,
-        acceptDownloads: config.acceptDownloads,
-        downloadsPath: config.downloadsDir,
-        viewport: config.viewport ?? undefined,
-        userAgent: config.userAgent || undefined,
-        locale: config.locale || undefined,
-        timezoneId: config.timezoneId || undefined,
-        geolocation: config.geolocation ?? undefined,
-        permissions: config.permissions.length ? config.permissions : undefined,
-        colorScheme: config.colorScheme || undefined,
-        deviceScaleFactor: config.deviceScaleFactor || undefined,
-        slowMo: config.slowMoMs || undefined,
-        args: args.length ? args : undefined,
-        executablePath: config.executablePath || undefined,
-        proxy,
-      };
-      if (
-        config.headless &&
-        config.browser === "chromium" &&
-        !config.headlessUseSystem
-      ) {
-        launchOptions.executablePath = undefined;
-        launchOptions.channel = undefined;
+
+      mergeResult(
+        await collectAssistantDownloadsAfterCompletion(activePage, {
+          imageRun,
+          timeoutMs: Math.max(12_000, config.imageIdleMs + 10_000),
+          isPageAllowed: isRunPage,
+          closeTransientPages: closeRunOwnedPages,
+          signal: interruptSignal,
+        }),
+      );
+      if (interruptSignal?.aborted) return;
+      if ((result.savedCount ?? 0) === savedCountBefore) {
+        if (streamCompletedEvent) {
+          console.warn(
+            "No file captured from assistant download controls after stream completion. Falling back to collector.",
+          );
+        } else {
+          console.warn(
+            "Stream completion event was not observed. Falling back to collector.",
+          );
+        }
+        mergeResult(await collectDownloads());
       }
       if (
-        config.browser === "chromium" &&
-        config.channel &&
-        (!config.headless || config.headlessUseSystem)
+        (result.savedCount ?? 0) === savedCountBefore &&
+        !interruptSignal?.aborted
       ) {
-        launchOptions.channel = config.channel;
-      }
-      let ctx;
-      try {
-        ctx = await browserType.launchPersistentContext(
-          config.storageDir,
-          launchOptions,
-        );
-      } catch (error) {
-        const canFallback =
-          config.browser === "chromium" &&
-          (launchOptions.executablePath || launchOptions.channel);
-        if (!canFallback) {
-          throw error;
+        const captured = await captureAssistantTextTurn(activePage, {
+          minTurnCount: assistantTurnsBefore,
+          timeoutMs: 5_000,
+          signal: interruptSignal,
+        });
+        const savedFiles = captured
+          ? await saveAssistantCodeBlocks(captured.markdown, {
+              imageRun,
+              prompt: isAnswer ? promptText : prompt,
+            })
+          : [];
+        if (savedFiles.length > 0) {
+          console.log(
+            `No downloadable file captured; saved ${savedFiles.length} code block(s) from the assistant reply.`,
+          );
+          mergeAssistantOutputs(savedFiles, {
+            source: "code_block",
+            assistantTurnId: captured.turnId,
+          });
         }
-        console.warn(
-          "Primary Chrome launch failed. Retrying with bundled Chromium...",
-          error,
-        );
-        const fallbackOptions = {
-          ...launchOptions,
-          executablePath: undefined,
-          channel: undefined,
-        };
-        ctx = await browserType.launchPersistentContext(
-          config.storageDir,
-          fallbackOptions,
-        );
       }
-      if (config.humanize) {
-        await ctx.addInitScript(() => {
-          Object.defineProperty(navigator, "webdriver", {
-            get: () => undefined,
-          });
+    };
+
+    throwIfCancelled();
+    await submitPromptAndCollect(1);
+    throwIfCancelled();
+    if ((result.savedCount ?? 0) === 0 && assistantErrorMessageSeen) {
+      emitActivity({
+        type: "flow_retry",
+        message: "Assistant reported generation error. Retrying once.",
+        errorMessage: assistantErrorMessageSeen,
+        important: true,
+      });
+      console.warn("Assistant reported generation error. Retrying once...");
+      await onFailure("retry");
+      assistantErrorMessageSeen = null;
+      await submitPromptAndCollect(2);
+    }
+
+    while (control && !activePage.isClosed()) {
+      let answer = control.pendingAnswers.shift() ?? null;
+      if (
+        !answer &&
+        assistantQuestionPending &&
+        hasRunControlClient(control.contextId)
+      ) {
+        emitActivity({
+          type: "awaiting_answer",
+          message: "Waiting for an answer on the control channel",
+          important: true,
         });
+        answer = await waitForRunAnswer(control, config.answerWaitMs);
+      }
+      if (!answer) break;
+      assistantQuestionPending = false;
+      control.awaitingInput = false;
+      assistantErrorMessageSeen = null;
+      await submitPromptAndCollect(1, { promptText: answer, isAnswer: true });
+    }
+    throwIfCancelled();
+
+    if (
+      generationMode === "image" &&
+      Array.isArray(result.savedFiles) &&
+      result.savedFiles.length > 1
+    ) {
+      result = await retainImageFrames(result, imageRun);
+    }
+
+    console.log(
+      `Saved ${result.savedCount} ${
+        generationMode === "image" ? "image(s)" : "file(s)"
+      }.`,
+    );
+    if ((result.savedCount ?? 0) === 0 && assistantErrorMessageSeen) {
+      emitActivity({
+        type: "flow_error",
+        message: assistantErrorMessageSeen,
+        important: true,
+      });
+      await onFailure("assistant-error");
+      await probeAssistantTurn(true);
+      return {
+        status: "error",
+        error: assistantErrorMessageSeen,
+        ...result,
+      };
+    }
+    if ((result.savedCount ?? 0) > 0) {
+      shouldClosePage = true;
+    }
+    emitActivity({
+      type: "flow_completed",
+      savedCount: result.savedCount ?? 0,
+      important: true,
+    });
+    await probeAssistantTurn(true);
+    return {
+      status: "completed",
+      ...result,
+    };
+  } catch (error) {
+    if (control?.cancelled) {
+      console.warn("ChatGPT flow cancelled.");
+      emitActivity({
+        type: "flow_cancelled",
+        message: "Run cancelled",
+        important: true,
+      });
+      return {
+        status: "cancelled",
+        error: "Run cancelled",
+        ...result,
+      };
+    }
+    console.error("ChatGPT flow error:", error);
+    emitActivity({
+      type: "flow_error",
+      message: error?.message ?? String(error),
+      important: true,
+    });
+    await onFailure("flow-error");
+    await probeAssistantTurn(true);
+    return {
+      status: "error",
+      error: error?.message ?? String(error),
+      ...result,
+    };
+  } finally {
+    pageContext.off("page", onContextPage);
+    control?.cancelHandlers.delete(onRunCancelled);
+    if (assistantPollTimer) {
+      clearInterval(assistantPollTimer);
+      assistantPollTimer = null;
+    }
+    await closeRunOwnedPages();
+    if (shouldClosePage || control?.cancelled) {
+      if (!activePage.isClosed()) {
+        await activePage.close();
       }
-      scheduleMinimize();
-      ctx.on("close", () => {
-        context = null;
+      if (page === activePage) {
         page = null;
-        minimizeScheduled = false;
-      });
-      return ctx;
-    })();
+      }
+    }
   }
-  context = await contextStarting;
-  contextStarting = null;
-  return context;
 };
 
-const relaunchHeadfulForLogin = async (url) => {
-  if (headfulRelaunchUsed || !config.autoHeadfulOnLogin || !config.headless) {
-    return false;
+const runQueue = {
+  pending: [],
+  running: new Map(),
+  seq: 0,
+};
+
+const normalizeRunPriority = (value) => {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) return 0;
+  return Math.max(-100, Math.min(100, Math.trunc(parsed)));
+};
+
+const getRunQueuePosition = (contextId) =>
+  runQueue.pending.findIndex((entry) => entry.contextId === contextId) + 1;
+
+const getRunQueueStats = () => ({
+  limit: Math.max(1, config.maxConcurrentRuns),
+  running: runQueue.running.size,
+  pending: runQueue.pending.length,
+});
+
+// Exclusive (traced) runs start only once the queue is idle and keep every
+// other run waiting, since the trace records the whole browser context.
+const canStartRunJob = (entry, limit) => {
+  if (runQueue.running.size >= limit) return false;
+  if (entry.exclusive) return runQueue.running.size === 0;
+  return ![...runQueue.running.values()].some((running) => running.exclusive);
+};
+
+const drainRunQueue = () => {
+  const limit = Math.max(1, config.maxConcurrentRuns);
+  while (
+    runQueue.pending.length > 0 &&
+    canStartRunJob(runQueue.pending[0], limit)
+  ) {
+    const entry = runQueue.pending.shift();
+    runQueue.running.set(entry.contextId, entry);
+    Promise.resolve()
+      .then(() => entry.execute())
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        runQueue.running.delete(entry.contextId);
+        drainRunQueue();
+      });
   }
-  headfulRelaunchUsed = true;
-  console.warn("Login/verification needed. Relaunching headful browser...");
-  config.headless = false;
-  await closeContext();
-  const ctx = await ensureContext();
-  const newPage = await ctx.newPage();
-  await newPage.goto(url, {
-    waitUntil: config.waitUntil,
-    timeout: config.navTimeoutMs,
-  });
-  return true;
 };
 
-const isLoginLikeUrl = (url) => {
-  if (!url) return false;
-  return /accounts\.openai\.com|\/auth\b|\/login\b|\/signin\b|sign-in/i.test(
-    url,
+const enqueueRunJob = ({
+  contextId,
+  priority = 0,
+  exclusive = false,
+  execute,
+  cancel,
+}) =>
+  new Promise((resolvePromise, rejectPromise) => {
+    runQueue.seq += 1;
+    runQueue.pending.push({
+      contextId,
+      priority: normalizeRunPriority(priority),
+      exclusive,
+      seq: runQueue.seq,
+      execute,
+      cancel,
+      resolve: resolvePromise,
+      reject: rejectPromise,
+    });
+    runQueue.pending.sort(
+      (left, right) => right.priority - left.priority || left.seq - right.seq,
+    );
+    drainRunQueue();
+  });
+
+const cancelRun = async (contextId) => {
+  const pendingIndex = runQueue.pending.findIndex(
+    (entry) => entry.contextId === contextId,
   );
+  if (pendingIndex >= 0) {
+    const [entry] = runQueue.pending.splice(pendingIndex, 1);
+    try {
+      entry.resolve(await entry.cancel());
+    } catch (error) {
+      entry.reject(error);
+      throw error;
+    }
+    return "queued";
+  }
+  const control = activeRunControls.get(contextId);
+  if (control && (await cancelRunControl(control))) {
+    return "running";
+  }
+  return null;
 };
 
-const ensurePage = async () => {
-  const ctx = await ensureContext();
-  if (page && !page.isClosed()) return page;
-  page = await ctx.newPage();
-  scheduleMinimize();
-  return page;
-};
+const CANCEL_SETTLE_TIMEOUT_MS = 5_000;
 
-const closePage = async () => {
-  if (page && !page.isClosed()) {
-    await page.close();
+const waitForTerminalRun = async (id, timeoutMs) => {
+  const deadline = Date.now() + timeoutMs;
+  let record = await loadContextRun(id);
+  while (
+    record &&
+    !isTerminalRunStatus(record.status) &&
+    Date.now() < deadline
+  ) {
+    await sleep(100);
+    record = await loadContextRun(id);
   }
-  page = null;
+  return record;
 };
 
-const closeContext = async () => {
-  await closePage();
-  if (context) {
-    await context.close();
+const handleCancelRequest = async (body) => {
+  const id =
+    sanitizeContextId(body?.contextId) || sanitizeContextId(body?.id);
+  if (!id) {
+    const error = new Error("contextId is required");
+    error.statusCode = 400;
+    throw error;
   }
-  context = null;
+  const record = await loadContextRun(id);
+  if (!record) {
+    const error = new Error(`Context not found for id '${id}'`);
+    error.statusCode = 404;
+    throw error;
+  }
+  if (isTerminalRunStatus(record.status)) {
+    const error = new Error(
+      `Context '${id}' already finished with status '${record.status}'`,
+    );
+    error.statusCode = 409;
+    throw error;
+  }
+  const cancelledWhile = await cancelRun(id);
+  if (!cancelledWhile) {
+    const ts = new Date().toISOString();
+    await persistContextRun({
+      ...record,
+      status: "cancelled",
+      completedAt: record.completedAt ?? ts,
+      cancelledAt: ts,
+    });
+    publishContextEvent(id, "status", {
+      ts,
+      status: "cancelled",
+      previousStatus: record.status ?? null,
+      error: null,
+      savedCount: record.result?.savedCount ?? 0,
+      keepAlive: record.keepAlive ?? null,
+    });
+    loadContextRun(id)
+      .then((cancelled) => cancelled && notifyStoredRunWebhook(cancelled, "cancelled"))
+      .catch((error) => console.warn("Webhook delivery failed:", error));
+  }
+  const context =
+    cancelledWhile === "running"
+      ? await waitForTerminalRun(id, CANCEL_SETTLE_TIMEOUT_MS)
+      : await loadContextRun(id);
+  return {
+    status: isTerminalRunStatus(context?.status) ? "ok" : "cancelling",
+    contextId: id,
+    previousStatus: record.status ?? null,
+    cancelledWhile: cancelledWhile ?? "orphaned",
+    context,
+  };
 };
 
-const readJson = async (req) => {
-  const chunks = [];
-  for await (const chunk of req) {
-    chunks.push(chunk);
+const WEBHOOK_TERMINAL_EVENTS = ["completed", "error", "cancelled"];
+const WEBHOOK_EVENTS = new Set([...WEBHOOK_TERMINAL_EVENTS, "assistant_question"]);
+const WEBHOOK_DELIVERY_LOG_LIMIT = 20;
+
+const runWebhookPath = (id) => resolve(WEBHOOKS_DIR, `${id}.json`);
+
+const normalizeWebhookRequest = (body) => {
+  const rawUrl =
+    typeof body?.webhookUrl === "string" ? body.webhookUrl.trim() : "";
+  if (!rawUrl) return null;
+  let parsedUrl = null;
+  try {
+    parsedUrl = new URL(rawUrl);
+  } catch {
+    parsedUrl = null;
   }
-  if (chunks.length === 0) return null;
-  const body = Buffer.concat(chunks).toString("utf8").trim();
-  if (!body) return null;
+  if (!parsedUrl || !["http:", "https:"].includes(parsedUrl.protocol)) {
+    const error = new Error("webhookUrl must be an http(s) URL");
+    error.statusCode = 400;
+    throw error;
+  }
+  const requestedEvents = (
+    Array.isArray(body?.webhookEvents)
+      ? body.webhookEvents
+      : typeof body?.webhookEvents === "string"
+        ? body.webhookEvents.split(",")
+        : []
+  )
+    .map((entry) => String(entry).trim())
+    .filter(Boolean);
+  const unknownEvent = requestedEvents.find(
+    (entry) => !WEBHOOK_EVENTS.has(entry),
+  );
+  if (unknownEvent) {
+    const error = new Error(
+      `Unknown webhook event '${unknownEvent}' (expected ${[...WEBHOOK_EVENTS].join(", ")})`,
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+  const events = requestedEvents.length
+    ? [...new Set(requestedEvents)]
+    : [...WEBHOOK_TERMINAL_EVENTS];
+  if (body?.webhookOnQuestion === true && !events.includes("assistant_question")) {
+    events.push("assistant_question");
+  }
+  const secret =
+    typeof body?.webhookSecret === "string" && body.webhookSecret
+      ? body.webhookSecret
+      : config.webhookSecret;
+  return { url: parsedUrl.toString(), secret: secret || "", events };
+};
+
+const describeRunWebhook = (webhook, deliveries = []) =>
+  webhook
+    ? {
+        url: webhook.url,
+        events: webhook.events,
+        signed: Boolean(webhook.secret),
+        deliveries,
+      }
+    : null;
+
+const persistRunWebhook = async (id, webhook) => {
+  await mkdir(WEBHOOKS_DIR, { recursive: true });
+  await writeFile(runWebhookPath(id), JSON.stringify(webhook, null, 2), {
+    mode: 0o600,
+  });
+};
+
+const loadRunWebhook = async (id) => {
+  const safeId = sanitizeContextId(id);
+  if (!safeId) return null;
   try {
-    return JSON.parse(body);
-  } catch (error) {
-    const err = error instanceof Error ? error : new Error("Invalid JSON");
-    err.statusCode = 400;
-    throw err;
+    const parsed = JSON.parse(await readFile(runWebhookPath(safeId), "utf8"));
+    return typeof parsed?.url === "string" && parsed.url ? parsed : null;
+  } catch {
+    return null;
   }
 };
 
-const sendJson = (res, statusCode, payload) => {
-  const body = JSON.stringify(payload, null, 2);
-  res.writeHead(statusCode, {
-    "Content-Type": "application/json",
-    "Content-Length": Buffer.byteLength(body),
+const signWebhookBody = (secret, timestamp, body) =>
+  createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+const isRetryableWebhookStatus = (statusCode) =>
+  statusCode === 408 || statusCode === 429 || statusCode >= 500;
+
+const deliverRunWebhook = async (
+  webhook,
+  { event, context: record, onDelivery = async () => undefined },
+) => {
+  if (!webhook?.url || !webhook.events?.includes(event)) return null;
+  const deliveryId = randomUUID();
+  const body = JSON.stringify({
+    event,
+    deliveryId,
+    contextId: record?.id ?? null,
+    status: record?.status ?? null,
+    sentAt: new Date().toISOString(),
+    context: record,
   });
-  res.end(body);
+  const maxAttempts = Math.max(1, Math.trunc(config.webhookMaxAttempts));
+  let attempts = 0;
+  let statusCode = null;
+  let lastError = null;
+  while (attempts < maxAttempts) {
+    attempts += 1;
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      "content-type": "application/json",
+      "x-webhook-event": event,
+      "x-webhook-delivery": deliveryId,
+      "x-webhook-timestamp": timestamp,
+    };
+    if (webhook.secret) {
+      headers["x-webhook-signature"] =
+        `sha256=${signWebhookBody(webhook.secret, timestamp, body)}`;
+    }
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers,
+        body,
+        signal: AbortSignal.timeout(Math.max(1_000, config.webhookTimeoutMs)),
+      });
+      statusCode = response.status;
+      await response.arrayBuffer().catch(() => undefined);
+      lastError = response.ok ? null : `HTTP ${response.status}`;
+      if (response.ok || !isRetryableWebhookStatus(response.status)) break;
+    } catch (error) {
+      statusCode = null;
+      lastError = error?.message ?? String(error);
+    }
+    if (attempts < maxAttempts) {
+      await sleep(
+        Math.min(60_000, config.webhookRetryBaseMs * 2 ** (attempts - 1)),
+      );
+    }
+  }
+  const delivery = {
+    id: deliveryId,
+    event,
+    ok: !lastError,
+    attempts,
+    statusCode,
+    error: lastError,
+    finishedAt: new Date().toISOString(),
+  };
+  if (lastError) {
+    console.warn(
+      `Webhook ${event} for ${record?.id ?? "run"} failed after ${attempts} attempt(s): ${lastError}`,
+    );
+  }
+  await onDelivery(delivery);
+  return delivery;
 };
 
-const sendError = (res, error) => {
-  const statusCode = error?.statusCode ?? 500;
-  sendJson(res, statusCode, {
-    error: error?.message ?? "Unknown error",
+const appendWebhookDelivery = (webhookState, delivery) => ({
+  ...(webhookState ?? {}),
+  deliveries: [...(webhookState?.deliveries ?? []), delivery].slice(
+    -WEBHOOK_DELIVERY_LOG_LIMIT,
+  ),
+});
+
+const notifyStoredRunWebhook = async (record, event) => {
+  const webhook = await loadRunWebhook(record?.id);
+  if (!webhook) return null;
+  return deliverRunWebhook(webhook, {
+    event,
+    context: record,
+    onDelivery: async (delivery) => {
+      const latest = (await loadContextRun(record.id)) ?? record;
+      await persistContextRun({
+        ...latest,
+        webhook: appendWebhookDelivery(latest.webhook, delivery),
+      });
+    },
   });
 };
 
-const FILE_TYPE_BY_EXTENSION = Object.freeze({
-  gif: { ext: ".gif", label: "GIF" },
-  pdf: { ext: ".pdf", label: "PDF" },
-  doc: { ext: ".doc", label: "DOC" },
-  docx: { ext: ".docx", label: "DOCX" },
-  csv: { ext: ".csv", label: "CSV" },
-  xls: { ext: ".xls", label: "XLS" },
-  xlsx: { ext: ".xlsx", label: "XLSX" },
-  ppt: { ext: ".ppt", label: "PPT" },
-  pptx: { ext: ".pptx", label: "PPTX" },
-  txt: { ext: ".txt", label: "TXT" },
-  md: { ext: ".md", label: "Markdown" },
-  json: { ext: ".json", label: "JSON" },
-  zip: { ext: ".zip", label: "ZIP" },
+const serializeImageRun = (imageRun) => ({
+  runId: imageRun.runId,
+  randomizeFileNames: imageRun.randomizeFileNames === true,
+  generationMode: imageRun.generationMode,
+  outputDir: imageRun.outputDir,
+  contentAddressed: imageRun.contentAddressed === true,
+  embedProvenance: imageRun.embedProvenance === true,
+  record: Boolean(imageRun.recording),
+  images: imageRun.images,
+  keepFrames: imageRun.keepFrames === true,
+  preview: imageRun.preview === true,
+  textHtml: imageRun.textHtml === true,
+  globalLatest: imageRun.globalLatest === true,
+  batchId: imageRun.batchId ?? null,
 });
 
-const FILE_TYPE_PATTERNS = [
-  { type: "gif", pattern: /\b(animated gif|gif)\b/i },
-  { type: "pdf", pattern: /\b(pdf|portable document format)\b/i },
-  { type: "docx", pattern: /\b(docx|word document|microsoft word|ms word)\b/i },
-  { type: "csv", pattern: /\b(csv|comma[- ]separated|tabular data)\b/i },
-  { type: "xlsx", pattern: /\b(xlsx|excel workbook|spreadsheet)\b/i },
-  { type: "pptx", pattern: /\b(pptx|powerpoint|slide deck|slides)\b/i },
-  { type: "txt", pattern: /\b(txt|text file|plain text)\b/i },
-  { type: "md", pattern: /\b(markdown|\.md\b)\b/i },
-  { type: "json", pattern: /\b(json)\b/i },
-  { type: "zip", pattern: /\b(zip|archive)\b/i },
-];
+const restoreImageRun = (saved) => ({
+  ...createImageRun({
+    randomizeFileNames: saved?.randomizeFileNames === true,
+    generationMode: saved?.generationMode,
+    outputDir: saved?.outputDir,
+    contentAddressed: saved?.contentAddressed === true,
+    embedProvenance: saved?.embedProvenance === true,
+    record: saved?.record === true,
+    images: saved?.images,
+    keepFrames: saved?.keepFrames === true,
+    preview: saved?.preview === true,
+    textHtml: saved?.textHtml === true,
+    globalLatest: saved?.globalLatest === true,
+    batchId: saved?.batchId,
+  }),
+  ...(typeof saved?.runId === "string" && saved.runId
+    ? { runId: saved.runId }
+    : {}),
+});
+
+const runOpenPromptRequest = async ({
+  effectiveUrl,
+  prompt,
+  syncMode,
+  imageRun,
+  generationMode = "image",
+  streamMode = false,
+  useSharedPage,
+  uploadFiles = [],
+  continuation = null,
+  contextSeed = null,
+  priority = 0,
+  restoredRecord = null,
+  webhook = null,
+  trace = config.traceRuns,
+}) => {
+  let activePage = null;
+  let tracedContext = null;
+  const getPageUrl = () => {
+    try {
+      return activePage ? activePage.url() : null;
+    } catch {
+      return effectiveUrl;
+    }
+  };
+
+  const plannedFilePrefix = imageRun.randomizeFileNames
+    ? `${imageRun.filePrefix || "image"}-${imageRun.runId}-`
+    : null;
+  const contextId =
+    sanitizeContextId(restoredRecord?.id) ||
+    sanitizeContextId(contextSeed?.id) ||
+    randomUUID();
+  const contextFile = runStore.recordPath(contextId);
+  imageRun.contextId = contextId;
+  imageRun.prompt = prompt;
+  if (imageRun.recording) {
+    imageRun.recording.bodiesDir = resolve(
+      runArtifactsDir(contextId),
+      "recording",
+    );
+  }
+  const runOutputDir = resolveRunOutputDir(imageRun);
+  const runPriority = normalizeRunPriority(priority);
+  let contextRecord = {
+    ...(restoredRecord ?? {}),
+    id: contextId,
+    parentContextId:
+      sanitizeContextId(contextSeed?.parentContextId) ||
+      sanitizeContextId(restoredRecord?.parentContextId) ||
+      null,
+    sourceContextId:
+      sanitizeContextId(contextSeed?.sourceContextId) ||
+      sanitizeContextId(restoredRecord?.sourceContextId) ||
+      null,
+    sessionId:
+      sanitizeContextId(contextSeed?.sessionId) ||
+      sanitizeContextId(restoredRecord?.sessionId) ||
+      null,
+    status: "queued",
+    sync: syncMode,
+    stream: streamMode,
+    generationMode,
+    question: prompt,
+    context: { question: prompt },
+    effectiveUrl,
+    outputDir: runOutputDir,
+    uploadFiles,
+    observedMetadataIds: [],
+    observedOutputFiles: [],
+    streamEvents: [],
+    keepAlive: {
+      state: "queued",
+      heartbeatSeq: 0,
+      lastHeartbeatAt: null,
+      lastActivityAt: null,
+      lastActivityType: "queued",
+      lastMessage: "Queued",
+      lastMetadataId: null,
+      lastOutputPath: null,
+      lastErrorMessage: null,
+      waitingForUserInput: false,
+      lastAssistantMessage: null,
+      lastAssistantTurnId: null,
+    },
+    events: restoredRecord?.events ?? [],
+    eventSeq: restoredRecord?.eventSeq ?? 0,
+    assistantQuestion: null,
+    assistantError: null,
+    result: buildSaveResult(),
+    artifacts: restoredRecord?.artifacts ?? [],
+    trace: trace ? { status: "pending" } : null,
+    priority: runPriority,
+    webhook: describeRunWebhook(
+      webhook,
+      restoredRecord?.webhook?.deliveries ?? [],
+    ),
+    queue: {
+      enqueuedAt:
+        restoredRecord?.queue?.enqueuedAt ?? new Date().toISOString(),
+      restored: Boolean(restoredRecord),
+    },
+    job: {
+      effectiveUrl,
+      prompt,
+      streamMode,
+      generationMode,
+      useSharedPage: useSharedPage === true,
+      uploadFiles,
+      continuation,
+      trace: trace === true,
+      imageRun: serializeImageRun(imageRun),
+    },
+  };
 
-const hasImageIntent = (value) => {
-  if (!value) return false;
-  return (
-    /\b(generate|create|make|draw|illustrate|render|design|produce)\b(?:\s+\w+){0,4}\s+\b(image|picture|photo|art|illustration|artwork|graphic|logo)\b/i.test(
-      value,
-    ) ||
-    /\b(image|picture|photo|art|illustration|artwork|graphic|logo|wallpaper|portrait)\b/i.test(
-      value,
-    )
-  );
-};
+  const describeConversation = () => {
+    const pageUrl = getPageUrl() ?? "";
+    const conversationId =
+      chatGptConversationIdFromPageUrl(pageUrl) ||
+      imageRun.conversationId ||
+      contextRecord.conversationId ||
+      null;
+    return {
+      conversationId,
+      conversationUrl: buildChatGptConversationUrl(
+        pageUrl || effectiveUrl,
+        conversationId,
+      ),
+      thread: imageRun.thread ?? contextRecord.thread ?? null,
+    };
+  };
 
-const hasFileIntent = (value) => {
-  if (!value) return false;
-  return (
-    /\b(generate|create|make|write|produce|export|build)\b(?:\s+\w+){0,5}\s+\b(file|document|pdf|docx|csv|spreadsheet|report|presentation|gif)\b/i.test(
-      value,
-    ) ||
-    /\b(file|document|pdf|docx|csv|xlsx|pptx|gif|spreadsheet|report|word|excel)\b/i.test(
-      value,
-    )
-  );
-};
+  const persistRunContext = async (patch) => {
+    const previousStatus = contextRecord.status;
+    const next = { ...contextRecord, ...(patch ?? {}) };
+    if (
+      imageRun.recording &&
+      activePage &&
+      isTerminalRunStatus(next.status) &&
+      !isTerminalRunStatus(previousStatus)
+    ) {
+      try {
+        next.recording = await persistRunRecording(contextId, imageRun.recording, {
+          contextId,
+          generationMode,
+          prompt,
+          effectiveUrl,
+          pageUrl: getPageUrl(),
+          uploadFiles,
+          status: next.status,
+        });
+      } catch (error) {
+        console.warn(`Failed to save network recording for ${contextId}:`, error);
+      }
+    }
+    if (
+      tracedContext &&
+      isTerminalRunStatus(next.status) &&
+      !isTerminalRunStatus(previousStatus)
+    ) {
+      const traceContext = tracedContext;
+      tracedContext = null;
+      try {
+        const artifact = await stopRunTrace(traceContext, contextId);
+        next.trace = { status: "saved", file: artifact.path };
+        next.artifacts = [...(next.artifacts ?? []), artifact];
+      } catch (error) {
+        console.warn(`Failed to save trace for ${contextId}:`, error);
+        next.trace = { status: "failed", reason: error?.message ?? String(error) };
+      }
+    }
+    const persisted = await persistContextRun(next);
+    if (persisted?.payload) {
+      contextRecord = persisted.payload;
+    } else {
+      contextRecord = next;
+    }
+    if (contextRecord.status !== previousStatus) {
+      publishContextEvent(contextId, "status", {
+        ts: contextRecord.updatedAt ?? new Date().toISOString(),
+        status: contextRecord.status,
+        previousStatus: previousStatus ?? null,
+        error: contextRecord.error ?? contextRecord.result?.error ?? null,
+        savedCount: contextRecord.result?.savedCount ?? 0,
+        keepAlive: contextRecord.keepAlive ?? null,
+      });
+    }
+    return contextRecord;
+  };
 
-const detectRequestedFileType = (value) => {
-  const text = typeof value === "string" ? value.trim() : "";
-  if (!text) return null;
-  const extMatch = /\.([a-z0-9]{2,5})\b/i.exec(text);
-  if (extMatch?.[1]) {
-    const fromExt = FILE_TYPE_BY_EXTENSION[extMatch[1].toLowerCase()];
-    if (fromExt) return fromExt;
-  }
-  for (const candidate of FILE_TYPE_PATTERNS) {
-    if (candidate.pattern.test(text)) {
-      return FILE_TYPE_BY_EXTENSION[candidate.type] ?? null;
+  const publishActivity = (activity, nowMs, seq = null) => {
+    const nowIso = new Date(nowMs).toISOString();
+    const streamEvent =
+      activity.streamEvent &&
+      typeof activity.streamEvent === "object" &&
+      !Array.isArray(activity.streamEvent)
+        ? activity.streamEvent
+        : null;
+    if (streamEvent) {
+      publishContextEvent(contextId, "stream_event", {
+        ...streamEvent,
+        ts:
+          typeof streamEvent.ts === "string" && streamEvent.ts
+            ? streamEvent.ts
+            : nowIso,
+        seq,
+      });
     }
-  }
-  return null;
-};
+    publishContextEvent(contextId, "activity", {
+      ts: nowIso,
+      seq,
+      type: activity.type || "activity",
+      message:
+        typeof activity.message === "string" && activity.message
+          ? activity.message
+          : null,
+      metadataId:
+        typeof activity.metadataId === "string" && activity.metadataId
+          ? activity.metadataId
+          : null,
+      outputPath:
+        typeof activity.outputPath === "string" && activity.outputPath
+          ? activity.outputPath
+          : null,
+      assistantTurnId:
+        typeof activity.assistantTurnId === "string" && activity.assistantTurnId
+          ? activity.assistantTurnId
+          : null,
+      requiresInput: activity.requiresInput === true || null,
+      errorMessage:
+        typeof activity.errorMessage === "string" && activity.errorMessage
+          ? activity.errorMessage
+          : null,
+      savedCount:
+        Number.isFinite(activity.savedCount) ? activity.savedCount : null,
+      streamEventType:
+        streamEvent && typeof streamEvent.type === "string"
+          ? streamEvent.type
+          : null,
+    });
+  };
 
-const normalizeImagePrompt = (value, { hasUploadFiles = false } = {}) => {
-  const trimmed = typeof value === "string" ? value.trim() : "";
-  if (!trimmed) {
-    return "Please generate an image of a cat riding a bicycle.";
+  if (webhook && !restoredRecord) {
+    await persistRunWebhook(contextId, webhook);
   }
-  if (hasUploadFiles) {
-    return trimmed;
-  }
-  if (hasImageIntent(trimmed)) {
-    return trimmed;
-  }
-  return `Generate an image of: ${trimmed}`;
-};
+  await persistRunContext();
 
-const normalizeFilePrompt = (value) => {
-  const trimmed = typeof value === "string" ? value.trim() : "";
-  const detectedType = detectRequestedFileType(trimmed);
-  const fileDescriptor = detectedType
-    ? `${detectedType.label} file`
-    : "file";
-  if (!trimmed) {
-    return "Create a downloadable text file with a short greeting message.";
-  }
-  if (/\bdownloadable\b/i.test(trimmed)) return trimmed;
-  return `Create a downloadable ${fileDescriptor} that satisfies this request: ${trimmed}`;
-};
+  const sendRunWebhook = (event) =>
+    deliverRunWebhook(webhook, {
+      event,
+      context: contextRecord,
+      onDelivery: (delivery) =>
+        persistRunContext({
+          webhook: appendWebhookDelivery(contextRecord.webhook, delivery),
+        }),
+    }).catch((error) => {
+      console.warn(`Webhook ${event} for ${contextId} failed:`, error);
+    });
+  let lastQuestionWebhookKey = null;
 
-const normalizeGenerationMode = (value) => {
-  const raw = typeof value === "string" ? value.trim().toLowerCase() : "";
-  if (raw === "image" || raw === "file" || raw === "auto") {
-    return raw;
-  }
-  return "";
-};
+  let heartbeatTimer = null;
+  let lastActivityWriteMs = 0;
 
-const resolveGenerationMode = (body) => {
-  const explicit =
-    normalizeGenerationMode(body?.mode) ||
-    normalizeGenerationMode(body?.generationMode);
-  if (explicit === "image" || explicit === "file") {
-    return explicit;
-  }
-  const command = typeof body?.command === "string" ? body.command : "";
-  if (/generatefile/i.test(command)) {
-    return "file";
-  }
-  const promptCandidates = [];
-  if (typeof body?.prompt === "string") {
-    promptCandidates.push(body.prompt);
-  }
-  if (typeof body?.answerPrompt === "string") {
-    promptCandidates.push(body.answerPrompt);
-  }
-  if (Array.isArray(body?.prompts)) {
-    for (const entry of body.prompts) {
-      if (typeof entry === "string") {
-        promptCandidates.push(entry);
-      }
+  const stopHeartbeat = () => {
+    if (heartbeatTimer) {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+    }
+  };
+
+  const noteActivity = async (activity = {}) => {
+    const nowMs = Date.now();
+    const nowIso = new Date(nowMs).toISOString();
+    const prevKeepAlive = contextRecord.keepAlive ?? {};
+    const currentMetadata = contextRecord.observedMetadataIds ?? [];
+    const currentOutputFiles = contextRecord.observedOutputFiles ?? [];
+    const currentStreamEvents = contextRecord.streamEvents ?? [];
+    const metadataId =
+      typeof activity.metadataId === "string" && activity.metadataId
+        ? activity.metadataId
+        : null;
+    const outputPath =
+      typeof activity.outputPath === "string" && activity.outputPath
+        ? activity.outputPath
+        : null;
+    const streamEvent =
+      activity.streamEvent &&
+      typeof activity.streamEvent === "object" &&
+      !Array.isArray(activity.streamEvent)
+        ? {
+            ...activity.streamEvent,
+            ts:
+              typeof activity.streamEvent.ts === "string" &&
+              activity.streamEvent.ts
+                ? activity.streamEvent.ts
+                : nowIso,
+          }
+        : null;
+    const nextMetadata = metadataId
+      ? [...new Set([...currentMetadata, metadataId])]
+      : currentMetadata;
+    const nextOutputFiles = outputPath
+      ? [...new Set([...currentOutputFiles, outputPath])]
+      : currentOutputFiles;
+    const nextStreamEvents = streamEvent
+      ? [...currentStreamEvents, streamEvent].slice(-200)
+      : currentStreamEvents;
+    const nextHeartbeatSeq =
+      activity.type === "heartbeat"
+        ? (prevKeepAlive.heartbeatSeq ?? 0) + 1
+        : prevKeepAlive.heartbeatSeq ?? 0;
+    const message =
+      typeof activity.message === "string" && activity.message
+        ? activity.message
+        : prevKeepAlive.lastMessage ?? null;
+    const assistantTurnId =
+      typeof activity.assistantTurnId === "string" && activity.assistantTurnId
+        ? activity.assistantTurnId
+        : null;
+    const requiresInput = activity.requiresInput === true;
+    const isAssistantError = activity.type === "assistant_error";
+    const errorMessage =
+      typeof activity.errorMessage === "string" && activity.errorMessage
+        ? activity.errorMessage
+        : isAssistantError
+          ? message || null
+          : null;
+    const waitingForUserInput =
+      activity.type === "flow_completed" ||
+      activity.type === "flow_error" ||
+      activity.type === "flow_cancelled" ||
+      activity.type === "answer_submitted"
+        ? false
+        : requiresInput || isAssistantError
+          ? true
+          : prevKeepAlive.waitingForUserInput ?? false;
+    const lastAssistantMessage =
+      activity.type === "assistant_question" || activity.type === "assistant_message"
+        ? message
+        : prevKeepAlive.lastAssistantMessage ?? null;
+    const lastAssistantTurnId =
+      assistantTurnId || prevKeepAlive.lastAssistantTurnId || null;
+
+    const event = {
+      ts: nowIso,
+      type: activity.type || "activity",
+      message: message || null,
+      metadataId,
+      outputPath,
+      assistantTurnId,
+      requiresInput: requiresInput || null,
+      errorMessage,
+      savedCount:
+        Number.isFinite(activity.savedCount) ? activity.savedCount : null,
+      streamEventType:
+        streamEvent && typeof streamEvent.type === "string"
+          ? streamEvent.type
+          : null,
+    };
+    const loggedEvent = await appendContextRunEvent(
+      contextId,
+      streamEvent ? { ...event, streamEvent } : event,
+    ).catch((error) => {
+      console.warn(`Failed to append event log for ${contextId}:`, error);
+      return null;
+    });
+    publishActivity(activity, nowMs, loggedEvent?.seq ?? null);
+    const events = [...(contextRecord.events ?? []), loggedEvent ?? event].slice(
+      -CONTEXT_SNAPSHOT_EVENT_TAIL,
+    );
+    const eventSeq = loggedEvent?.seq ?? contextRecord.eventSeq ?? 0;
+    if (activity.important !== true && nowMs - lastActivityWriteMs < 1_200) {
+      contextRecord = { ...contextRecord, events, eventSeq };
+      return;
     }
-  }
-  const sample = promptCandidates.join(" ").trim();
-  if (!sample) return "image";
-  if (hasImageIntent(sample)) return "image";
-  if (hasFileIntent(sample)) return "file";
-  return "image";
-};
+    lastActivityWriteMs = nowMs;
 
-const normalizePromptForMode = (
-  value,
-  generationMode = "image",
-  { hasUploadFiles = false } = {},
-) =>
-  generationMode === "file"
-    ? normalizeFilePrompt(value)
-    : normalizeImagePrompt(value, { hasUploadFiles });
+    await persistRunContext({
+      status: isTerminalRunStatus(contextRecord.status)
+        ? contextRecord.status
+        : "running",
+      observedMetadataIds: nextMetadata,
+      observedOutputFiles: nextOutputFiles,
+      streamEvents: nextStreamEvents,
+      keepAlive: {
+        state: isTerminalRunStatus(contextRecord.status)
+          ? contextRecord.status
+          : "running",
+        heartbeatSeq: nextHeartbeatSeq,
+        lastHeartbeatAt:
+          activity.type === "heartbeat" ? nowIso : prevKeepAlive.lastHeartbeatAt,
+        lastActivityAt: nowIso,
+        lastActivityType: activity.type || prevKeepAlive.lastActivityType,
+        lastMessage: message,
+        lastMetadataId: metadataId ?? prevKeepAlive.lastMetadataId ?? null,
+        lastOutputPath: outputPath ?? prevKeepAlive.lastOutputPath ?? null,
+        lastErrorMessage: errorMessage ?? prevKeepAlive.lastErrorMessage ?? null,
+        waitingForUserInput,
+        lastAssistantMessage,
+        lastAssistantTurnId,
+      },
+      events,
+      eventSeq,
+      assistantQuestion: requiresInput
+        ? {
+            turnId: assistantTurnId,
+            text: message || "",
+            askedAt: nowIso,
+          }
+        : contextRecord.assistantQuestion ?? null,
+      assistantError: isAssistantError
+        ? {
+            turnId: assistantTurnId,
+            text: message || "",
+            errorMessage: errorMessage || message || "",
+            detectedAt: nowIso,
+          }
+        : contextRecord.assistantError ?? null,
+    });
+    if (requiresInput && webhook) {
+      const questionKey = assistantTurnId || message || "";
+      if (questionKey !== lastQuestionWebhookKey) {
+        lastQuestionWebhookKey = questionKey;
+        sendRunWebhook("assistant_question");
+      }
+    }
+  };
 
-const normalizeGenerationBatch = (
-  body,
-  { generationMode = "image", hasUploadFiles = false } = {},
-) => {
-  const sourcePrompts = Array.isArray(body?.prompts)
-    ? body.prompts
-        .filter((entry) => typeof entry === "string" && entry.trim())
-        .map((entry) =>
-          normalizePromptForMode(entry, generationMode, { hasUploadFiles }),
-        )
-    : [];
-  const fallbackPrompt = normalizePromptForMode(body?.prompt, generationMode, {
-    hasUploadFiles,
-  });
-  const countRaw = Number(body?.count);
-  const requestedCount = Number.isInteger(countRaw) && countRaw > 0 ? countRaw : 1;
-  const count = Math.min(requestedCount, 8);
-  if (sourcePrompts.length > 0) {
-    return sourcePrompts.slice(0, 8);
-  }
-  return Array.from({ length: count }, () => fallbackPrompt);
-};
+  const captureRunArtifacts = async (label) => {
+    if (!config.failureArtifacts) return;
+    try {
+      const artifacts = await captureFailureArtifacts(activePage, contextId, label);
+      if (artifacts.length === 0) return;
+      await persistRunContext({
+        artifacts: [...(contextRecord.artifacts ?? []), ...artifacts],
+      });
+    } catch (error) {
+      console.warn(`Failed to capture ${label} artifacts for ${contextId}:`, error);
+    }
+  };
 
-const parseCommaList = (value) => {
-  if (typeof value !== "string") return [];
-  return value
-    .split(",")
-    .map((entry) => entry.trim())
-    .filter(Boolean);
-};
+  const persistRunFailure = async (error) => {
+    const errorMessage = error?.message ?? String(error);
+    await persistRunContext({
+      status: "error",
+      completedAt: new Date().toISOString(),
+      pageUrl: getPageUrl(),
+      ...describeConversation(),
+      error: errorMessage,
+      keepAlive: {
+        ...(contextRecord.keepAlive ?? {}),
+        state: "error",
+        lastActivityAt: new Date().toISOString(),
+        lastActivityType: "flow_error",
+        lastMessage: errorMessage,
+        lastErrorMessage: errorMessage,
+        waitingForUserInput: false,
+      },
+    });
+  };
 
-const normalizeUploadInput = (body) => {
-  const raw = [];
-  if (Array.isArray(body?.files)) {
-    raw.push(...body.files);
-  } else if (typeof body?.files === "string") {
-    raw.push(...parseCommaList(body.files));
-  }
-  if (Array.isArray(body?.filePaths)) {
-    raw.push(...body.filePaths);
-  } else if (typeof body?.filePaths === "string") {
-    raw.push(...parseCommaList(body.filePaths));
-  }
-  if (typeof body?.file === "string") {
-    raw.push(...parseCommaList(body.file));
-  }
+  const persistRunCancelled = async () => {
+    const nowIso = new Date().toISOString();
+    await persistRunContext({
+      status: "cancelled",
+      completedAt: contextRecord.completedAt ?? nowIso,
+      cancelledAt: contextRecord.cancelledAt ?? nowIso,
+      pageUrl: getPageUrl(),
+      keepAlive: {
+        ...(contextRecord.keepAlive ?? {}),
+        state: "cancelled",
+        lastActivityAt: nowIso,
+        lastActivityType: "cancelled",
+        lastMessage: "Run cancelled",
+        waitingForUserInput: false,
+      },
+    });
+  };
 
-  const flattened = raw
-    .flatMap((entry) => (typeof entry === "string" ? parseCommaList(entry) : []))
-    .filter(Boolean);
-  return [...new Set(flattened)];
-};
+  const buildCancelledResponse = (flowResult = buildSaveResult()) => ({
+    status: "cancelled",
+    pageUrl: getPageUrl(),
+    sync: syncMode,
+    stream: streamMode,
+    queued: false,
+    runId: imageRun.runId,
+    generationMode,
+    randomizedFileNames: imageRun.randomizeFileNames,
+    plannedFilePrefix,
+    contextId,
+    contextFile,
+    keepAlive: contextRecord.keepAlive,
+    context: contextRecord,
+    ...flowResult,
+    error: "Run cancelled",
+  });
 
-const resolveUploadFiles = async (body) => {
-  const values = normalizeUploadInput(body);
-  if (values.length === 0) return [];
+  const cancelQueued = async () => {
+    await persistRunCancelled();
+    return buildCancelledResponse();
+  };
 
-  const resolved = [];
-  const invalid = [];
-  for (const entry of values) {
-    const candidates = expandPathCandidates(entry, { baseDir: process.cwd() });
-    let selected = "";
-    for (const candidate of candidates) {
-      try {
-        const info = await stat(candidate);
-        if (!info.isFile()) {
-          continue;
+  const executeRun = async (runControl) => {
+    try {
+      const ctx = await ensureContext();
+      if (trace) {
+        const traceState = await startRunTrace(ctx, contextId);
+        if (traceState.status === "recording") {
+          tracedContext = ctx;
         }
-        selected = candidate;
-        break;
-      } catch {
-        // try next candidate
+        await persistRunContext({ trace: traceState });
+      }
+      activePage = useSharedPage ? await ensurePage() : await ctx.newPage();
+      await activePage.goto(effectiveUrl, {
+        waitUntil: config.waitUntil,
+        timeout: config.navTimeoutMs,
+      });
+      console.log(`Navigated to URL: ${activePage.url()}`);
+    } catch (error) {
+      console.error("Failed to open run page:", error);
+      await captureRunArtifacts("open-failed");
+      if (activePage && !useSharedPage && !activePage.isClosed()) {
+        await activePage.close().catch(() => undefined);
       }
+      await persistRunFailure(error);
+      throw error;
     }
-    if (selected) {
-      resolved.push(selected);
-    } else {
-      invalid.push(entry);
+    if (runControl.cancelled) {
+      if (!useSharedPage && !activePage.isClosed()) {
+        await activePage.close().catch(() => undefined);
+      }
+      return buildCancelledResponse();
+    }
+
+    await noteActivity({
+      type: "started",
+      message: "Run started",
+      important: true,
+    });
+    heartbeatTimer = setInterval(() => {
+      noteActivity({
+        type: "heartbeat",
+        message: "Waiting for generation updates",
+      }).catch(() => undefined);
+    }, 3_000);
+
+    if (!isChatGptTargetUrl(effectiveUrl)) {
+      const pageUrl = getPageUrl();
+      if (!useSharedPage && !activePage.isClosed()) {
+        await activePage.close();
+      }
+      stopHeartbeat();
+      await persistRunContext({
+        status: "completed",
+        completedAt: new Date().toISOString(),
+        pageUrl,
+        result: {
+          status: "ok",
+          savedCount: 0,
+          savedFiles: [],
+          metadataIds: [],
+        },
+        keepAlive: {
+          ...(contextRecord.keepAlive ?? {}),
+          state: "completed",
+          lastActivityAt: new Date().toISOString(),
+          lastActivityType: "completed",
+          lastMessage: "Completed without ChatGPT target",
+          lastErrorMessage: null,
+          waitingForUserInput: false,
+        },
+      });
+      return {
+        status: "ok",
+        pageUrl,
+        sync: syncMode,
+        stream: streamMode,
+        queued: false,
+        runId: imageRun.runId,
+        generationMode,
+        randomizedFileNames: imageRun.randomizeFileNames,
+        plannedFilePrefix,
+        savedCount: 0,
+        savedFiles: [],
+        metadataIds: [],
+        contextId,
+        contextFile,
+        keepAlive: contextRecord.keepAlive,
+        context: syncMode ? contextRecord : undefined,
+      };
+    }
+
+    console.log(`Auto-started URL: ${effectiveUrl}`);
+    let flowResult;
+    try {
+      flowResult = await runChatGptPromptFlow(activePage, {
+        prompt,
+        effectiveUrl,
+        imageRun,
+        generationMode,
+        streamMode,
+        uploadFiles,
+        continuation,
+        onActivity: noteActivity,
+        onFailure: captureRunArtifacts,
+        control: runControl,
+      });
+    } catch (error) {
+      stopHeartbeat();
+      if (runControl.cancelled) {
+        await persistRunCancelled();
+        return buildCancelledResponse();
+      }
+      console.error("ChatGPT flow error:", error);
+      await persistRunFailure(error);
+      throw error;
+    }
+    stopHeartbeat();
+    const pageUrl = getPageUrl();
+    if (runControl.cancelled || flowResult.status === "cancelled") {
+      await persistRunCancelled();
+      await persistRunContext({ pageUrl, result: flowResult });
+      return buildCancelledResponse(flowResult);
+    }
+    if (flowResult.savedFiles?.length) {
+      flowResult = {
+        ...flowResult,
+        latest: await writeLatestPointers(imageRun, {
+          contextId,
+          savedFiles: flowResult.savedFiles,
+        }),
+      };
+    }
+    await persistRunContext({
+      status: flowResult.status === "error" ? "error" : "completed",
+      completedAt: new Date().toISOString(),
+      pageUrl,
+      ...describeConversation(),
+      result: flowResult,
+      keepAlive: {
+        ...(contextRecord.keepAlive ?? {}),
+        state: flowResult.status === "error" ? "error" : "completed",
+        lastActivityAt: new Date().toISOString(),
+        lastActivityType:
+          flowResult.status === "error" ? "flow_error" : "flow_completed",
+        lastMessage:
+          flowResult.status === "error"
+            ? flowResult.error || "Flow failed"
+            : "Flow completed",
+        lastErrorMessage:
+          flowResult.status === "error"
+            ? flowResult.error || "Flow failed"
+            : contextRecord.keepAlive?.lastErrorMessage ?? null,
+        waitingForUserInput: false,
+      },
+    });
+    return {
+      status: flowResult.status === "error" ? "error" : "ok",
+      pageUrl,
+      sync: syncMode,
+      stream: streamMode,
+      queued: false,
+      runId: imageRun.runId,
+      generationMode,
+      randomizedFileNames: imageRun.randomizeFileNames,
+      plannedFilePrefix,
+      contextId,
+      contextFile,
+      keepAlive: contextRecord.keepAlive,
+      context: contextRecord,
+      ...flowResult,
+    };
+  };
+
+  const execute = async () => {
+    const runControl = registerRunControl(contextId);
+    runControl.cancelHandlers.add(async () => {
+      stopHeartbeat();
+      await persistRunCancelled();
+    });
+    try {
+      return await executeRun(runControl);
+    } finally {
+      releaseRunControl(runControl);
+      forgetContextRunEventSeq(contextId);
     }
-  }
+  };
 
-  if (invalid.length > 0) {
-    const error = new Error(`Upload file(s) not found: ${invalid.join(", ")}`);
-    error.statusCode = 400;
-    throw error;
+  const completion = enqueueRunJob({
+    contextId,
+    priority: runPriority,
+    exclusive: trace === true,
+    execute,
+    cancel: cancelQueued,
+  });
+  if (webhook) {
+    completion
+      .catch(() => undefined)
+      .then(() => {
+        if (isTerminalRunStatus(contextRecord.status)) {
+          sendRunWebhook(contextRecord.status);
+        }
+      });
   }
-
-  return [...new Set(resolved)];
+  if (syncMode) {
+    return completion;
+  }
+  completion.catch((error) => {
+    console.error(`Queued run ${contextId} failed:`, error?.message ?? error);
+  });
+  return {
+    status: "ok",
+    pageUrl: null,
+    sync: false,
+    stream: streamMode,
+    queued: true,
+    queuePosition: getRunQueuePosition(contextId),
+    priority: runPriority,
+    runId: imageRun.runId,
+    generationMode,
+    randomizedFileNames: imageRun.randomizeFileNames,
+    plannedFilePrefix,
+    contextId,
+    contextFile,
+    keepAlive: contextRecord.keepAlive,
+  };
 };
 
-const isChatGptTargetUrl = (value) =>
-  /chatgpt\.com|chat\.openai\.com/i.test(value || "");
+const listContextRunRecords = () => runStore.list();
 
-const normalizeWhitespace = (value) =>
-  (typeof value === "string" ? value : "").replace(/\s+/g, " ").trim();
+const RUN_LIST_DEFAULT_LIMIT = 50;
+const RUN_LIST_MAX_LIMIT = 500;
 
-const detectAssistantNeedsInput = (text) => {
-  const normalized = normalizeWhitespace(text);
-  if (!normalized) return false;
-  if (
-    /\b(upload|attach|send)\b.{0,40}\b(file|files|image|images|photo|photos|selfie|picture)\b/i.test(
-      normalized,
-    )
-  ) {
-    return true;
+const parseRunListDate = (value, name) => {
+  if (!value) return null;
+  const trimmed = value.trim();
+  const parsed = Date.parse(trimmed);
+  if (!Number.isFinite(parsed)) {
+    const error = new Error(`${name} must be an ISO date or timestamp`);
+    error.statusCode = 400;
+    throw error;
   }
-  if (/\bplease upload\b/i.test(normalized)) return true;
-  return normalized.includes("?");
+  return parsed;
 };
 
-const detectAssistantErrorMessage = (text) => {
-  const normalized = normalizeWhitespace(text);
-  if (!normalized) return null;
-  if (
-    /\bwe experienced an error when generating (images|files)\b/i.test(
-      normalized,
-    )
-  ) {
-    return normalized;
-  }
-  if (
-    /\b(error|failed|failure|unable|couldn['’]t|could not|something went wrong)\b/i.test(
-      normalized,
-    ) &&
-    /\b(image|images|file|files|generation|generate|render|create)\b/i.test(
-      normalized,
-    )
-  ) {
-    return normalized;
+const parseRunListInteger = (value, name, fallback, max = Infinity) => {
+  if (value === null || value === "") return fallback;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    const error = new Error(`${name} must be a non-negative integer`);
+    error.statusCode = 400;
+    throw error;
   }
-  return null;
+  return Math.min(parsed, max);
 };
 
-const extractLatestAssistantTurn = async (pageInstance) => {
-  const turns = pageInstance.locator('article[data-turn="assistant"]');
-  const count = await turns.count();
-  if (!count) return null;
-  const lastTurn = turns.nth(count - 1);
-  const turnId = (await lastTurn.getAttribute("data-turn-id")) || null;
-  const markdown = lastTurn.locator(".markdown").first();
-  let text = "";
-  if (await markdown.count()) {
-    text = normalizeWhitespace(await markdown.innerText());
-  }
-  if (!text) {
-    text = normalizeWhitespace(await lastTurn.innerText());
-  }
-  if (!text) return null;
-  const clipped = text.length > 4000 ? `${text.slice(0, 4000)}...` : text;
-  const errorMessage = detectAssistantErrorMessage(clipped);
-  return {
-    turnId,
-    text: clipped,
-    requiresInput: detectAssistantNeedsInput(clipped),
-    hasError: Boolean(errorMessage),
-    errorMessage,
-  };
+const parseRunListBoolean = (value, name) => {
+  if (value === null || value === "") return null;
+  const normalized = value.trim().toLowerCase();
+  if (["1", "true", "yes"].includes(normalized)) return true;
+  if (["0", "false", "no"].includes(normalized)) return false;
+  const error = new Error(`${name} must be true or false`);
+  error.statusCode = 400;
+  throw error;
 };
 
-const buildContinuationPrompt = (
-  previousContext,
-  answerPrompt,
-  generationMode = "image",
-  { hasUploadFiles = false } = {},
-) => {
-  const normalizedAnswer = normalizePromptForMode(
-    answerPrompt,
-    generationMode,
-    { hasUploadFiles },
+const parseRunListFilters = (searchParams) => {
+  const splitList = (name) =>
+    searchParams
+      .getAll(name)
+      .flatMap((value) => value.split(","))
+      .map((value) => value.trim())
+      .filter(Boolean);
+  const since = parseRunListDate(
+    searchParams.get("since") ?? searchParams.get("from"),
+    "since",
   );
-  const seed = {
-    id: previousContext?.id ?? null,
-    question: previousContext?.question ?? "",
-    result: previousContext?.result ?? null,
+  const until = parseRunListDate(
+    searchParams.get("until") ?? searchParams.get("to"),
+    "until",
+  );
+  return {
+    statuses: splitList("status"),
+    generationModes: splitList("generationMode"),
+    since,
+    until,
+    query: (searchParams.get("q") ?? searchParams.get("prompt") ?? "")
+      .trim()
+      .toLowerCase(),
+    parentContextId: sanitizeContextId(searchParams.get("parentContextId")),
+    hasAssistantError: parseRunListBoolean(
+      searchParams.get("hasAssistantError"),
+      "hasAssistantError",
+    ),
+    limit: parseRunListInteger(
+      searchParams.get("limit"),
+      "limit",
+      RUN_LIST_DEFAULT_LIMIT,
+      RUN_LIST_MAX_LIMIT,
+    ),
+    offset: parseRunListInteger(searchParams.get("offset"), "offset", 0),
   };
-  const seedJson = JSON.stringify(seed, null, 2);
-  return [
-    "Use this context JSON for continuity:",
-    seedJson,
-    "",
-    "Follow-up prompt:",
-    normalizedAnswer,
-  ].join("\n");
 };
 
-const uploadFilesToChatGptComposer = async (activePage, files) => {
-  if (!Array.isArray(files) || files.length === 0) return;
-
-  const selectors = [
-    'input[type="file"][multiple]',
-    'input[type="file"]',
-  ];
-
-  for (const selector of selectors) {
-    const input = activePage.locator(selector).first();
-    if (await input.count()) {
-      await input.setInputFiles(files);
-      await sleep(500);
-      return;
-    }
+const matchesRunListFilters = (record, filters) => {
+  if (filters.statuses.length && !filters.statuses.includes(record.status)) {
+    return false;
   }
-
-  const attachButton = activePage.getByRole("button", {
-    name: /attach|upload|add files|add photos|plus/i,
-  });
-  if (await attachButton.count()) {
-    await attachButton.first().click();
-    for (const selector of selectors) {
-      const input = activePage.locator(selector).first();
-      if (await input.count()) {
-        await input.setInputFiles(files);
-        await sleep(500);
-        return;
-      }
-    }
+  if (
+    filters.generationModes.length &&
+    !filters.generationModes.includes(record.generationMode)
+  ) {
+    return false;
   }
-
-  throw new Error("Unable to find a file upload input on the page.");
-};
-
-const runChatGptPromptFlow = async (
-  activePage,
-  {
-    prompt,
-    effectiveUrl,
-    imageRun,
-    generationMode = "image",
-    streamMode = false,
-    uploadFiles = [],
-    onActivity = () => undefined,
-  },
-) => {
-  const pageContext = activePage.context();
-  const runOwnedPages = new Set();
-  const onContextPage = (candidatePage) => {
-    Promise.resolve(candidatePage.opener?.())
-      .then((opener) => {
-        if (opener === activePage) {
-          runOwnedPages.add(candidatePage);
-        }
-      })
-      .catch(() => undefined);
-  };
-  pageContext.on("page", onContextPage);
-
-  let shouldClosePage = false;
-  let result = buildSaveResult();
-  let assistantErrorMessageSeen = null;
-  let assistantTurnIdSeen = null;
-  let assistantTurnTextSeen = "";
-  let assistantPollTimer = null;
-  let assistantProbeQueue = Promise.resolve();
-  const emitActivity = (activity) => {
-    Promise.resolve(onActivity(activity)).catch(() => undefined);
-  };
-  const probeAssistantTurn = async (important = false) => {
-    assistantProbeQueue = assistantProbeQueue
-      .catch(() => undefined)
-      .then(async () => {
-        const turn = await extractLatestAssistantTurn(activePage);
-        if (!turn) return;
-        if (
-          turn.turnId === assistantTurnIdSeen &&
-          turn.text === assistantTurnTextSeen
-        ) {
-          return;
-        }
-        assistantTurnIdSeen = turn.turnId;
-        assistantTurnTextSeen = turn.text;
-        if (turn.hasError && turn.errorMessage) {
-          assistantErrorMessageSeen = turn.errorMessage;
-          console.error("Assistant error:", turn.errorMessage);
-        } else {
-          console.log("Assistant turn:", turn.text);
-        }
-        emitActivity({
-          type: turn.hasError
-            ? "assistant_error"
-            : turn.requiresInput
-              ? "assistant_question"
-              : "assistant_message",
-          assistantTurnId: turn.turnId,
-          message: turn.text,
-          errorMessage: turn.errorMessage || null,
-          requiresInput: turn.requiresInput || turn.hasError,
-          important: important || turn.requiresInput || turn.hasError,
-        });
-      });
-    await assistantProbeQueue;
-  };
-  const mergeResult = (next) => {
-    result = mergeSaveResults(result, next);
-    if (next?.metadataIds?.length) {
-      const metadataId = next.metadataIds[next.metadataIds.length - 1];
-      emitActivity({
-        type: "metadata_detected",
-        metadataId,
-        important: true,
-      });
-    }
-    if (next?.savedFiles?.length) {
-      const latest = next.savedFiles[next.savedFiles.length - 1];
-      emitActivity({
-        type: generationMode === "file" ? "file_saved" : "image_saved",
-        outputPath: latest?.filePath ?? null,
-        important: true,
-      });
-    }
-    emitActivity({
-      type: "progress",
-      savedCount: result.savedCount ?? 0,
-    });
+  if (filters.since !== null || filters.until !== null) {
+    const createdAt = Date.parse(record.createdAt ?? "");
+    if (!Number.isFinite(createdAt)) return false;
+    if (filters.since !== null && createdAt < filters.since) return false;
+    if (filters.until !== null && createdAt > filters.until) return false;
+  }
+  if (filters.query) {
+    const question = String(
+      record.question ?? record.context?.question ?? "",
+    ).toLowerCase();
+    if (!question.includes(filters.query)) return false;
+  }
+  if (
+    filters.parentContextId &&
+    record.parentContextId !== filters.parentContextId
+  ) {
+    return false;
+  }
+  if (
+    filters.hasAssistantError !== null &&
+    Boolean(record.assistantError) !== filters.hasAssistantError
+  ) {
+    return false;
+  }
+  return true;
+};
+
+const summarizeContextRun = (record) => {
+  const savedFiles = Array.isArray(record.result?.savedFiles)
+    ? record.result.savedFiles
+    : [];
+  return {
+    id: record.id,
+    question: record.question ?? record.context?.question ?? "",
+    status: record.status ?? null,
+    generationMode: record.generationMode ?? null,
+    parentContextId: record.parentContextId ?? null,
+    savedCount: record.result?.savedCount ?? savedFiles.length,
+    assistantError: record.assistantError ?? null,
+    createdAt: record.createdAt ?? null,
+    updatedAt: record.updatedAt ?? null,
   };
-  const isRunPage = (candidatePage) =>
-    Boolean(candidatePage) &&
-    (candidatePage === activePage || runOwnedPages.has(candidatePage));
-  const closeRunOwnedPages = async () => {
-    for (const candidatePage of [...runOwnedPages]) {
-      runOwnedPages.delete(candidatePage);
-      if (!candidatePage || candidatePage === activePage) continue;
-      if (candidatePage.isClosed()) continue;
-      try {
-        await candidatePage.close();
-      } catch {
-        // best effort cleanup of popup/download tabs
-      }
-    }
+};
+
+const listContextRuns = async (filters) => {
+  const { total, records } = await runStore.query(filters);
+  return {
+    total,
+    limit: filters.limit,
+    offset: filters.offset,
+    runs: records.map(summarizeContextRun),
   };
-  const ignoredUploadFileNames = [
-    ...new Set(
-      uploadFiles
-        .map((filePath) =>
-          typeof filePath === "string" && filePath.trim()
-            ? basename(filePath.trim())
-            : "",
-        )
-        .filter(Boolean),
-    ),
-  ];
-  const collectDownloads = async () =>
-    collectChatGptDownloads(activePage, {
-      timeoutMs: config.imageTimeoutMs,
-      idleMs: config.imageIdleMs,
-      maxFiles:
-        generationMode === "image" ? Number.MAX_SAFE_INTEGER : config.imageMax,
-      imageRun,
-      requireFinalImageFrame: generationMode === "image",
-      waitForConvoStreamCompleted: generationMode === "image",
-      ignoreFileNames: ignoredUploadFileNames,
-      onStreamEvent: (streamEvent) => {
-        emitActivity({
-          type: "stream_event",
-          streamEvent,
-          metadataId:
-            typeof streamEvent?.metadataId === "string" &&
-            streamEvent.metadataId
-              ? streamEvent.metadataId
-              : undefined,
-          outputPath:
-            typeof streamEvent?.outputPath === "string" &&
-            streamEvent.outputPath
-              ? streamEvent.outputPath
-              : undefined,
-          message:
-            typeof streamEvent?.message === "string" && streamEvent.message
-              ? streamEvent.message
-              : `Stream event: ${streamEvent?.type || "activity"}`,
-          important:
-            streamEvent?.type === "file_saved" ||
-            streamEvent?.type === "save_failed",
-        });
-      },
-    });
+};
 
-  try {
-    emitActivity({ type: "flow_start", message: "Loading composer" });
-    console.log("Page loaded, typing message...");
-    await activePage.waitForLoadState("domcontentloaded", {
-      timeout: 60_000,
-    });
-    try {
-      await activePage.waitForLoadState("networkidle", {
-        timeout: 10_000,
-      });
-    } catch {
-      // ignore network idle timeouts; ChatGPT keeps connections open
-    }
-    if (activePage.isClosed()) {
-      throw new Error("Page closed before composer was ready.");
+const DOWNLOAD_TEMP_FILE_RE = /^\.download-[a-zA-Z0-9-]+\.part$/;
+
+let retentionSweepTimer = null;
+let retentionSweepRunning = null;
+
+const resolveRetentionPolicy = (overrides = {}) => {
+  const pickNumber = (value, fallback) => {
+    if (value === undefined || value === null || value === "") return fallback;
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < 0) {
+      const error = new Error("Retention limits must be non-negative numbers");
+      error.statusCode = 400;
+      throw error;
     }
-    emitActivity({ type: "composer_ready", message: "Composer ready" });
-    const urlNow = activePage.url();
-    if (isLoginLikeUrl(urlNow)) {
-      const relaunched = await relaunchHeadfulForLogin(urlNow);
-      if (relaunched) {
-        return {
-          status: "relaunch",
-          message:
-            "Login detected and browser was relaunched in headful mode to complete auth.",
-          ...result,
-        };
-      }
-      throw new Error(
-        "Login page detected. Sign in once (headful) to establish session cookies.",
-      );
+    return parsed;
+  };
+  return {
+    maxAgeDays: pickNumber(overrides.maxAgeDays, config.retentionMaxAgeDays),
+    maxRuns: Math.trunc(pickNumber(overrides.maxRuns, config.retentionMaxRuns)),
+    maxBytes: pickNumber(overrides.maxBytes, config.retentionMaxBytes),
+    deleteFiles:
+      typeof overrides.deleteFiles === "boolean"
+        ? overrides.deleteFiles
+        : config.retentionDeleteFiles,
+  };
+};
+
+const collectRunOutputPaths = (record) => {
+  const paths = new Set();
+  for (const entry of record.result?.savedFiles ?? []) {
+    if (typeof entry?.filePath === "string" && entry.filePath) {
+      paths.add(entry.filePath);
     }
-    if (urlNow.includes("__cf_chl_")) {
-      const relaunched = await relaunchHeadfulForLogin(effectiveUrl);
-      if (relaunched) {
-        return {
-          status: "relaunch",
-          message:
-            "Cloudflare challenge detected and browser was relaunched in headful mode.",
-          ...result,
-        };
-      }
-      throw new Error(
-        "Cloudflare challenge still active. Complete the challenge in headful mode first.",
-      );
+    if (typeof entry?.provenancePath === "string" && entry.provenancePath) {
+      paths.add(entry.provenancePath);
     }
-    const loginButton = await activePage
-      .getByRole("button", { name: /log in|sign in|continue/i })
-      .count();
-    const loginLink = await activePage
-      .getByRole("link", { name: /log in|sign in/i })
-      .count();
-    if (loginButton || loginLink) {
-      const relaunched = await relaunchHeadfulForLogin(effectiveUrl);
-      if (relaunched) {
-        return {
-          status: "relaunch",
-          message:
-            "Login screen detected and browser was relaunched in headful mode.",
-          ...result,
-        };
-      }
-      throw new Error(
-        "Login screen detected. Sign in once (headful) to establish session cookies.",
-      );
+  }
+  if (typeof record.result?.latest?.run === "string") {
+    paths.add(record.result.latest.run);
+  }
+  for (const filePath of record.observedOutputFiles ?? []) {
+    if (typeof filePath === "string" && filePath) {
+      paths.add(filePath);
     }
+  }
+  return [...paths];
+};
 
-    if (uploadFiles.length > 0) {
-      await uploadFilesToChatGptComposer(activePage, uploadFiles);
-      emitActivity({
-        type: "files_uploaded",
-        message: `Uploaded ${uploadFiles.length} file(s)`,
-      });
+const statOutputFiles = async (paths) => {
+  const files = [];
+  for (const filePath of paths) {
+    const info = await stat(filePath).catch(() => null);
+    if (info?.isFile()) {
+      files.push({ filePath, bytes: info.size });
     }
+  }
+  return files;
+};
 
-    const submitPromptAndCollect = async (attemptNumber) => {
-      const savedCountBefore = result.savedCount ?? 0;
-      const streamCompletedPromise =
-        generationMode === "file"
-          ? waitForConvoStreamCompletedEvent(activePage, {
-              timeoutMs: config.imageTimeoutMs,
-            })
-          : null;
-      try {
-        await activePage.keyboard.insertText(prompt);
-      } catch {
-        await activePage.keyboard.type(prompt);
-      }
-      const submit = activePage.locator(
-        '#composer-submit-button, button[data-testid="send-button"], button[aria-label*="Send"], button[aria-label*="Send message"]',
-      );
-      if (await submit.count()) {
-        await submit.first().click();
-      } else {
-        await activePage.keyboard.press("Enter");
-      }
-      emitActivity({
-        type: "prompt_submitted",
-        message:
-          attemptNumber > 1
-            ? `Prompt submitted (retry ${attemptNumber - 1})`
-            : "Prompt submitted",
-        important: true,
-      });
-      if (!assistantPollTimer) {
-        assistantPollTimer = setInterval(() => {
-          probeAssistantTurn(false).catch(() => undefined);
-        }, 1_500);
-      }
+const findStaleDownloadTempFiles = async (dirs, nowMs) => {
+  const staleAfterMs = Math.max(15 * 60_000, (config.downloadTimeoutMs + 5_000) * 2);
+  const found = [];
+  for (const dir of dirs) {
+    const entries = await readdir(dir).catch(() => []);
+    for (const entry of entries) {
+      if (!DOWNLOAD_TEMP_FILE_RE.test(entry)) continue;
+      const filePath = resolve(dir, entry);
+      const info = await stat(filePath).catch(() => null);
+      if (!info?.isFile() || nowMs - info.mtimeMs < staleAfterMs) continue;
+      found.push({ filePath, bytes: info.size });
+    }
+  }
+  return found;
+};
 
-      if (streamMode) {
-        emitActivity({
-          type: "stream_capture_start",
-          message: "Stream capture enabled",
-          important: true,
-        });
-        mergeResult(await collectDownloads());
-        if (
-          (result.savedCount ?? 0) > savedCountBefore &&
-          generationMode === "image" &&
-          uploadFiles.length === 0
-        ) {
-          return;
-        }
-        if ((result.savedCount ?? 0) > savedCountBefore) {
-          console.log(
-            "Stream capture found candidate output(s). Continuing completion checks before finalizing run.",
-          );
-        } else {
-          console.warn(
-            "Stream capture enabled, but no streamed files were captured. Falling back to completion/download flow.",
-          );
-        }
+const findOrphanedContentObjects = async (outputDirs, nowMs) => {
+  if (!existsSync(config.objectsDir)) return [];
+  const referenced = new Set();
+  const manifestDirs = new Set([
+    ...outputDirs,
+    ...(await loadContentObjectDirs()),
+  ]);
+  for (const dir of manifestDirs) {
+    const manifest = await loadOutputManifest(dir);
+    for (const entry of Object.values(manifest.files)) {
+      if (typeof entry?.objectPath === "string") {
+        referenced.add(entry.objectPath);
       }
+    }
+  }
+  const found = [];
+  const shards = await readdir(config.objectsDir).catch(() => []);
+  for (const shard of shards) {
+    const shardDir = resolve(config.objectsDir, shard);
+    if (shard === CONTENT_OBJECT_DIRS_FILE) continue;
+    const entries = await readdir(shardDir).catch(() => []);
+    for (const entry of entries) {
+      const objectPath = resolve(shardDir, entry);
+      if (referenced.has(objectPath)) continue;
+      const info = await stat(objectPath).catch(() => null);
+      if (!info?.isFile() || info.nlink > 1) continue;
+      if (nowMs - info.mtimeMs < 15 * 60_000) continue;
+      found.push({ filePath: objectPath, bytes: info.size });
+    }
+  }
+  return found;
+};
 
-      if (generationMode === "image") {
-        mergeResult(await collectDownloads());
-        return;
+const pruneContextRuns = async ({ dryRun = false, ...overrides } = {}) => {
+  const policy = resolveRetentionPolicy(overrides);
+  const nowMs = Date.now();
+  const records = (await listContextRunRecords()).sort((left, right) =>
+    String(right.createdAt ?? "").localeCompare(String(left.createdAt ?? "")),
+  );
+  const maxAgeMs = policy.maxAgeDays > 0 ? policy.maxAgeDays * 86_400_000 : 0;
+  const retainedPaths = new Set();
+  const candidates = [];
+  let retainedBytes = 0;
+  for (const [index, record] of records.entries()) {
+    const files = await statOutputFiles(collectRunOutputPaths(record));
+    const bytes = files.reduce((total, file) => total + file.bytes, 0);
+    const reasons = [];
+    if (isTerminalRunStatus(record.status)) {
+      const createdAtMs = Date.parse(record.createdAt ?? "");
+      if (maxAgeMs > 0 && Number.isFinite(createdAtMs)) {
+        if (nowMs - createdAtMs > maxAgeMs) reasons.push("maxAge");
       }
-
-      let streamCompletedEvent = null;
-      if (streamCompletedPromise) {
-        try {
-          streamCompletedEvent = await streamCompletedPromise;
-          if (streamCompletedEvent) {
-            emitActivity({
-              type: "stream_completed_detected",
-              message:
-                streamCompletedEvent.result &&
-                streamCompletedEvent.result.toLowerCase() !== "success"
-                  ? `Stream completed (${streamCompletedEvent.result})`
-                  : "Stream completed",
-              conversationId: streamCompletedEvent.conversationId || undefined,
-              turnTraceId: streamCompletedEvent.turnTraceId || undefined,
-              important: true,
-            });
-          }
-        } catch (error) {
-          console.warn(
-            "Timed out waiting for stream completion event; proceeding with assistant download scan.",
-            error,
-          );
-        }
+      if (policy.maxRuns > 0 && index >= policy.maxRuns) {
+        reasons.push("maxRuns");
       }
-
-      mergeResult(
-        await collectAssistantDownloadsAfterCompletion(activePage, {
-          imageRun,
-          timeoutMs: Math.max(12_000, config.imageIdleMs + 10_000),
-          isPageAllowed: isRunPage,
-          closeTransientPages: closeRunOwnedPages,
-        }),
-      );
-      if ((result.savedCount ?? 0) === savedCountBefore) {
-        if (streamCompletedEvent) {
-          console.warn(
-            "No file captured from assistant download controls after stream completion. Falling back to collector.",
-          );
-        } else {
-          console.warn(
-            "Stream completion event was not observed. Falling back to collector.",
-          );
-        }
-        mergeResult(await collectDownloads());
+      if (policy.maxBytes > 0 && retainedBytes + bytes > policy.maxBytes) {
+        reasons.push("maxBytes");
       }
-    };
-
-    await submitPromptAndCollect(1);
-    if ((result.savedCount ?? 0) === 0 && assistantErrorMessageSeen) {
-      emitActivity({
-        type: "flow_retry",
-        message: "Assistant reported generation error. Retrying once.",
-        errorMessage: assistantErrorMessageSeen,
-        important: true,
-      });
-      console.warn("Assistant reported generation error. Retrying once...");
-      assistantErrorMessageSeen = null;
-      await submitPromptAndCollect(2);
     }
-
-    if (
-      generationMode === "image" &&
-      Array.isArray(result.savedFiles) &&
-      result.savedFiles.length > 1
-    ) {
-      result = await retainLatestImageOnly(result);
+    if (reasons.length > 0) {
+      candidates.push({ record, files, bytes, reasons });
+      continue;
+    }
+    retainedBytes += bytes;
+    for (const file of files) {
+      retainedPaths.add(file.filePath);
     }
+  }
 
-    console.log(
-      `Saved ${result.savedCount} ${
-        generationMode === "file" ? "file(s)" : "image(s)"
-      }.`,
-    );
-    if ((result.savedCount ?? 0) === 0 && assistantErrorMessageSeen) {
-      emitActivity({
-        type: "flow_error",
-        message: assistantErrorMessageSeen,
-        important: true,
-      });
-      await probeAssistantTurn(true);
-      return {
-        status: "error",
-        error: assistantErrorMessageSeen,
-        ...result,
-      };
+  const outputDirs = new Set([config.outputDir]);
+  for (const record of records) {
+    if (typeof record.outputDir === "string" && record.outputDir) {
+      outputDirs.add(record.outputDir);
     }
-    if ((result.savedCount ?? 0) > 0) {
-      shouldClosePage = true;
+  }
+  const tempFiles = await findStaleDownloadTempFiles([...outputDirs], nowMs);
+
+  const prunedRuns = [];
+  let freedBytes = 0;
+  for (const { record, files, reasons } of candidates) {
+    const deletable = policy.deleteFiles
+      ? files.filter((file) => !retainedPaths.has(file.filePath))
+      : [];
+    if (!dryRun) {
+      for (const file of deletable) {
+        await unlink(file.filePath).catch(() => undefined);
+      }
+      await runStore.remove(record.id);
+      contextRunEventSeqs.delete(record.id);
+      await unlink(runWebhookPath(record.id)).catch(() => undefined);
+      await unlink(runRecordingPath(record.id)).catch(() => undefined);
+      await rm(runArtifactsDir(record.id), { recursive: true, force: true });
     }
-    emitActivity({
-      type: "flow_completed",
-      savedCount: result.savedCount ?? 0,
-      important: true,
-    });
-    await probeAssistantTurn(true);
-    return {
-      status: "completed",
-      ...result,
-    };
-  } catch (error) {
-    console.error("ChatGPT flow error:", error);
-    emitActivity({
-      type: "flow_error",
-      message: error?.message ?? String(error),
-      important: true,
+    freedBytes += deletable.reduce((total, file) => total + file.bytes, 0);
+    prunedRuns.push({
+      id: record.id,
+      status: record.status ?? null,
+      createdAt: record.createdAt ?? null,
+      reasons,
+      deletedFiles: deletable.map((file) => file.filePath),
     });
-    await probeAssistantTurn(true);
-    return {
-      status: "error",
-      error: error?.message ?? String(error),
-      ...result,
-    };
-  } finally {
-    pageContext.off("page", onContextPage);
-    if (assistantPollTimer) {
-      clearInterval(assistantPollTimer);
-      assistantPollTimer = null;
+  }
+  if (!dryRun) {
+    for (const file of tempFiles) {
+      await unlink(file.filePath).catch(() => undefined);
     }
-    await closeRunOwnedPages();
-    if (shouldClosePage) {
-      if (!activePage.isClosed()) {
-        await activePage.close();
-      }
-      if (page === activePage) {
-        page = null;
-      }
+  }
+  freedBytes += tempFiles.reduce((total, file) => total + file.bytes, 0);
+  const objectFiles = await findOrphanedContentObjects([...outputDirs], nowMs);
+  if (!dryRun) {
+    for (const file of objectFiles) {
+      await unlink(file.filePath).catch(() => undefined);
     }
   }
-};
+  freedBytes += objectFiles.reduce((total, file) => total + file.bytes, 0);
 
-const runOpenPromptRequest = async (
-  ctx,
-  {
-    effectiveUrl,
-    prompt,
-    syncMode,
-    imageRun,
-    generationMode = "image",
-    streamMode = false,
-    useSharedPage,
-    uploadFiles = [],
-    contextSeed = null,
-  },
-) => {
-  const activePage = useSharedPage ? await ensurePage() : await ctx.newPage();
-  const getPageUrl = () => {
-    try {
-      return activePage.url();
-    } catch {
-      return effectiveUrl;
-    }
+  return {
+    dryRun,
+    policy,
+    scannedRuns: records.length,
+    retainedRuns: records.length - prunedRuns.length,
+    retainedBytes,
+    prunedRuns,
+    tempFiles: tempFiles.map((file) => file.filePath),
+    objectFiles: objectFiles.map((file) => file.filePath),
+    freedBytes,
   };
-  await activePage.goto(effectiveUrl, {
-    waitUntil: config.waitUntil,
-    timeout: config.navTimeoutMs,
-  });
-  console.log(`Navigated to URL: ${activePage.url()}`);
+};
 
-  const plannedFilePrefix = imageRun.randomizeFileNames
-    ? `${imageRun.filePrefix || "image"}-${imageRun.runId}-`
-    : null;
-  const contextId =
-    sanitizeContextId(contextSeed?.id) || randomUUID();
-  const contextFile = contextRunPath(contextId);
-  const runOutputDir = resolveRunOutputDir(imageRun);
-  let contextRecord = {
-    id: contextId,
-    parentContextId: sanitizeContextId(contextSeed?.parentContextId) || null,
-    sourceContextId: sanitizeContextId(contextSeed?.sourceContextId) || null,
-    status: "queued",
-    sync: syncMode,
-    stream: streamMode,
-    generationMode,
-    question: prompt,
-    context: { question: prompt },
-    effectiveUrl,
-    outputDir: runOutputDir,
-    uploadFiles,
-    observedMetadataIds: [],
-    observedOutputFiles: [],
-    streamEvents: [],
-    keepAlive: {
-      state: "queued",
-      heartbeatSeq: 0,
-      lastHeartbeatAt: null,
-      lastActivityAt: null,
-      lastActivityType: "queued",
-      lastMessage: "Queued",
-      lastMetadataId: null,
-      lastOutputPath: null,
-      lastErrorMessage: null,
-      waitingForUserInput: false,
-      lastAssistantMessage: null,
-      lastAssistantTurnId: null,
-    },
-    events: [],
-    assistantQuestion: null,
-    assistantError: null,
-    result: buildSaveResult(),
-  };
+const runRetentionSweep = async () => {
+  if (retentionSweepRunning) return retentionSweepRunning;
+  retentionSweepRunning = pruneContextRuns()
+    .then((summary) => {
+      const removedCount =
+        summary.prunedRuns.length +
+        summary.tempFiles.length +
+        summary.objectFiles.length;
+      if (removedCount > 0) {
+        console.log(
+          `Retention sweep pruned ${summary.prunedRuns.length} run(s), ${summary.tempFiles.length} temp file(s) and ${summary.objectFiles.length} stored object(s), freed ${summary.freedBytes} bytes`,
+        );
+      }
+      return summary;
+    })
+    .catch((error) => {
+      console.warn("Retention sweep failed:", error);
+      return null;
+    })
+    .finally(() => {
+      retentionSweepRunning = null;
+    });
+  return retentionSweepRunning;
+};
 
-  const persistRunContext = async (patch) => {
-    const next = { ...contextRecord, ...(patch ?? {}) };
-    const persisted = await persistContextRun(next);
-    if (persisted?.payload) {
-      contextRecord = persisted.payload;
-    } else {
-      contextRecord = next;
-    }
-    return contextRecord;
+const startRetentionSweep = () => {
+  if (retentionSweepTimer || config.retentionSweepMs <= 0) return;
+  runRetentionSweep();
+  retentionSweepTimer = setInterval(runRetentionSweep, config.retentionSweepMs);
+  retentionSweepTimer.unref();
+};
+
+const ARTIFACT_CONTENT_TYPES = {
+  ".png": "image/png",
+  ".html": "text/html; charset=utf-8",
+  ".zip": "application/zip",
+};
+
+const describeRunArtifact = async (filePath, { kind, label, pageUrl = null }) => {
+  const info = await stat(filePath);
+  return {
+    kind,
+    label,
+    name: basename(filePath),
+    path: filePath,
+    bytes: info.size,
+    pageUrl,
+    capturedAt: new Date().toISOString(),
   };
+};
 
-  await persistRunContext();
+const captureFailureArtifacts = async (pageInstance, id, label) => {
+  if (!pageInstance || pageInstance.isClosed()) {
+    console.warn(`Skipping ${label} artifacts for ${id}: page already closed.`);
+    return [];
+  }
+  const dir = runArtifactsDir(id);
+  await mkdir(dir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const baseName = `${sanitizeFileName(label)}-${stamp}`;
+  const pageUrl = pageInstance.url();
+  const artifacts = [];
+  const screenshotPath = resolve(dir, `${baseName}.png`);
+  try {
+    await pageInstance.screenshot({
+      path: screenshotPath,
+      fullPage: true,
+      timeout: 10_000,
+    });
+    artifacts.push(
+      await describeRunArtifact(screenshotPath, {
+        kind: "screenshot",
+        label,
+        pageUrl,
+      }),
+    );
+  } catch (error) {
+    console.warn(`Unable to capture screenshot for ${id}:`, error?.message ?? error);
+  }
+  const htmlPath = resolve(dir, `${baseName}.html`);
+  try {
+    const html = await pageInstance.evaluate(
+      () => document.documentElement.outerHTML,
+    );
+    await writeFile(htmlPath, html);
+    artifacts.push(
+      await describeRunArtifact(htmlPath, { kind: "html", label, pageUrl }),
+    );
+  } catch (error) {
+    console.warn(`Unable to capture page HTML for ${id}:`, error?.message ?? error);
+  }
+  return artifacts;
+};
 
-  let heartbeatTimer = null;
-  let lastActivityWriteMs = 0;
+let tracingContextId = null;
 
-  const stopHeartbeat = () => {
-    if (heartbeatTimer) {
-      clearInterval(heartbeatTimer);
-      heartbeatTimer = null;
+const startRunTrace = async (ctx, id) => {
+  if (tracingContextId) {
+    return {
+      status: "skipped",
+      reason: `Tracing is already active for run ${tracingContextId}`,
+    };
+  }
+  tracingContextId = id;
+  try {
+    await ctx.tracing.start({ screenshots: true, snapshots: true, title: id });
+    return { status: "recording" };
+  } catch (error) {
+    tracingContextId = null;
+    return { status: "failed", reason: error?.message ?? String(error) };
+  }
+};
+
+const stopRunTrace = async (ctx, id) => {
+  try {
+    const dir = runArtifactsDir(id);
+    await mkdir(dir, { recursive: true });
+    const tracePath = resolve(dir, "trace.zip");
+    await ctx.tracing.stop({ path: tracePath });
+    return await describeRunArtifact(tracePath, { kind: "trace", label: "trace" });
+  } finally {
+    if (tracingContextId === id) {
+      tracingContextId = null;
     }
+  }
+};
+
+const findRunArtifact = async (id, name) => {
+  const record = await loadContextRun(id);
+  if (!record) {
+    const error = new Error("Context not found");
+    error.statusCode = 404;
+    throw error;
+  }
+  const artifacts = Array.isArray(record.artifacts) ? record.artifacts : [];
+  if (!name) return { record, artifacts, artifact: null };
+  const artifact = artifacts.find(
+    (entry) =>
+      entry?.name === basename(name) &&
+      typeof entry.path === "string" &&
+      dirname(entry.path) === runArtifactsDir(record.id),
+  );
+  if (!artifact || !existsSync(artifact.path)) {
+    const error = new Error(`Artifact ${name} not found`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return { record, artifacts, artifact };
+};
+
+const persistRunRecording = async (id, recording, run) => {
+  await ensureContextRunsDir();
+  const filePath = runRecordingPath(id);
+  const archive = {
+    log: {
+      version: "1.2",
+      creator: { name: "kthx-openai-media-generator", version: "0.1.0" },
+      pages: [],
+      entries: recording.entries,
+      _run: { ...run, recordedAt: new Date().toISOString() },
+      _assistantTurns: recording.assistantTurns,
+    },
+  };
+  await writeFile(filePath, JSON.stringify(archive));
+  return {
+    file: filePath,
+    entries: recording.entries.length,
+    assistantTurns: recording.assistantTurns.length,
   };
+};
 
-  const noteActivity = async (activity = {}) => {
-    const nowMs = Date.now();
-    const important = activity.important === true;
-    if (!important && nowMs - lastActivityWriteMs < 1_200) {
-      return;
-    }
-    lastActivityWriteMs = nowMs;
-    const nowIso = new Date(nowMs).toISOString();
-    const prevKeepAlive = contextRecord.keepAlive ?? {};
-    const currentMetadata = contextRecord.observedMetadataIds ?? [];
-    const currentOutputFiles = contextRecord.observedOutputFiles ?? [];
-    const currentStreamEvents = contextRecord.streamEvents ?? [];
-    const metadataId =
-      typeof activity.metadataId === "string" && activity.metadataId
-        ? activity.metadataId
-        : null;
-    const outputPath =
-      typeof activity.outputPath === "string" && activity.outputPath
-        ? activity.outputPath
-        : null;
-    const streamEvent =
-      activity.streamEvent &&
-      typeof activity.streamEvent === "object" &&
-      !Array.isArray(activity.streamEvent)
-        ? {
-            ...activity.streamEvent,
-            ts:
-              typeof activity.streamEvent.ts === "string" &&
-              activity.streamEvent.ts
-                ? activity.streamEvent.ts
-                : nowIso,
-          }
-        : null;
-    const nextMetadata = metadataId
-      ? [...new Set([...currentMetadata, metadataId])]
-      : currentMetadata;
-    const nextOutputFiles = outputPath
-      ? [...new Set([...currentOutputFiles, outputPath])]
-      : currentOutputFiles;
-    const nextStreamEvents = streamEvent
-      ? [...currentStreamEvents, streamEvent].slice(-200)
-      : currentStreamEvents;
-    const nextHeartbeatSeq =
-      activity.type === "heartbeat"
-        ? (prevKeepAlive.heartbeatSeq ?? 0) + 1
-        : prevKeepAlive.heartbeatSeq ?? 0;
-    const message =
-      typeof activity.message === "string" && activity.message
-        ? activity.message
-        : prevKeepAlive.lastMessage ?? null;
-    const assistantTurnId =
-      typeof activity.assistantTurnId === "string" && activity.assistantTurnId
-        ? activity.assistantTurnId
-        : null;
-    const requiresInput = activity.requiresInput === true;
-    const isAssistantError = activity.type === "assistant_error";
-    const errorMessage =
-      typeof activity.errorMessage === "string" && activity.errorMessage
-        ? activity.errorMessage
-        : isAssistantError
-          ? message || null
-          : null;
-    const waitingForUserInput =
-      activity.type === "flow_completed" || activity.type === "flow_error"
-        ? false
-        : requiresInput || isAssistantError
-          ? true
-          : prevKeepAlive.waitingForUserInput ?? false;
-    const lastAssistantMessage =
-      activity.type === "assistant_question" || activity.type === "assistant_message"
-        ? message
-        : prevKeepAlive.lastAssistantMessage ?? null;
-    const lastAssistantTurnId =
-      assistantTurnId || prevKeepAlive.lastAssistantTurnId || null;
+const loadRunRecording = async (id) => {
+  const safeId = sanitizeContextId(id);
+  if (!safeId) return null;
+  try {
+    const parsed = JSON.parse(await readFile(runRecordingPath(safeId), "utf8"));
+    return Array.isArray(parsed?.log?.entries) ? parsed.log : null;
+  } catch {
+    return null;
+  }
+};
 
-    const event = {
-      ts: nowIso,
-      type: activity.type || "activity",
-      message: message || null,
-      metadataId,
-      outputPath,
-      assistantTurnId,
-      requiresInput: requiresInput || null,
-      errorMessage,
-      savedCount:
-        Number.isFinite(activity.savedCount) ? activity.savedCount : null,
-      streamEventType:
-        streamEvent && typeof streamEvent.type === "string"
-          ? streamEvent.type
-          : null,
-    };
-    const events = [...(contextRecord.events ?? []), event].slice(-80);
+const REPLAY_MAX_GAP_MS = 250;
+const REPLAYS_DIR = resolve(LOCAL_CONFIG_DIR, "replays");
 
-    await persistRunContext({
-      status:
-        contextRecord.status === "queued"
-          ? "running"
-          : contextRecord.status === "completed" || contextRecord.status === "error"
-            ? contextRecord.status
-            : "running",
-      observedMetadataIds: nextMetadata,
-      observedOutputFiles: nextOutputFiles,
-      streamEvents: nextStreamEvents,
-      keepAlive: {
-        state:
-          contextRecord.status === "completed" || contextRecord.status === "error"
-            ? contextRecord.status
-            : "running",
-        heartbeatSeq: nextHeartbeatSeq,
-        lastHeartbeatAt:
-          activity.type === "heartbeat" ? nowIso : prevKeepAlive.lastHeartbeatAt,
-        lastActivityAt: nowIso,
-        lastActivityType: activity.type || prevKeepAlive.lastActivityType,
-        lastMessage: message,
-        lastMetadataId: metadataId ?? prevKeepAlive.lastMetadataId ?? null,
-        lastOutputPath: outputPath ?? prevKeepAlive.lastOutputPath ?? null,
-        lastErrorMessage: errorMessage ?? prevKeepAlive.lastErrorMessage ?? null,
-        waitingForUserInput,
-        lastAssistantMessage,
-        lastAssistantTurnId,
+const decodeRecordedBody = async (content) => {
+  if (typeof content?._file === "string" && content._file) {
+    const filePath = resolve(CONTEXT_RUNS_DIR, content._file);
+    const inside = relative(CONTEXT_RUNS_DIR, filePath);
+    if (!inside || inside.startsWith("..") || isAbsolute(inside)) {
+      return Buffer.alloc(0);
+    }
+    return readFile(filePath).catch(() => Buffer.alloc(0));
+  }
+  const text = typeof content?.text === "string" ? content.text : "";
+  return content?.encoding === "base64"
+    ? Buffer.from(text, "base64")
+    : Buffer.from(text, "utf8");
+};
+
+const fromHarHeaders = (headers) =>
+  Object.fromEntries(
+    (Array.isArray(headers) ? headers : []).map(({ name, value }) => [
+      String(name).toLowerCase(),
+      String(value),
+    ]),
+  );
+
+const createReplayRequest = (entry) => ({
+  method: () => entry.request?.method ?? "GET",
+  url: () => entry.request?.url ?? "",
+  headers: () => fromHarHeaders(entry.request?.headers),
+  postData: () => entry.request?.postData?.text ?? null,
+});
+
+const createReplayResponse = (entry) => {
+  const status = Number(entry.response?.status) || 0;
+  const headers = fromHarHeaders(entry.response?.headers);
+  let bodyPromise = null;
+  const body = () => (bodyPromise ??= decodeRecordedBody(entry.response?.content));
+  return {
+    url: () => entry.request?.url ?? "",
+    status: () => status,
+    ok: () => status >= 200 && status < 300,
+    headers: () => headers,
+    body,
+    text: async () => (await body()).toString("utf8"),
+    json: async () => JSON.parse((await body()).toString("utf8")),
+    request: () => createReplayRequest(entry),
+    frame: () => null,
+  };
+};
+
+const createReplayPage = (archive) => {
+  const responseListeners = new Set();
+  const requestWaiters = new Set();
+  const recordedByUrl = new Map();
+  for (const entry of archive.entries) {
+    if (entry?._kind !== "download" && entry?._kind !== "response") continue;
+    const url = entry.request?.url;
+    if (!url) continue;
+    const list = recordedByUrl.get(url) ?? { download: [], response: [] };
+    list[entry._kind].push(entry);
+    recordedByUrl.set(url, list);
+  }
+  const servedCounts = new Map();
+  const pageUrl = archive._run?.pageUrl || archive._run?.effectiveUrl || "";
+
+  return {
+    replay: true,
+    url: () => pageUrl,
+    isClosed: () => false,
+    on: (event, listener) => {
+      if (event === "response") responseListeners.add(listener);
+    },
+    off: (event, listener) => {
+      if (event === "response") responseListeners.delete(listener);
+    },
+    waitForRequest: (predicate, { timeout = 30_000 } = {}) =>
+      new Promise((resolvePromise, rejectPromise) => {
+        const waiter = { predicate, resolve: resolvePromise };
+        waiter.timer = setTimeout(() => {
+          requestWaiters.delete(waiter);
+          rejectPromise(new Error(`Timeout ${timeout}ms exceeded`));
+        }, timeout);
+        requestWaiters.add(waiter);
+      }),
+    request: {
+      get: async (url) => {
+        const list = recordedByUrl.get(url);
+        const candidates = list?.download.length ? list.download : list?.response;
+        if (!candidates?.length) {
+          return createReplayResponse({
+            request: { method: "GET", url },
+            response: {
+              status: 404,
+              headers: [{ name: "content-type", value: "application/json" }],
+              content: {
+                text: JSON.stringify({
+                  detail: { message: "Not present in recording" },
+                }),
+              },
+            },
+          });
+        }
+        const served = servedCounts.get(url) ?? 0;
+        servedCounts.set(url, served + 1);
+        return createReplayResponse(
+          candidates[Math.min(served, candidates.length - 1)],
+        );
       },
-      events,
-      assistantQuestion: requiresInput
-        ? {
-            turnId: assistantTurnId,
-            text: message || "",
-            askedAt: nowIso,
-          }
-        : contextRecord.assistantQuestion ?? null,
-      assistantError: isAssistantError
-        ? {
-            turnId: assistantTurnId,
-            text: message || "",
-            errorMessage: errorMessage || message || "",
-            detectedAt: nowIso,
-          }
-        : contextRecord.assistantError ?? null,
-    });
+    },
+    emit: (entry) => {
+      if (entry._kind === "response") {
+        const response = createReplayResponse(entry);
+        for (const listener of [...responseListeners]) listener(response);
+        return;
+      }
+      if (entry._kind === "beacon") {
+        const request = createReplayRequest(entry);
+        for (const waiter of [...requestWaiters]) {
+          if (!waiter.predicate(request)) continue;
+          clearTimeout(waiter.timer);
+          requestWaiters.delete(waiter);
+          waiter.resolve(request);
+        }
+      }
+    },
   };
+};
 
-  await noteActivity({
-    type: "started",
-    message: "Run started",
-    important: true,
+const replayRunRecording = async (
+  id,
+  {
+    outputDir = "",
+    idleMs = config.imageIdleMs,
+    timeoutMs = config.imageTimeoutMs,
+    images = config.images,
+    keepFrames = config.keepFrames,
+    preview = config.imagePreview,
+  } = {},
+) => {
+  const safeId = sanitizeContextId(id);
+  if (!safeId) {
+    const error = new Error("contextId is required");
+    error.statusCode = 400;
+    throw error;
+  }
+  const archive = await loadRunRecording(safeId);
+  if (!archive) {
+    const error = new Error(`No recording found for context ${safeId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  const run = archive._run ?? {};
+  const generationMode = run.generationMode === "file" ? "file" : "image";
+  const imageRun = createImageRun({
+    generationMode,
+    outputDir:
+      outputDir ||
+      resolve(REPLAYS_DIR, `${safeId}-${new Date().toISOString().replace(/[:.]/g, "-")}`),
+    contentAddressed: false,
+    embedProvenance: false,
+    record: false,
+    images,
+    keepFrames,
+    preview,
   });
-  heartbeatTimer = setInterval(() => {
-    noteActivity({
-      type: "heartbeat",
-      message: "Waiting for generation updates",
-    }).catch(() => undefined);
-  }, 3_000);
-
-  if (!isChatGptTargetUrl(effectiveUrl)) {
-    const pageUrl = getPageUrl();
-    if (!useSharedPage && !activePage.isClosed()) {
-      await activePage.close();
-    }
-    stopHeartbeat();
-    await persistRunContext({
-      status: "completed",
+  imageRun.contextId = safeId;
+  imageRun.prompt = typeof run.prompt === "string" ? run.prompt : null;
+  await ensureOutputDir(imageRun.outputDir);
+
+  const replayPage = createReplayPage(archive);
+  const feedDone = new AbortController();
+  const collecting = collectChatGptDownloads(replayPage, {
+    timeoutMs,
+    idleMs,
+    maxFiles:
+      generationMode === "image" ? Number.MAX_SAFE_INTEGER : config.imageMax,
+    imageRun,
+    requireFinalImageFrame: generationMode === "image",
+    waitForConvoStreamCompleted: generationMode === "image",
+    ignoreFileNames: uploadReferenceFileNames(run.uploadFiles),
+    signal: feedDone.signal,
+  });
+  let previousOffsetMs = 0;
+  let fedEntries = 0;
+  for (const entry of archive.entries) {
+    if (entry?._kind !== "response" && entry?._kind !== "beacon") continue;
+    const offsetMs = Number(entry._offsetMs) || 0;
+    await sleep(Math.min(Math.max(0, offsetMs - previousOffsetMs), REPLAY_MAX_GAP_MS));
+    previousOffsetMs = offsetMs;
+    replayPage.emit(entry);
+    fedEntries += 1;
+  }
+  await sleep(REPLAY_MAX_GAP_MS);
+  feedDone.abort();
+  const collected = await collecting;
+  const retained =
+    generationMode === "image" && collected.savedFiles.length > 1
+      ? await retainImageFrames(collected, imageRun)
+      : collected;
+
+  return {
+    contextId: safeId,
+    generationMode,
+    outputDir: imageRun.outputDir,
+    recordedAt: run.recordedAt ?? null,
+    recordedStatus: run.status ?? null,
+    entries: archive.entries.length,
+    fedEntries,
+    ignoreFileNames: uploadReferenceFileNames(run.uploadFiles),
+    assistantTurns: (archive._assistantTurns ?? []).map((turn) => ({
+      turnId: turn.turnId ?? null,
+      capturedAt: turn.capturedAt ?? null,
+      text: turn.text ?? "",
+      requiresInput: detectAssistantNeedsInput(turn.text),
+      errorMessage: detectAssistantErrorMessage(turn.text),
+    })),
+    collected: {
+      savedCount: collected.savedCount,
+      savedFiles: collected.savedFiles,
+      metadataIds: collected.metadataIds,
+    },
+    result: retained,
+  };
+};
+
+const restoreQueuedRuns = async () => {
+  let records = [];
+  try {
+    records = await listContextRunRecords();
+  } catch (error) {
+    console.warn("Unable to scan context runs for queued jobs:", error);
+    return;
+  }
+  const queued = records
+    .filter((record) => record.status === "queued" && record.job)
+    .sort(
+      (left, right) =>
+        String(left.queue?.enqueuedAt ?? left.createdAt ?? "").localeCompare(
+          String(right.queue?.enqueuedAt ?? right.createdAt ?? ""),
+        ),
+    );
+  for (const record of records) {
+    if (record.status !== "running") continue;
+    const message = "Run interrupted by server restart";
+    const persisted = await persistContextRun({
+      ...record,
+      status: "error",
       completedAt: new Date().toISOString(),
-      pageUrl,
-      result: {
-        status: "ok",
-        savedCount: 0,
-        savedFiles: [],
-        metadataIds: [],
-      },
+      error: message,
       keepAlive: {
-        ...(contextRecord.keepAlive ?? {}),
-        state: "completed",
+        ...(record.keepAlive ?? {}),
+        state: "error",
         lastActivityAt: new Date().toISOString(),
-        lastActivityType: "completed",
-        lastMessage: "Completed without ChatGPT target",
-        lastErrorMessage: null,
+        lastActivityType: "flow_error",
+        lastMessage: message,
+        lastErrorMessage: message,
         waitingForUserInput: false,
       },
+    }).catch(() => null);
+    if (persisted?.payload) {
+      notifyStoredRunWebhook(persisted.payload, "error").catch((error) => {
+        console.warn(`Webhook delivery for ${record.id} failed:`, error);
+      });
+    }
+  }
+  for (const record of queued) {
+    const { job } = record;
+    console.log(`Restoring queued run ${record.id}`);
+    await runOpenPromptRequest({
+      effectiveUrl: job.effectiveUrl,
+      prompt: job.prompt,
+      syncMode: false,
+      streamMode: job.streamMode === true,
+      imageRun: restoreImageRun(job.imageRun),
+      generationMode: job.generationMode || "image",
+      useSharedPage: job.useSharedPage === true,
+      uploadFiles: Array.isArray(job.uploadFiles) ? job.uploadFiles : [],
+      continuation: job.continuation ?? null,
+      trace: job.trace === true,
+      priority: record.priority,
+      restoredRecord: record,
+      webhook: await loadRunWebhook(record.id),
+    }).catch((error) => {
+      console.warn(`Failed to restore queued run ${record.id}:`, error);
     });
+  }
+};
+
+const parseImagesOption = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return config.images;
+  }
+  if (value === "all" || value === "latest") return value;
+  const error = new Error('images must be "all" or "latest"');
+  error.statusCode = 400;
+  throw error;
+};
+
+const handleOpenRequest = async (
+  body,
+  { contextId: presetContextId = "", sessionId = null } = {},
+) => {
+  const targetUrl = typeof body?.url === "string" ? body.url : "";
+  const reusePage = body?.reusePage === true;
+  const sourceContextId =
+    sanitizeContextId(body?.contextId) || sanitizeContextId(body?.id);
+  const answerPromptInput =
+    typeof body?.answerPrompt === "string" ? body.answerPrompt.trim() : "";
+  let sourceContext = null;
+  if (sourceContextId) {
+    sourceContext = await loadContextRun(sourceContextId);
+    if (!sourceContext) {
+      const error = new Error(`Context not found for id '${sourceContextId}'`);
+      error.statusCode = 404;
+      throw error;
+    }
+  }
+  const webhook =
+    normalizeWebhookRequest(body) ??
+    (sourceContext ? await loadRunWebhook(sourceContext.id) : null);
+  const projectUrlInput =
+    typeof body?.projectUrl === "string"
+      ? body.projectUrl
+      : typeof body?.projectId === "string"
+        ? body.projectId
+        : "";
+  const projectUrlOverride = buildChatGptProjectUrl(projectUrlInput);
+  const rememberProject =
+    body?.rememberProject === true || body?.setGlobalProject === true;
+  const outputDirInput =
+    typeof body?.dir === "string" ? body.dir.trim() : "";
+  if (projectUrlOverride) {
+    config.chatGptProjectUrl = projectUrlOverride;
+    config.chatGptProjectId = "";
+    if (rememberProject) {
+      await persistLocalConfig();
+    }
+  }
+  const generationMode = resolveGenerationMode(body);
+  const uploadFiles = await resolveUploadFiles(body);
+  const hasUploadFiles = uploadFiles.length > 0;
+  let prompts = normalizeGenerationBatch(body, {
+    generationMode,
+    hasUploadFiles,
+  });
+  let continuation = null;
+  if (sourceContext) {
+    const followupPromptInput =
+      answerPromptInput ||
+      (typeof body?.prompt === "string" ? body.prompt.trim() : "");
+    if (!followupPromptInput) {
+      const error = new Error(
+        "answerPrompt (or prompt) is required when contextId is provided",
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+    const fallbackPrompt = buildContinuationPrompt(
+      sourceContext,
+      followupPromptInput,
+      generationMode,
+      { hasUploadFiles },
+    );
+    const sourceThread =
+      body?.inThread === false ? null : resolveContinuationThread(sourceContext);
+    if (sourceThread) {
+      prompts = [
+        normalizePromptForMode(followupPromptInput, generationMode, {
+          hasUploadFiles,
+        }),
+      ];
+      continuation = {
+        ...sourceThread,
+        fallbackPrompt,
+        ignoreFileNames: (sourceContext.result?.savedFiles ?? [])
+          .map((entry) => entry?.sourceFileName)
+          .filter((value) => typeof value === "string" && value),
+      };
+    } else {
+      prompts = [fallbackPrompt];
+    }
+  }
+  const syncMode = body?.sync === true || body?.wait === true;
+  const priority = normalizeRunPriority(body?.priority);
+  const streamMode =
+    body?.stream === true || body?.streamImages === true;
+  const randomizeFileNames =
+    body?.randomName === true || body?.randomizeFileName === true;
+  const contentAddressed =
+    typeof body?.contentAddressed === "boolean"
+      ? body.contentAddressed
+      : typeof body?.dedupe === "boolean"
+        ? body.dedupe
+        : config.contentAddressed;
+  const embedProvenance =
+    typeof body?.provenance === "boolean"
+      ? body.provenance
+      : config.embedProvenance;
+  const recordRun =
+    typeof body?.record === "boolean" ? body.record : config.recordRuns;
+  const traceRun =
+    typeof body?.trace === "boolean" ? body.trace : config.traceRuns;
+  const images = parseImagesOption(body?.images);
+  const keepFrames =
+    typeof body?.keepFrames === "boolean" ? body.keepFrames : config.keepFrames;
+  const imagePreview =
+    typeof body?.preview === "boolean" ? body.preview : config.imagePreview;
+  const textHtml =
+    typeof body?.html === "boolean" ? body.html : config.textHtml;
+  const globalLatest =
+    typeof body?.globalLatest === "boolean"
+      ? body.globalLatest
+      : config.globalLatest;
+  const multiPrompt = prompts.length > 1;
+  const batchId = multiPrompt ? randomUUID().split("-")[0] : null;
+  const requestOutputDir = outputDirInput
+    ? resolvePathInput(outputDirInput, { baseDir: process.cwd() })
+    : config.outputDir;
+  await ensureOutputDir(requestOutputDir);
+
+  const ctx = await ensureContext();
+  const chatGptProjectUrl =
+    projectUrlOverride || config.chatGptProjectUrl;
+  const trimmedTarget = targetUrl.trim();
+  const isChatGptBase =
+    !trimmedTarget ||
+    /^https?:\/\/(chatgpt\.com|chat\.openai\.com)\/?$/i.test(trimmedTarget);
+  const effectiveUrl =
+    isChatGptBase && chatGptProjectUrl
+      ? chatGptProjectUrl
+      : trimmedTarget || config.startUrl || "https://chatgpt.com";
+  if (effectiveUrl) {
+    const runs = await Promise.all(
+      prompts.map((prompt, index) =>
+        runOpenPromptRequest({
+          effectiveUrl: continuation?.conversationUrl ?? effectiveUrl,
+          prompt,
+          syncMode,
+          streamMode,
+          imageRun: createImageRun({
+            randomizeFileNames,
+            generationMode,
+            outputDir: requestOutputDir,
+            contentAddressed,
+            embedProvenance,
+            record: recordRun,
+            images,
+            keepFrames,
+            preview: imagePreview,
+            textHtml,
+            globalLatest,
+            batchId,
+          }),
+          generationMode,
+          useSharedPage: !multiPrompt && reusePage && index === 0,
+          uploadFiles,
+          continuation: continuation && {
+            ...continuation,
+            fallbackUrl: effectiveUrl,
+          },
+          contextSeed: {
+            id: (!multiPrompt && presetContextId) || randomUUID(),
+            parentContextId: sourceContext?.id ?? null,
+            sourceContextId: sourceContext?.id ?? null,
+            sessionId,
+          },
+          priority,
+          webhook,
+          trace: traceRun,
+        }),
+      ),
+    );
+    if (runs.length === 1) {
+      return {
+        ...runs[0],
+        pages: ctx.pages().length,
+        outputDir: requestOutputDir,
+        promptCount: prompts.length,
+        uploadCount: uploadFiles.length,
+        sourceContextId: sourceContext?.id ?? null,
+        generationMode,
+        stream: streamMode,
+      };
+    }
     return {
-      status: "ok",
-      pageUrl,
+      status: runs.some((run) => run.status === "error") ? "error" : "ok",
       sync: syncMode,
       stream: streamMode,
-      queued: false,
-      runId: imageRun.runId,
+      queued: !syncMode,
+      promptCount: prompts.length,
+      uploadCount: uploadFiles.length,
+      sourceContextId: sourceContext?.id ?? null,
       generationMode,
-      randomizedFileNames: imageRun.randomizeFileNames,
-      plannedFilePrefix,
-      savedCount: 0,
-      savedFiles: [],
-      metadataIds: [],
-      contextId,
-      contextFile,
-      keepAlive: contextRecord.keepAlive,
-      context: syncMode ? contextRecord : undefined,
+      batchId,
+      runs,
+      pages: ctx.pages().length,
+      outputDir: requestOutputDir,
     };
   }
-
-  console.log(`Auto-started URL: ${effectiveUrl}`);
-  const flowPromise = runChatGptPromptFlow(activePage, {
-    prompt,
-    effectiveUrl,
-    imageRun,
+  const activePage = await ensurePage();
+  return {
+    status: "ok",
+    pageUrl: activePage.url(),
+    pages: ctx.pages().length,
+    outputDir: requestOutputDir,
     generationMode,
-    streamMode,
-    uploadFiles,
-    onActivity: noteActivity,
-  });
-  if (syncMode) {
-    const flowResult = await flowPromise;
-    stopHeartbeat();
-    const pageUrl = getPageUrl();
-    await persistRunContext({
-      status: flowResult.status === "error" ? "error" : "completed",
-      completedAt: new Date().toISOString(),
-      pageUrl,
-      result: flowResult,
-      keepAlive: {
-        ...(contextRecord.keepAlive ?? {}),
-        state: flowResult.status === "error" ? "error" : "completed",
-        lastActivityAt: new Date().toISOString(),
-        lastActivityType:
-          flowResult.status === "error" ? "flow_error" : "flow_completed",
-        lastMessage:
-          flowResult.status === "error"
-            ? flowResult.error || "Flow failed"
-            : "Flow completed",
-        lastErrorMessage:
-          flowResult.status === "error"
-            ? flowResult.error || "Flow failed"
-            : contextRecord.keepAlive?.lastErrorMessage ?? null,
-        waitingForUserInput: false,
-      },
+    stream: streamMode,
+  };
+};
+
+const SESSION_OPTION_KEYS = [
+  "mode",
+  "command",
+  "stream",
+  "dir",
+  "randomName",
+  "projectUrl",
+  "reusePage",
+  "priority",
+  "contentAddressed",
+  "provenance",
+  "images",
+  "keepFrames",
+  "preview",
+  "html",
+  "globalLatest",
+  "record",
+  "trace",
+];
+const SESSION_MESSAGE_EXCLUDED_KEYS = new Set([
+  "url",
+  "prompts",
+  "count",
+  "contextId",
+  "id",
+  "answerPrompt",
+]);
+const activeSessionMessages = new Set();
+
+const sessionPath = (id) => resolve(SESSIONS_DIR, `${id}.json`);
+
+const pickSessionOptions = (body) =>
+  Object.fromEntries(
+    SESSION_OPTION_KEYS.filter((key) => body?.[key] !== undefined).map((key) => [
+      key,
+      body[key],
+    ]),
+  );
+
+const loadSession = async (id) => {
+  const safeId = sanitizeContextId(id);
+  if (!safeId) return null;
+  try {
+    const parsed = JSON.parse(await readFile(sessionPath(safeId), "utf8"));
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch {
+    return null;
+  }
+};
+
+const persistSession = async (session) => {
+  await mkdir(SESSIONS_DIR, { recursive: true });
+  const payload = { ...session, updatedAt: new Date().toISOString() };
+  const filePath = sessionPath(session.id);
+  const tempPath = `${filePath}.${randomUUID()}.tmp`;
+  await writeFile(tempPath, JSON.stringify(payload, null, 2));
+  await rename(tempPath, filePath);
+  return payload;
+};
+
+const requireSession = async (id) => {
+  const session = await loadSession(id);
+  if (!session) {
+    const error = new Error(`Session not found for id '${id}'`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return session;
+};
+
+const describeSessionTurn = (turn, record) => ({
+  ...turn,
+  status: record?.status ?? "missing",
+  uploadFiles: record?.uploadFiles ?? [],
+  conversationId: record?.conversationId ?? null,
+  thread: record?.thread ?? null,
+  savedFiles: (record?.result?.savedFiles ?? []).map((entry) => ({
+    kind: entry.kind ?? null,
+    filePath: entry.filePath ?? null,
+    fileName: entry.fileName ?? null,
+    sourceFileName: entry.sourceFileName ?? null,
+    contentType: entry.contentType ?? null,
+    byteLength: entry.byteLength ?? null,
+    metadataId: entry.metadataId ?? null,
+  })),
+  metadataIds: record?.result?.metadataIds ?? [],
+  assistantQuestion: record?.assistantQuestion ?? null,
+  assistantError: record?.assistantError ?? null,
+  error: record?.error ?? null,
+  completedAt: record?.completedAt ?? null,
+});
+
+const describeSession = async (session) => {
+  const turns = [];
+  let thread = null;
+  for (const turn of session.turns ?? []) {
+    const record = await loadContextRun(turn.contextId);
+    thread = resolveContinuationThread(record) ?? thread;
+    turns.push(describeSessionTurn(turn, record));
+  }
+  const lastStatus = turns[turns.length - 1]?.status ?? "missing";
+  const busy =
+    activeSessionMessages.has(session.id) ||
+    (lastStatus !== "missing" && !isTerminalRunStatus(lastStatus));
+  return {
+    ...session,
+    conversationId: thread?.conversationId ?? session.conversationId ?? null,
+    conversationUrl: thread?.conversationUrl ?? session.conversationUrl ?? null,
+    status: busy ? "busy" : "idle",
+    turnCount: turns.length,
+    turns,
+  };
+};
+
+const listSessions = async () => {
+  const entries = await readdir(SESSIONS_DIR).catch(() => []);
+  const sessions = [];
+  for (const entry of entries) {
+    if (!entry.endsWith(".json")) continue;
+    const session = await loadSession(entry.slice(0, -".json".length));
+    if (!session) continue;
+    const turns = session.turns ?? [];
+    sessions.push({
+      id: session.id,
+      url: session.url ?? null,
+      conversationId: session.conversationId ?? null,
+      turnCount: turns.length,
+      lastPrompt: turns[turns.length - 1]?.prompt ?? null,
+      createdAt: session.createdAt ?? null,
+      updatedAt: session.updatedAt ?? null,
     });
-    return {
-      status: flowResult.status === "error" ? "error" : "ok",
-      pageUrl,
-      sync: true,
-      stream: streamMode,
-      queued: false,
-      runId: imageRun.runId,
-      generationMode,
-      randomizedFileNames: imageRun.randomizeFileNames,
-      plannedFilePrefix,
+  }
+  return sessions.sort((left, right) =>
+    String(right.updatedAt ?? "").localeCompare(String(left.updatedAt ?? "")),
+  );
+};
+
+const sendSessionMessage = async (session, body) => {
+  const prompt = typeof body?.prompt === "string" ? body.prompt.trim() : "";
+  if (!prompt) {
+    const error = new Error("prompt is required");
+    error.statusCode = 400;
+    throw error;
+  }
+  if (activeSessionMessages.has(session.id)) {
+    const error = new Error(
+      `Session '${session.id}' already has a message in flight`,
+    );
+    error.statusCode = 409;
+    throw error;
+  }
+  activeSessionMessages.add(session.id);
+  try {
+    // Another message may have been persisted while this request was read.
+    session = await requireSession(session.id);
+    const turns = session.turns ?? [];
+    const records = [];
+    for (const turn of turns) {
+      records.push(await loadContextRun(turn.contextId));
+    }
+    const lastRecord = records[records.length - 1];
+    if (lastRecord && !isTerminalRunStatus(lastRecord.status)) {
+      const error = new Error(
+        `Session '${session.id}' turn ${turns.length} is still ${lastRecord.status}`,
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+    const sourceRecord =
+      [...records].reverse().find((record) => resolveContinuationThread(record)) ??
+      lastRecord ??
+      null;
+    const overrides = Object.fromEntries(
+      Object.entries(body).filter(([key]) => !SESSION_MESSAGE_EXCLUDED_KEYS.has(key)),
+    );
+    const openBody = {
+      ...session.options,
+      ...overrides,
+      url: sourceRecord ? session.url : session.conversationUrl || session.url,
+      ...(sourceRecord
+        ? { contextId: sourceRecord.id, answerPrompt: prompt }
+        : { prompt }),
+    };
+    const contextId = randomUUID();
+    const turn = {
+      index: turns.length + 1,
       contextId,
-      contextFile,
-      keepAlive: contextRecord.keepAlive,
-      context: contextRecord,
-      ...flowResult,
+      prompt,
+      createdAt: new Date().toISOString(),
     };
-  }
-  flowPromise
-    .then(async (flowResult) => {
-      stopHeartbeat();
-      await persistRunContext({
-        status: flowResult.status === "error" ? "error" : "completed",
-        completedAt: new Date().toISOString(),
-        pageUrl: getPageUrl(),
-        result: flowResult,
-        keepAlive: {
-          ...(contextRecord.keepAlive ?? {}),
-          state: flowResult.status === "error" ? "error" : "completed",
-          lastActivityAt: new Date().toISOString(),
-          lastActivityType:
-            flowResult.status === "error" ? "flow_error" : "flow_completed",
-          lastMessage:
-            flowResult.status === "error"
-              ? flowResult.error || "Flow failed"
-              : "Flow completed",
-          lastErrorMessage:
-            flowResult.status === "error"
-              ? flowResult.error || "Flow failed"
-              : contextRecord.keepAlive?.lastErrorMessage ?? null,
-          waitingForUserInput: false,
-        },
-      });
-    })
-    .catch(async (error) => {
-      stopHeartbeat();
-      console.error("ChatGPT flow error:", error);
-      await persistRunContext({
-        status: "error",
-        completedAt: new Date().toISOString(),
-        pageUrl: getPageUrl(),
-        error: error?.message ?? String(error),
-        keepAlive: {
-          ...(contextRecord.keepAlive ?? {}),
-          state: "error",
-          lastActivityAt: new Date().toISOString(),
-          lastActivityType: "flow_error",
-          lastMessage: error?.message ?? String(error),
-          lastErrorMessage: error?.message ?? String(error),
-          waitingForUserInput: false,
-        },
+    session = await persistSession({ ...session, turns: [...turns, turn] });
+    let response;
+    try {
+      response = await handleOpenRequest(openBody, {
+        contextId,
+        sessionId: session.id,
       });
-    });
-  return {
-    status: "ok",
-    pageUrl: getPageUrl(),
-    sync: false,
-    stream: streamMode,
-    queued: true,
-    runId: imageRun.runId,
-    generationMode,
-    randomizedFileNames: imageRun.randomizeFileNames,
-    plannedFilePrefix,
-    contextId,
-    contextFile,
-    keepAlive: contextRecord.keepAlive,
-  };
+    } catch (error) {
+      if (!(await loadContextRun(contextId))) {
+        await persistSession({ ...session, turns });
+      }
+      throw error;
+    }
+    return {
+      ...response,
+      sessionId: session.id,
+      turn: describeSessionTurn(turn, await loadContextRun(contextId)),
+    };
+  } finally {
+    activeSessionMessages.delete(session.id);
+  }
+};
+
+const handleCreateSessionRequest = async (body) => {
+  const conversationId =
+    typeof body?.conversationId === "string" && body.conversationId.trim()
+      ? body.conversationId.trim()
+      : chatGptConversationIdFromPageUrl(body?.conversationUrl ?? "");
+  const url = typeof body?.url === "string" ? body.url.trim() : "";
+  const nowIso = new Date().toISOString();
+  const session = await persistSession({
+    id: randomUUID(),
+    url,
+    conversationId: conversationId || null,
+    conversationUrl: conversationId
+      ? buildChatGptConversationUrl(
+          body?.conversationUrl ||
+            url ||
+            buildChatGptProjectUrl(body?.projectUrl ?? "") ||
+            config.chatGptProjectUrl ||
+            "https://chatgpt.com",
+          conversationId,
+        )
+      : null,
+    options: pickSessionOptions(body),
+    turns: [],
+    createdAt: nowIso,
+  });
+  if (typeof body?.prompt === "string" && body.prompt.trim()) {
+    const message = await sendSessionMessage(session, body);
+    return {
+      ...message,
+      session: await describeSession(await requireSession(session.id)),
+    };
+  }
+  return { status: "ok", session: await describeSession(session) };
 };
 
 const server = http.createServer(async (req, res) => {
@@ -3866,7 +9126,16 @@ const server = http.createServer(async (req, res) => {
       `http://${req.headers.host ?? "localhost"}`,
     );
 
-    if (req.method === "GET" && url.pathname === "/health") {
+    const isHealthCheck = req.method === "GET" && url.pathname === "/health";
+    if (!isHealthCheck && !isAuthorizedRequest(req, url)) {
+      res.setHeader("WWW-Authenticate", "Bearer");
+      throw createUnauthorizedError();
+    }
+
+    if (isHealthCheck) {
+      if (!isAuthorizedRequest(req, url)) {
+        return sendJson(res, 200, { status: "ok", authRequired: true });
+      }
       const pages = context
         ? context.pages().map((tab, index) => ({ index, url: tab.url() }))
         : [];
@@ -3882,6 +9151,7 @@ const server = http.createServer(async (req, res) => {
         outputDir: config.outputDir,
         context: context ? "open" : "closed",
         pages,
+        queue: getRunQueueStats(),
       });
     }
 
@@ -3902,153 +9172,176 @@ const server = http.createServer(async (req, res) => {
       }
       return sendJson(res, 200, {
         status: "ok",
-        context: record,
+        context: {
+          ...record,
+          events: (await readContextRunEvents(id)) ?? record.events ?? [],
+        },
       });
     }
 
-    if (req.method === "POST" && url.pathname === "/open") {
+    if (req.method === "GET" && url.pathname === "/context/events") {
+      const id =
+        sanitizeContextId(url.searchParams.get("id")) ||
+        sanitizeContextId(url.searchParams.get("contextId"));
+      if (!id) {
+        const error = new Error("id query parameter is required");
+        error.statusCode = 400;
+        throw error;
+      }
+      const page = await listContextRunEvents(
+        res,
+        id,
+        parseContextEventsQuery(url.searchParams),
+      );
+      if (res.destroyed) return;
+      return sendJson(res, 200, { status: "ok", ...page });
+    }
+
+    if (req.method === "GET" && url.pathname === "/runs") {
+      const filters = parseRunListFilters(url.searchParams);
+      return sendJson(res, 200, {
+        status: "ok",
+        ...(await listContextRuns(filters)),
+      });
+    }
+
+    if (req.method === "GET" && url.pathname === "/runs/stats") {
+      const filters = parseRunListFilters(url.searchParams);
+      return sendJson(res, 200, {
+        status: "ok",
+        store: runStore.kind,
+        ...(await runStore.stats(filters)),
+      });
+    }
+
+    if (req.method === "POST" && url.pathname === "/runs/prune") {
       const body = await readJson(req);
-      const targetUrl = typeof body?.url === "string" ? body.url : "";
-      const reusePage = body?.reusePage === true;
-      const sourceContextId =
-        sanitizeContextId(body?.contextId) || sanitizeContextId(body?.id);
-      const answerPromptInput =
-        typeof body?.answerPrompt === "string" ? body.answerPrompt.trim() : "";
-      let sourceContext = null;
-      if (sourceContextId) {
-        sourceContext = await loadContextRun(sourceContextId);
-        if (!sourceContext) {
-          const error = new Error(`Context not found for id '${sourceContextId}'`);
-          error.statusCode = 404;
-          throw error;
-        }
+      const summary = await pruneContextRuns({
+        dryRun: body?.dryRun === true,
+        maxAgeDays: body?.maxAgeDays,
+        maxRuns: body?.maxRuns,
+        maxBytes: body?.maxBytes,
+        deleteFiles: body?.deleteFiles,
+      });
+      return sendJson(res, 200, { status: "ok", ...summary });
+    }
+
+    if (req.method === "GET" && url.pathname === "/context/artifacts") {
+      const id =
+        sanitizeContextId(url.searchParams.get("id")) ||
+        sanitizeContextId(url.searchParams.get("contextId"));
+      if (!id) {
+        const error = new Error("id query parameter is required");
+        error.statusCode = 400;
+        throw error;
       }
-      const projectUrlInput =
-        typeof body?.projectUrl === "string"
-          ? body.projectUrl
-          : typeof body?.projectId === "string"
-            ? body.projectId
-            : "";
-      const projectUrlOverride = buildChatGptProjectUrl(projectUrlInput);
-      const rememberProject =
-        body?.rememberProject === true || body?.setGlobalProject === true;
-      const outputDirInput =
-        typeof body?.dir === "string" ? body.dir.trim() : "";
-      if (projectUrlOverride) {
-        config.chatGptProjectUrl = projectUrlOverride;
-        config.chatGptProjectId = "";
-        if (rememberProject) {
-          await persistLocalConfig();
-        }
+      const { record, artifacts } = await findRunArtifact(id, "");
+      return sendJson(res, 200, {
+        status: "ok",
+        contextId: record.id,
+        trace: record.trace ?? null,
+        artifacts,
+      });
+    }
+
+    if (req.method === "GET" && url.pathname === "/context/artifact") {
+      const id =
+        sanitizeContextId(url.searchParams.get("id")) ||
+        sanitizeContextId(url.searchParams.get("contextId"));
+      const name = url.searchParams.get("name") ?? "";
+      if (!id || !name) {
+        const error = new Error("id and name query parameters are required");
+        error.statusCode = 400;
+        throw error;
       }
-      const generationMode = resolveGenerationMode(body);
-      const uploadFiles = await resolveUploadFiles(body);
-      const hasUploadFiles = uploadFiles.length > 0;
-      let prompts = normalizeGenerationBatch(body, {
-        generationMode,
-        hasUploadFiles,
+      const { artifact } = await findRunArtifact(id, name);
+      const info = await stat(artifact.path);
+      res.writeHead(200, {
+        "Content-Type":
+          ARTIFACT_CONTENT_TYPES[extname(artifact.name).toLowerCase()] ??
+          "application/octet-stream",
+        "Content-Length": info.size,
+        "Content-Disposition": `attachment; filename="${artifact.name}"`,
       });
-      if (sourceContext) {
-        const followupPromptInput =
-          answerPromptInput ||
-          (typeof body?.prompt === "string" ? body.prompt.trim() : "");
-        if (!followupPromptInput) {
-          const error = new Error(
-            "answerPrompt (or prompt) is required when contextId is provided",
-          );
-          error.statusCode = 400;
-          throw error;
-        }
-        prompts = [
-          buildContinuationPrompt(
-            sourceContext,
-            followupPromptInput,
-            generationMode,
-            { hasUploadFiles },
-          ),
-        ];
+      createReadStream(artifact.path).pipe(res);
+      return;
+    }
+
+    if (req.method === "POST" && url.pathname === "/runs/replay") {
+      const body = await readJson(req);
+      const outputDirInput =
+        typeof body?.dir === "string" && body.dir.trim()
+          ? body.dir.trim()
+          : typeof body?.outputDir === "string" && body.outputDir.trim()
+            ? body.outputDir.trim()
+            : "";
+      const replay = await replayRunRecording(body?.contextId ?? body?.id, {
+        outputDir: outputDirInput
+          ? resolvePathInput(outputDirInput, { baseDir: process.cwd() })
+          : "",
+        idleMs: Number.isFinite(body?.idleMs)
+          ? Math.max(0, body.idleMs)
+          : config.imageIdleMs,
+        timeoutMs: Number.isFinite(body?.timeoutMs)
+          ? Math.max(1_000, body.timeoutMs)
+          : config.imageTimeoutMs,
+        images: parseImagesOption(body?.images),
+        keepFrames:
+          typeof body?.keepFrames === "boolean"
+            ? body.keepFrames
+            : config.keepFrames,
+        preview:
+          typeof body?.preview === "boolean"
+            ? body.preview
+            : config.imagePreview,
+      });
+      return sendJson(res, 200, { status: "ok", ...replay });
+    }
+
+    if (req.method === "GET" && url.pathname === "/context/stream") {
+      const id =
+        sanitizeContextId(url.searchParams.get("id")) ||
+        sanitizeContextId(url.searchParams.get("contextId"));
+      if (!id) {
+        const error = new Error("id query parameter is required");
+        error.statusCode = 400;
+        throw error;
       }
-      const syncMode = body?.sync === true || body?.wait === true;
-      const streamMode =
-        body?.stream === true || body?.streamImages === true;
-      const randomizeFileNames =
-        body?.randomName === true || body?.randomizeFileName === true;
-      const multiPrompt = prompts.length > 1;
-      const requestOutputDir = outputDirInput
-        ? resolvePathInput(outputDirInput, { baseDir: process.cwd() })
-        : config.outputDir;
-      await ensureOutputDir(requestOutputDir);
+      return await streamContextEvents(req, res, id);
+    }
 
-      const ctx = await ensureContext();
-      const chatGptProjectUrl =
-        projectUrlOverride || config.chatGptProjectUrl;
-      const trimmedTarget = targetUrl.trim();
-      const isChatGptBase =
-        !trimmedTarget ||
-        /^https?:\/\/(chatgpt\.com|chat\.openai\.com)\/?$/i.test(trimmedTarget);
-      const effectiveUrl =
-        isChatGptBase && chatGptProjectUrl
-          ? chatGptProjectUrl
-          : trimmedTarget || config.startUrl || "https://chatgpt.com";
-      if (effectiveUrl) {
-        const runs = await Promise.all(
-          prompts.map((prompt, index) =>
-            runOpenPromptRequest(ctx, {
-              effectiveUrl,
-              prompt,
-              syncMode,
-              streamMode,
-              imageRun: createImageRun({
-                randomizeFileNames,
-                generationMode,
-                outputDir: requestOutputDir,
-              }),
-              generationMode,
-              useSharedPage: !multiPrompt && reusePage && index === 0,
-              uploadFiles,
-              contextSeed: {
-                id: randomUUID(),
-                parentContextId: sourceContext?.id ?? null,
-                sourceContextId: sourceContext?.id ?? null,
-              },
-            }),
-          ),
-        );
-        if (runs.length === 1) {
-          return sendJson(res, 200, {
-            ...runs[0],
-            pages: ctx.pages().length,
-            outputDir: requestOutputDir,
-            promptCount: prompts.length,
-            uploadCount: uploadFiles.length,
-            sourceContextId: sourceContext?.id ?? null,
-            generationMode,
-            stream: streamMode,
-          });
-        }
+    if (req.method === "POST" && url.pathname === "/open") {
+      const body = await readJson(req);
+      return sendJson(res, 200, await handleOpenRequest(body));
+    }
+
+    if (req.method === "POST" && url.pathname === "/sessions") {
+      const body = await readJson(req);
+      return sendJson(res, 200, await handleCreateSessionRequest(body));
+    }
+
+    if (req.method === "GET" && url.pathname === "/sessions") {
+      return sendJson(res, 200, { status: "ok", sessions: await listSessions() });
+    }
+
+    const sessionRoute = /^\/sessions\/([^/]+)(\/messages)?$/.exec(url.pathname);
+    if (sessionRoute) {
+      const session = await requireSession(decodeURIComponent(sessionRoute[1]));
+      if (req.method === "GET" && !sessionRoute[2]) {
         return sendJson(res, 200, {
-          status: runs.some((run) => run.status === "error") ? "error" : "ok",
-          sync: syncMode,
-          stream: streamMode,
-          queued: !syncMode,
-          promptCount: prompts.length,
-          uploadCount: uploadFiles.length,
-          sourceContextId: sourceContext?.id ?? null,
-          generationMode,
-          runs,
-          pages: ctx.pages().length,
-          outputDir: requestOutputDir,
+          status: "ok",
+          session: await describeSession(session),
         });
       }
-      const activePage = await ensurePage();
-      return sendJson(res, 200, {
-        status: "ok",
-        pageUrl: activePage.url(),
-        pages: ctx.pages().length,
-        outputDir: requestOutputDir,
-        generationMode,
-        stream: streamMode,
-      });
+      if (req.method === "POST" && sessionRoute[2]) {
+        const body = await readJson(req);
+        return sendJson(res, 200, await sendSessionMessage(session, body ?? {}));
+      }
+    }
+
+    if (req.method === "POST" && url.pathname === "/cancel") {
+      const body = await readJson(req);
+      return sendJson(res, 200, await handleCancelRequest(body));
     }
 
     if (req.method === "POST" && url.pathname === "/goto") {
@@ -4082,36 +9375,293 @@ const server = http.createServer(async (req, res) => {
   }
 });
 
+const CONTROL_SOCKET_PATH = "/ws";
+const CONTROL_SOCKET_PING_MS = 15_000;
+
+const controlSocketServer = new WebSocketServer({ noServer: true });
+
+const sendSocketMessage = (socket, payload) => {
+  if (socket.readyState !== socket.OPEN) return;
+  socket.send(JSON.stringify(payload));
+};
+
+const collectOpenResponseContextIds = (response) => {
+  const ids = [];
+  if (typeof response?.contextId === "string" && response.contextId) {
+    ids.push(response.contextId);
+  }
+  for (const run of Array.isArray(response?.runs) ? response.runs : []) {
+    if (typeof run?.contextId === "string" && run.contextId) {
+      ids.push(run.contextId);
+    }
+  }
+  return [...new Set(ids)];
+};
+
+const handleControlSocket = (socket) => {
+  const subscriptions = new Map();
+  let alive = true;
+
+  const unsubscribe = (contextId) => {
+    const stop = subscriptions.get(contextId);
+    if (!stop) return false;
+    subscriptions.delete(contextId);
+    stop();
+    detachRunControlClient(contextId, socket);
+    return true;
+  };
+
+  const subscribe = async (contextId) => {
+    if (subscriptions.has(contextId)) return true;
+    const stop = subscribeContextEvents(contextId, (event) => {
+      sendSocketMessage(socket, {
+        type: event.type,
+        contextId: event.contextId,
+        data: event.data,
+      });
+      if (event.type === "status" && isTerminalRunStatus(event.data?.status)) {
+        unsubscribe(contextId);
+      }
+    });
+    subscriptions.set(contextId, stop);
+    attachRunControlClient(contextId, socket);
+    const record = await loadContextRun(contextId);
+    if (!record) {
+      unsubscribe(contextId);
+      return false;
+    }
+    sendSocketMessage(socket, { type: "snapshot", contextId, context: record });
+    if (isTerminalRunStatus(record.status)) {
+      unsubscribe(contextId);
+    }
+    return true;
+  };
+
+  const handleMessage = async (message) => {
+    const requestId = message?.requestId ?? null;
+    const type = typeof message?.type === "string" ? message.type : "";
+    if (type === "ping") {
+      sendSocketMessage(socket, { type: "pong", requestId });
+      return;
+    }
+    if (type === "start") {
+      const { type: _type, requestId: _requestId, body, ...rest } = message;
+      const openBody =
+        body && typeof body === "object" && !Array.isArray(body) ? body : rest;
+      const response = await handleOpenRequest({
+        ...openBody,
+        sync: false,
+        wait: false,
+      });
+      const contextIds = collectOpenResponseContextIds(response);
+      sendSocketMessage(socket, { type: "started", requestId, contextIds, response });
+      for (const contextId of contextIds) {
+        await subscribe(contextId);
+      }
+      return;
+    }
+    const contextId =
+      sanitizeContextId(message?.contextId) || sanitizeContextId(message?.id);
+    if (type === "subscribe" || type === "unsubscribe" || type === "answer") {
+      if (!contextId) {
+        const error = new Error("contextId is required");
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+    if (type === "subscribe") {
+      const found = await subscribe(contextId);
+      if (!found) {
+        const error = new Error(`Context not found for id '${contextId}'`);
+        error.statusCode = 404;
+        throw error;
+      }
+      sendSocketMessage(socket, { type: "subscribed", requestId, contextId });
+      return;
+    }
+    if (type === "unsubscribe") {
+      unsubscribe(contextId);
+      sendSocketMessage(socket, { type: "unsubscribed", requestId, contextId });
+      return;
+    }
+    if (type === "answer") {
+      const text =
+        typeof message?.text === "string"
+          ? message.text
+          : typeof message?.answer === "string"
+            ? message.answer
+            : typeof message?.answerPrompt === "string"
+              ? message.answerPrompt
+              : "";
+      if (!text.trim()) {
+        const error = new Error("text is required for answer messages");
+        error.statusCode = 400;
+        throw error;
+      }
+      const accepted = submitRunAnswer(contextId, text);
+      if (!accepted) {
+        const error = new Error(
+          `Run '${contextId}' is not active; continue it with POST /open { contextId, answerPrompt } instead`,
+        );
+        error.statusCode = 409;
+        throw error;
+      }
+      await subscribe(contextId);
+      sendSocketMessage(socket, {
+        type: "answer_accepted",
+        requestId,
+        contextId,
+        pendingAnswers: accepted.pendingAnswers,
+      });
+      return;
+    }
+    if (type === "cancel") {
+      const response = await handleCancelRequest({ contextId });
+      sendSocketMessage(socket, {
+        type: "cancelled",
+        requestId,
+        contextId: response.contextId,
+        cancelledWhile: response.cancelledWhile,
+        context: response.context,
+      });
+      return;
+    }
+    const error = new Error(`Unknown message type '${type || "(missing)"}'`);
+    error.statusCode = 400;
+    throw error;
+  };
+
+  socket.on("message", (raw) => {
+    let message = null;
+    try {
+      message = JSON.parse(raw.toString("utf8"));
+    } catch {
+      sendSocketMessage(socket, {
+        type: "error",
+        statusCode: 400,
+        error: "Invalid JSON",
+      });
+      return;
+    }
+    handleMessage(message).catch((error) => {
+      sendSocketMessage(socket, {
+        type: "error",
+        requestId: message?.requestId ?? null,
+        statusCode: error?.statusCode ?? 500,
+        error: error?.message ?? "Unknown error",
+      });
+    });
+  });
+  socket.on("pong", () => {
+    alive = true;
+  });
+  const pingTimer = setInterval(() => {
+    if (!alive) {
+      socket.terminate();
+      return;
+    }
+    alive = false;
+    socket.ping();
+  }, CONTROL_SOCKET_PING_MS);
+  socket.on("close", () => {
+    clearInterval(pingTimer);
+    for (const contextId of [...subscriptions.keys()]) {
+      unsubscribe(contextId);
+    }
+  });
+  sendSocketMessage(socket, { type: "ready" });
+};
+
+server.on("upgrade", (req, socket, head) => {
+  let url = null;
+  try {
+    url = new URL(req.url ?? "/", "http://localhost");
+  } catch {
+    // fall through to reject
+  }
+  if (url?.pathname !== CONTROL_SOCKET_PATH) {
+    socket.write("HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n");
+    socket.destroy();
+    return;
+  }
+  if (!isAuthorizedRequest(req, url)) {
+    socket.write(
+      "HTTP/1.1 401 Unauthorized\r\nWWW-Authenticate: Bearer\r\nConnection: close\r\n\r\n",
+    );
+    socket.destroy();
+    return;
+  }
+  controlSocketServer.handleUpgrade(req, socket, head, (ws) => {
+    handleControlSocket(ws);
+  });
+});
+
 const shutdown = async (signal) => {
+  if (retentionSweepTimer) {
+    clearInterval(retentionSweepTimer);
+    retentionSweepTimer = null;
+  }
+  for (const client of controlSocketServer.clients) {
+    client.terminate();
+  }
   try {
     await closeContext();
   } catch (error) {
     console.error(`Shutdown error (${signal}):`, error);
   } finally {
+    runStore.close?.();
     server.close(() => process.exit(0));
     setTimeout(() => process.exit(1), 2_000).unref();
   }
 };
 
-process.on("SIGINT", () => shutdown("SIGINT"));
-process.on("SIGTERM", () => shutdown("SIGTERM"));
-process.on("unhandledRejection", (reason) => {
-  console.error("Unhandled rejection:", reason);
-});
-
 const startServer = async () => {
+  process.on("SIGINT", () => shutdown("SIGINT"));
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("unhandledRejection", (reason) => {
+    console.error("Unhandled rejection:", reason);
+  });
   await ensureConfig();
   await ensureOutputDir();
-  server.listen(config.port, () => {
+  await initRunStore();
+  server.listen(config.port, config.host, () => {
     console.log(
-      `Playwright microservice listening on http://localhost:${config.port} (browser=${config.browser}, headless=${config.headless})`,
+      `Playwright microservice listening on http://${config.host}:${config.port} (browser=${config.browser}, headless=${config.headless})`,
     );
+    if (!config.authEnabled || !config.apiToken) {
+      console.warn("API authentication is disabled (PW_AUTH=false).");
+    }
     if (config.startUrl) {
       console.log(`Auto-start URL: ${config.startUrl}`);
     }
     console.log(`Storage dir: ${config.storageDir}`);
     console.log(`Output dir: ${config.outputDir}`);
+    restoreQueuedRuns()
+      .catch((error) => {
+        console.warn("Failed to restore queued runs:", error);
+      })
+      .finally(startRetentionSweep);
   });
 };
 
-startServer();
+const isMainModule =
+  Boolean(process.argv[1]) &&
+  realpathSync(resolve(process.argv[1])) === fileURLToPath(import.meta.url);
+
+if (isMainModule) {
+  startServer();
+}
+
+export {
+  buildRunFilterSql,
+  detectRequestedFileType,
+  embedProvenanceInBuffer,
+  encodeAnimatedWebpPreview,
+  encodeApngPreview,
+  groupImageCandidatesByLineage,
+  isChatGptHost,
+  parseMarkdownCodeBlocks,
+  readPngChunks,
+  resolveCodeBlockFile,
+  startServer,
+};
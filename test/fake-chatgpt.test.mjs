@@ -0,0 +1,205 @@
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { createServer } from "node:net";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { chromium } from "playwright";
+
+import { PNG_SIGNATURE } from "./fixtures.mjs";
+
+const rootDir = fileURLToPath(new URL("..", import.meta.url));
+const apiToken = "test-token";
+const browserMissing = await chromium.launch().then(
+  (browser) => browser.close().then(() => false),
+  () => "Playwright Chromium is not installed (pnpm exec playwright install chromium)",
+);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const findFreePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.once("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+const startProcess = (args, { cwd = rootDir, env = {} } = {}) => {
+  const child = spawn(process.execPath, args, {
+    cwd,
+    env: { ...process.env, ...env },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  child.output = "";
+  child.stdout.on("data", (chunk) => {
+    child.output += chunk;
+  });
+  child.stderr.on("data", (chunk) => {
+    child.output += chunk;
+  });
+  return child;
+};
+
+const stopProcess = async (child) => {
+  if (!child || child.exitCode !== null) return;
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+  child.kill("SIGTERM");
+  const timer = setTimeout(() => child.kill("SIGKILL"), 5_000);
+  await exited;
+  clearTimeout(timer);
+};
+
+const waitForHealth = async (url, child, timeoutMs = 20_000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`Process exited before ${url} was ready:\n${child.output}`);
+    }
+    try {
+      const response = await fetch(url);
+      if (response.ok) return;
+    } catch {
+      // not listening yet
+    }
+    await sleep(200);
+  }
+  throw new Error(`Timed out waiting for ${url}:\n${child.output}`);
+};
+
+describe("fake ChatGPT scenarios", { skip: browserMissing }, () => {
+  let fakeServer;
+  let service;
+  let workDir;
+  let fakeUrl;
+  let serviceUrl;
+
+  const open = async (body) => {
+    const response = await fetch(`${serviceUrl}/open`, {
+      method: "POST",
+      headers: {
+        authorization: `Bearer ${apiToken}`,
+        "content-type": "application/json",
+      },
+      body: JSON.stringify({ sync: true, ...body }),
+    });
+    const payload = await response.json();
+    assert.equal(response.status, 200, JSON.stringify(payload));
+    return payload;
+  };
+
+  const openScenario = (scenario, body) =>
+    open({ url: `${fakeUrl}/?scenario=${scenario}`, ...body });
+
+  before(async () => {
+    workDir = await mkdtemp(join(tmpdir(), "fake-chatgpt-test-"));
+    const fakePort = await findFreePort();
+    const servicePort = await findFreePort();
+    fakeUrl = `http://127.0.0.1:${fakePort}`;
+    serviceUrl = `http://127.0.0.1:${servicePort}`;
+    fakeServer = startProcess([
+      "scripts/fake-chatgpt-server.mjs",
+      "--port",
+      String(fakePort),
+      "--frames",
+      "2",
+      "--frame-delay",
+      "100",
+      "--slow",
+      "1500",
+    ]);
+    await waitForHealth(`${fakeUrl}/health`, fakeServer);
+    service = startProcess([join(rootDir, "src/server.mjs")], {
+      cwd: workDir,
+      env: {
+        PW_PORT: String(servicePort),
+        PW_PROJECT_DIR: workDir,
+        PW_API_TOKEN: apiToken,
+        PW_CHATGPT_HOSTS: `127.0.0.1:${fakePort}`,
+        PW_HEADLESS: "true",
+        PW_HEADLESS_AFTER_AUTH: "true",
+        PW_HEADLESS_USE_SYSTEM: "false",
+        PW_START_MINIMIZED: "false",
+        PW_IMAGE_IDLE_MS: "2000",
+        PW_IMAGE_TIMEOUT_MS: "30000",
+        PW_RETENTION_SWEEP_MS: "0",
+      },
+    });
+    await waitForHealth(`${serviceUrl}/health`, service);
+  });
+
+  after(async () => {
+    await stopProcess(service);
+    await stopProcess(fakeServer);
+    if (workDir) await rm(workDir, { recursive: true, force: true });
+  });
+
+  it("image: keeps only the final frame", { timeout: 120_000 }, async () => {
+    const result = await openScenario("image", {
+      prompt: "Generate an image of a fox",
+      mode: "image",
+    });
+    assert.equal(result.context.status, "completed");
+    assert.equal(result.savedCount, 1);
+    const [saved] = result.savedFiles;
+    assert.equal(saved.sourceFileName, "image.png");
+    const bytes = await readFile(saved.filePath);
+    assert.ok(bytes.subarray(0, 8).equals(PNG_SIGNATURE));
+  });
+
+  it("file: saves the linked download", { timeout: 120_000 }, async () => {
+    const result = await openScenario("file", {
+      prompt: "Create a text file with a greeting",
+      mode: "file",
+    });
+    assert.equal(result.context.status, "completed");
+    assert.equal(result.savedCount, 1);
+    const text = await readFile(result.savedFiles[0].filePath, "utf8");
+    assert.match(text, /Fake ChatGPT file output/);
+    assert.match(text, /greeting/);
+  });
+
+  it("error: reports the assistant error", { timeout: 120_000 }, async () => {
+    const result = await openScenario("error", {
+      prompt: "Generate an image of a fox",
+      mode: "image",
+    });
+    assert.equal(result.context.status, "error");
+    assert.equal(result.savedCount ?? 0, 0);
+    assert.match(result.context.assistantError.errorMessage, /error when generating images/);
+  });
+
+  it("question: records the question, then answers in the same thread", { timeout: 180_000 }, async () => {
+    const asked = await openScenario("question", {
+      prompt: "Generate an image of a fox",
+      mode: "image",
+    });
+    assert.equal(asked.savedCount ?? 0, 0);
+    assert.match(asked.context.assistantQuestion.text, /watercolor or photorealistic/);
+
+    const answered = await open({
+      contextId: asked.contextId,
+      answerPrompt: "Watercolor, please",
+    });
+    assert.equal(answered.context.status, "completed");
+    assert.equal(answered.context.parentContextId, asked.contextId);
+    assert.equal(answered.context.thread.resumed, true);
+    assert.equal(answered.savedCount, 1);
+  });
+
+  it("slow: waits for delayed downloads", { timeout: 120_000 }, async () => {
+    const startedAt = Date.now();
+    const result = await openScenario("slow", {
+      prompt: "Generate an image of a fox",
+      mode: "image",
+    });
+    assert.equal(result.context.status, "completed");
+    assert.equal(result.savedCount, 1);
+    assert.equal(result.savedFiles[0].sourceFileName, "image.png");
+    assert.ok(Date.now() - startedAt >= 1_500);
+  });
+});
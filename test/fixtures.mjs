@@ -0,0 +1,81 @@
+import { crc32, deflateSync } from "node:zlib";
+
+export const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+};
+
+export const buildSolidPng = ([red, green, blue], size = 8) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8;
+  header[9] = 2;
+  const row = Buffer.alloc(1 + size * 3);
+  for (let x = 0; x < size; x += 1) {
+    row[1 + x * 3] = red;
+    row[2 + x * 3] = green;
+    row[3 + x * 3] = blue;
+  }
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", deflateSync(Buffer.concat(Array(size).fill(row)))),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+};
+
+export const buildJpeg = () => {
+  const app0 = Buffer.from([
+    0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00,
+    0x00, 0x01, 0x00, 0x01, 0x00, 0x00,
+  ]);
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    app0,
+    Buffer.from([0xff, 0xda, 0x00, 0x02, 0x12, 0x34]),
+    Buffer.from([0xff, 0xd9]),
+  ]);
+};
+
+const riffChunk = (fourCc, data) => {
+  const header = Buffer.alloc(8);
+  header.write(fourCc, 0, "latin1");
+  header.writeUInt32LE(data.length, 4);
+  return Buffer.concat([
+    header,
+    data,
+    data.length % 2 ? Buffer.alloc(1) : Buffer.alloc(0),
+  ]);
+};
+
+export const buildLosslessWebp = (width = 8, height = 8, seed = 0) => {
+  const bitstream = Buffer.alloc(12, seed);
+  bitstream[0] = 0x2f;
+  bitstream.writeUInt32LE(((width - 1) | ((height - 1) << 14)) >>> 0, 1);
+  const body = riffChunk("VP8L", bitstream);
+  const header = Buffer.alloc(12);
+  header.write("RIFF", 0, "latin1");
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write("WEBP", 8, "latin1");
+  return Buffer.concat([header, body]);
+};
+
+export const readRiffFourCcs = (buffer) => {
+  const fourCcs = [];
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const size = buffer.readUInt32LE(offset + 4);
+    fourCcs.push(buffer.toString("latin1", offset, offset + 4));
+    offset += 8 + size + (size % 2);
+  }
+  return fourCcs;
+};
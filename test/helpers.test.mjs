@@ -0,0 +1,213 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  buildRunFilterSql,
+  detectRequestedFileType,
+  groupImageCandidatesByLineage,
+  isChatGptHost,
+  parseMarkdownCodeBlocks,
+  resolveCodeBlockFile,
+} from "../src/server.mjs";
+
+describe("parseMarkdownCodeBlocks", () => {
+  it("returns fenced blocks with their language and the text before them", () => {
+    const markdown = [
+      "Here is the script. Save it as `fetch_data.py`:",
+      "",
+      "```Python",
+      "import json",
+      "print(json.dumps({}))",
+      "```",
+      "",
+      "And the config:",
+      "",
+      "````yaml",
+      "retries: 3",
+      "````",
+      "",
+      "```",
+      "   ",
+      "```",
+    ].join("\n");
+    const blocks = parseMarkdownCodeBlocks(markdown);
+    assert.equal(blocks.length, 2);
+    assert.deepEqual(blocks[0], {
+      language: "python",
+      code: "import json\nprint(json.dumps({}))",
+      hint: "Here is the script. Save it as `fetch_data.py`:",
+    });
+    assert.equal(blocks[1].language, "yaml");
+    assert.equal(blocks[1].code, "retries: 3");
+    assert.equal(blocks[1].hint, "And the config:");
+  });
+
+  it("strips the fence indentation from nested blocks", () => {
+    const blocks = parseMarkdownCodeBlocks(
+      "1. Run:\n\n   ```bash\n   npm install\n     npm test\n   ```",
+    );
+    assert.deepEqual(blocks, [
+      { language: "bash", code: "npm install\n  npm test", hint: "1. Run:" },
+    ]);
+  });
+
+  it("ignores non-string input", () => {
+    assert.deepEqual(parseMarkdownCodeBlocks(null), []);
+  });
+});
+
+describe("resolveCodeBlockFile", () => {
+  it("uses a file name mentioned before the block", () => {
+    assert.deepEqual(
+      resolveCodeBlockFile({
+        language: "python",
+        code: "print(1)",
+        hint: "Save it as `fetch_data.py`:",
+      }),
+      { fileName: "fetch_data.py", extension: ".py" },
+    );
+  });
+
+  it("prefers a first-line file comment", () => {
+    assert.deepEqual(
+      resolveCodeBlockFile({
+        language: "bash",
+        code: "# file: deploy.sh\necho hi",
+        hint: "Then create setup.sh and run it.",
+      }),
+      { fileName: "deploy.sh", extension: ".sh" },
+    );
+  });
+
+  it("skips hinted names that do not match the block language", () => {
+    assert.deepEqual(
+      resolveCodeBlockFile({
+        language: "json",
+        code: "{}",
+        hint: "Update main.py with these settings:",
+      }),
+      { fileName: "", extension: ".json" },
+    );
+  });
+
+  it("falls back to the requested type, then .txt", () => {
+    const requestedType = detectRequestedFileType("Write a Python script");
+    assert.deepEqual(requestedType, { ext: ".py", label: "Python" });
+    assert.deepEqual(
+      resolveCodeBlockFile({ language: "", code: "x = 1", hint: "" }, requestedType),
+      { fileName: "", extension: ".py" },
+    );
+    assert.deepEqual(
+      resolveCodeBlockFile({ language: "", code: "hello", hint: "" }),
+      { fileName: "", extension: ".txt" },
+    );
+  });
+});
+
+describe("groupImageCandidatesByLineage", () => {
+  const candidate = (sourceFileName, isFinalStreamFrame = false) => ({
+    sourceFileName,
+    isFinalStreamFrame,
+    filePath: `/out/${sourceFileName}`,
+  });
+
+  it("groups .partN frames with their final image, newest first", () => {
+    const lineages = groupImageCandidatesByLineage([
+      candidate("image.png", true),
+      candidate("image.part2.png"),
+      candidate("image.part1.png"),
+      candidate("other.part1.png"),
+      candidate(null),
+    ]);
+    assert.deepEqual(
+      lineages.map((lineage) => [
+        lineage.name,
+        lineage.candidates.map((entry) => entry.sourceFileName),
+      ]),
+      [
+        [null, [null]],
+        ["other.png", ["other.part1.png"]],
+        ["image.png", ["image.part1.png", "image.part2.png", "image.png"]],
+      ],
+    );
+  });
+
+  it("starts a new lineage once a name has produced its final frame", () => {
+    const lineages = groupImageCandidatesByLineage([
+      candidate("image.part1.png"),
+      candidate("image.png", true),
+      candidate("image.part1.png"),
+    ]);
+    assert.equal(lineages.length, 2);
+    assert.deepEqual(
+      lineages.map((lineage) => lineage.candidates.length),
+      [2, 1],
+    );
+    assert.equal(lineages[0].closed, true);
+    assert.equal(lineages[1].closed, false);
+  });
+});
+
+describe("buildRunFilterSql", () => {
+  const noFilters = {
+    statuses: [],
+    generationModes: [],
+    since: null,
+    until: null,
+    query: "",
+    parentContextId: "",
+    hasAssistantError: null,
+  };
+
+  it("returns an empty clause without filters", () => {
+    assert.deepEqual(buildRunFilterSql(noFilters), { where: "", params: [] });
+  });
+
+  it("binds every filter as a parameter", () => {
+    const since = Date.parse("2025-01-01T00:00:00Z");
+    const until = Date.parse("2025-02-01T00:00:00Z");
+    assert.deepEqual(
+      buildRunFilterSql({
+        statuses: ["completed", "error"],
+        generationModes: ["image"],
+        since,
+        until,
+        query: "fox'; DROP TABLE runs; --",
+        parentContextId: "ctx-parent",
+        hasAssistantError: false,
+      }),
+      {
+        where:
+          "WHERE status IN (?, ?) AND generation_mode IN (?) AND created_at IS NOT NULL" +
+          " AND created_at >= ? AND created_at <= ? AND instr(question_search, ?) > 0" +
+          " AND parent_context_id = ? AND has_assistant_error = ?",
+        params: [
+          "completed",
+          "error",
+          "image",
+          "2025-01-01T00:00:00.000Z",
+          "2025-02-01T00:00:00.000Z",
+          "fox'; DROP TABLE runs; --",
+          "ctx-parent",
+          0,
+        ],
+      },
+    );
+  });
+});
+
+describe("isChatGptHost", () => {
+  it("accepts ChatGPT hosts and their subdomains", () => {
+    assert.equal(isChatGptHost("https://chatgpt.com/c/abc"), true);
+    assert.equal(isChatGptHost("https://CHATGPT.COM/"), true);
+    assert.equal(isChatGptHost("https://ab.chatgpt.com/"), true);
+    assert.equal(isChatGptHost("https://chat.openai.com/"), true);
+  });
+
+  it("rejects look-alike hosts and invalid URLs", () => {
+    assert.equal(isChatGptHost("https://evilchatgpt.com/"), false);
+    assert.equal(isChatGptHost("https://chatgpt.com.evil.test/"), false);
+    assert.equal(isChatGptHost("https://example.com/chatgpt.com"), false);
+    assert.equal(isChatGptHost("not a url"), false);
+  });
+});
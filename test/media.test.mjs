@@ -0,0 +1,143 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  embedProvenanceInBuffer,
+  encodeAnimatedWebpPreview,
+  encodeApngPreview,
+  readPngChunks,
+} from "../src/server.mjs";
+import {
+  buildJpeg,
+  buildLosslessWebp,
+  buildSolidPng,
+  readRiffFourCcs,
+} from "./fixtures.mjs";
+
+const provenance = {
+  prompt: "A fox <in> the snow",
+  contextId: "ctx-test",
+  sha256: "abc123",
+  missing: null,
+};
+
+describe("embedProvenanceInBuffer", () => {
+  it("adds XMP and JSON iTXt chunks right after IHDR in PNGs", () => {
+    const embedded = embedProvenanceInBuffer(buildSolidPng([10, 20, 30]), provenance);
+    const chunks = readPngChunks(embedded);
+    assert.deepEqual(
+      chunks.map((chunk) => chunk.type),
+      ["IHDR", "iTXt", "iTXt", "IDAT", "IEND"],
+    );
+    const [xmp, json] = chunks.slice(1, 3).map((chunk) => chunk.data.toString("utf8"));
+    assert.ok(xmp.startsWith("XML:com.adobe.xmp\0"));
+    assert.match(xmp, /A fox &lt;in&gt; the snow/);
+    assert.doesNotMatch(xmp, /kthx:missing/);
+    assert.ok(json.startsWith("provenance\0"));
+    assert.deepEqual(JSON.parse(json.slice(json.lastIndexOf("\0") + 1)), provenance);
+  });
+
+  it("inserts an APP1 XMP segment after JFIF in JPEGs", () => {
+    const jpeg = buildJpeg();
+    const embedded = embedProvenanceInBuffer(jpeg, provenance);
+    assert.deepEqual([...embedded.subarray(20, 22)], [0xff, 0xe1]);
+    const segmentLength = embedded.readUInt16BE(22);
+    const segment = embedded.subarray(24, 22 + segmentLength).toString("utf8");
+    assert.ok(segment.startsWith("http://ns.adobe.com/xap/1.0/\0"));
+    assert.match(segment, /<kthx:contextId>ctx-test<\/kthx:contextId>/);
+    assert.ok(embedded.subarray(22 + segmentLength).equals(jpeg.subarray(20)));
+  });
+
+  it("converts simple WebPs to VP8X and replaces earlier XMP chunks", () => {
+    const embedded = embedProvenanceInBuffer(buildLosslessWebp(16, 9), provenance);
+    assert.deepEqual(readRiffFourCcs(embedded), ["VP8X", "VP8L", "XMP "]);
+    assert.equal(embedded[20] & 0x04, 0x04);
+    assert.equal(embedded.readUIntLE(24, 3), 15);
+    assert.equal(embedded.readUIntLE(27, 3), 8);
+    assert.equal(embedded.readUInt32LE(4), embedded.length - 8);
+
+    const again = embedProvenanceInBuffer(embedded, { prompt: "second" });
+    assert.deepEqual(readRiffFourCcs(again), ["VP8X", "VP8L", "XMP "]);
+    assert.match(again.toString("utf8"), /second/);
+    assert.doesNotMatch(again.toString("utf8"), /ctx-test/);
+  });
+
+  it("returns null for unsupported buffers", () => {
+    assert.equal(embedProvenanceInBuffer(Buffer.from("GIF89a"), provenance), null);
+    assert.equal(embedProvenanceInBuffer("not a buffer", provenance), null);
+  });
+});
+
+describe("encodeApngPreview", () => {
+  it("animates same-sized PNG frames with their delays", () => {
+    const frames = [
+      { buffer: buildSolidPng([0, 0, 255]), delayMs: 120 },
+      { buffer: buildSolidPng([0, 255, 0]), delayMs: 2000 },
+    ];
+    const preview = encodeApngPreview(frames);
+    assert.equal(preview.extension, "png");
+    assert.equal(preview.contentType, "image/apng");
+    const chunks = readPngChunks(preview.buffer);
+    assert.deepEqual(
+      chunks.map((chunk) => chunk.type),
+      ["IHDR", "acTL", "fcTL", "IDAT", "fcTL", "fdAT", "IEND"],
+    );
+    assert.equal(chunks[1].data.readUInt32BE(0), 2);
+    const fctls = chunks.filter((chunk) => chunk.type === "fcTL");
+    assert.deepEqual(
+      fctls.map((chunk) => chunk.data.readUInt16BE(20)),
+      [120, 2000],
+    );
+    assert.deepEqual(
+      [
+        fctls[0].data.readUInt32BE(0),
+        fctls[1].data.readUInt32BE(0),
+        chunks[5].data.readUInt32BE(0),
+      ],
+      [0, 1, 2],
+    );
+  });
+
+  it("returns null when frames differ in size or are not PNGs", () => {
+    assert.equal(
+      encodeApngPreview([
+        { buffer: buildSolidPng([0, 0, 0], 8), delayMs: 100 },
+        { buffer: buildSolidPng([0, 0, 0], 16), delayMs: 100 },
+      ]),
+      null,
+    );
+    assert.equal(
+      encodeApngPreview([{ buffer: buildLosslessWebp(), delayMs: 100 }]),
+      null,
+    );
+  });
+});
+
+describe("encodeAnimatedWebpPreview", () => {
+  it("wraps WebP frames in ANMF chunks", () => {
+    const preview = encodeAnimatedWebpPreview([
+      { buffer: buildLosslessWebp(8, 8, 1), delayMs: 300 },
+      { buffer: buildLosslessWebp(8, 8, 2), delayMs: 2000 },
+    ]);
+    assert.equal(preview.extension, "webp");
+    assert.equal(preview.contentType, "image/webp");
+    assert.deepEqual(readRiffFourCcs(preview.buffer), [
+      "VP8X",
+      "ANIM",
+      "ANMF",
+      "ANMF",
+    ]);
+    assert.equal(preview.buffer[20] & 0x02, 0x02);
+    assert.equal(preview.buffer.readUInt32LE(4), preview.buffer.length - 8);
+  });
+
+  it("returns null when canvases differ", () => {
+    assert.equal(
+      encodeAnimatedWebpPreview([
+        { buffer: buildLosslessWebp(8, 8), delayMs: 100 },
+        { buffer: buildLosslessWebp(4, 8), delayMs: 100 },
+      ]),
+      null,
+    );
+  });
+});